@@ -0,0 +1,189 @@
+'use strict'
+/**
+ * ACL url conventions ("ACL strategies"), used by `PermissionSet` (see the
+ * `aclStrategy` constructor option) to find the ACL of a resource, and the
+ * resource governed by an ACL.
+ *
+ * A strategy is any object with the following methods:
+ *
+ *   ```
+ *   {
+ *     aclUrlFor (resourceUrl) {}, // -> url of the resource's ACL
+ *     isAcl (url) {}, // -> is this url an ACL resource?
+ *     resourceUrlFor (aclUrl) {} // -> url of the resource governed by the ACL
+ *   }
+ *   ```
+ * @module acl-strategies
+ */
+
+/**
+ * @typedef {object} AclStrategy
+ * @property aclUrlFor {Function}
+ * @property isAcl {Function}
+ * @property resourceUrlFor {Function}
+ */
+
+const DEFAULT_ACL_SUFFIX = '.acl'
+
+/**
+ * ACLs are stored next to their resources, with a suffix appended to the
+ * resource's url (`https://alice.com/docs/file1.acl`, `https://alice.com/docs/.acl`).
+ * This is the default strategy.
+ * @param [suffix='.acl'] {string}
+ * @returns {AclStrategy}
+ */
+function suffixStrategy ({ suffix = DEFAULT_ACL_SUFFIX } = {}) {
+  const isAcl = url => url.endsWith(suffix)
+  return {
+    aclUrlFor (resourceUrl) {
+      if (!resourceUrl) {
+        return undefined
+      }
+      // ACL resources are their own ACLs
+      return isAcl(resourceUrl) ? resourceUrl : resourceUrl + suffix
+    },
+    isAcl,
+    resourceUrlFor (aclUrl) {
+      return isAcl(aclUrl) ? aclUrl.slice(0, -suffix.length) : aclUrl
+    }
+  }
+}
+
+/**
+ * ACLs are addressed with a query parameter on the resource's url
+ * (`https://alice.com/docs/file1?ext=acl`).
+ * @param [name='ext'] {string} Query parameter name
+ * @param [value='acl'] {string} Query parameter value
+ * @returns {AclStrategy}
+ */
+function queryStrategy ({ name = 'ext', value = 'acl' } = {}) {
+  const isAcl = url => {
+    try {
+      return new URL(url).searchParams.get(name) === value
+    } catch (error) {
+      return false
+    }
+  }
+  return {
+    aclUrlFor (resourceUrl) {
+      if (!resourceUrl || isAcl(resourceUrl)) {
+        return resourceUrl
+      }
+      const url = new URL(resourceUrl)
+      url.searchParams.set(name, value)
+      return url.href
+    },
+    isAcl,
+    resourceUrlFor (aclUrl) {
+      if (!isAcl(aclUrl)) {
+        return aclUrl
+      }
+      const url = new URL(aclUrl)
+      url.searchParams.delete(name)
+      return url.href
+    }
+  }
+}
+
+/**
+ * ACLs are discovered from the `Link: <...>; rel="acl"` headers of the
+ * resources' responses, which are fed to the strategy with `discover()`.
+ * Urls that have not been discovered (yet) are handled by a fallback
+ * strategy. Usage:
+ *
+ *   ```
+ *   const aclStrategy = linkHeaderStrategy()
+ *   const response = await fetch(resourceUrl, { method: 'HEAD' })
+ *   aclStrategy.discover(resourceUrl, response.headers)
+ *
+ *   const ps = new PermissionSet({ resourceUrl, aclStrategy })
+ *   ```
+ * @param [fallback] {AclStrategy} Defaults to the `.acl` suffix strategy
+ * @returns {AclStrategy}
+ */
+function linkHeaderStrategy ({ fallback = suffixStrategy() } = {}) {
+  const aclUrls = new Map() // ACL urls, by resource url
+  const resourceUrls = new Map() // Resource urls, by ACL url
+  return {
+    /**
+     * Records the ACL of a resource, from the resource's response headers.
+     * @param resourceUrl {string}
+     * @param headers {Headers|object|string} Response headers (a fetch
+     *   `Headers` object or a plain object), or the `Link` header value
+     * @returns {string|undefined} The url of the ACL, if advertised
+     */
+    discover (resourceUrl, headers) {
+      const aclUrl = linkTargets(linkHeaderOf(headers), resourceUrl)
+        .find(link => link.rels.includes('acl'))
+      if (!aclUrl) {
+        return undefined
+      }
+      aclUrls.set(resourceUrl, aclUrl.url)
+      resourceUrls.set(aclUrl.url, resourceUrl)
+      return aclUrl.url
+    },
+    aclUrlFor (resourceUrl) {
+      if (resourceUrls.has(resourceUrl)) {
+        return resourceUrl
+      }
+      return aclUrls.get(resourceUrl) || fallback.aclUrlFor(resourceUrl)
+    },
+    isAcl (url) {
+      return resourceUrls.has(url) || (!aclUrls.has(url) && fallback.isAcl(url))
+    },
+    resourceUrlFor (aclUrl) {
+      return resourceUrls.get(aclUrl) || fallback.resourceUrlFor(aclUrl)
+    }
+  }
+}
+
+/**
+ * Returns the (combined) value of the `Link` headers.
+ * @param headers {Headers|object|string}
+ * @returns {string}
+ */
+function linkHeaderOf (headers) {
+  if (!headers) {
+    return ''
+  }
+  if (typeof headers === 'string') {
+    return headers
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get('link') || ''
+  }
+  const name = Object.keys(headers).find(name => name.toLowerCase() === 'link')
+  const value = name ? headers[name] : ''
+  return Array.isArray(value) ? value.join(', ') : value
+}
+
+/**
+ * Parses the value of a `Link` header.
+ * @param header {string}
+ * @param baseUrl {string} Relative link targets are resolved against this url
+ * @returns {Array<{url: string, rels: Array<string>}>}
+ */
+function linkTargets (header, baseUrl) {
+  const links = []
+  const linkPattern = /<([^>]*)>((?:\s*;\s*[^;,"=]+(?:="[^"]*"|=[^;,]*)?)*)/g
+  let match
+  while ((match = linkPattern.exec(header))) {
+    const [, target, params] = match
+    const rel = /;\s*rel\s*=\s*(?:"([^"]*)"|([^;,\s]+))/i.exec(params)
+    links.push({
+      url: new URL(target, baseUrl).href,
+      rels: rel ? (rel[1] || rel[2]).toLowerCase().split(/\s+/) : []
+    })
+  }
+  return links
+}
+
+const DEFAULT_ACL_STRATEGY = suffixStrategy()
+
+module.exports = {
+  DEFAULT_ACL_SUFFIX,
+  DEFAULT_ACL_STRATEGY,
+  suffixStrategy,
+  queryStrategy,
+  linkHeaderStrategy
+}
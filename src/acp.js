@@ -0,0 +1,474 @@
+'use strict'
+/**
+ * Access Control Policy (ACP) support, for pods that use Access Control
+ * Resources (ACRs) instead of WAC ACLs. `AccessControlResource` parallels
+ * `PermissionSet`: it is parsed from a graph (`fromGraph()`), evaluated with
+ * the same `checkAccess()` signature, and serialized back (`serialize()`).
+ *
+ * Only the policies and matchers described in the ACR's own graph are
+ * evaluated (policies that are not described there grant nothing).
+ * @see https://solidproject.org/TR/acp
+ * @module acp
+ */
+
+const vocab = require('solid-namespace')
+const rdflib = require('rdflib')
+const { promisify } = require('util')
+const { acl, normalizeMode } = require('./modes')
+const { normalizeUrl, isInContainer } = require('./urls')
+const { requestContext } = require('./request-context')
+
+const DEFAULT_CONTENT_TYPE = 'text/turtle'
+const ACP_NAMESPACE = 'http://www.w3.org/ns/solid/acp#'
+
+/**
+ * ACP-related constants
+ */
+const acp = {
+  NAMESPACE: ACP_NAMESPACE,
+  PUBLIC_AGENT: ACP_NAMESPACE + 'PublicAgent',
+  AUTHENTICATED_AGENT: ACP_NAMESPACE + 'AuthenticatedAgent',
+  CREATOR_AGENT: ACP_NAMESPACE + 'CreatorAgent',
+  OWNER_AGENT: ACP_NAMESPACE + 'OwnerAgent',
+  PUBLIC_CLIENT: ACP_NAMESPACE + 'PublicClient',
+  PUBLIC_ISSUER: ACP_NAMESPACE + 'PublicIssuer'
+}
+
+/**
+ * Context of an access request, that matchers are evaluated against.
+ * @typedef {object} AcpContext
+ * @property [agentId] {string} WebID of the agent (none if unauthenticated)
+ * @property [client] {string} Client (application) id
+ * @property [issuer] {string} Identity provider that issued the credentials
+ * @property [ownerWebId] {string} Owner of the resource (`acp:OwnerAgent`)
+ * @property [creatorWebId] {string} Creator of the resource (`acp:CreatorAgent`)
+ */
+
+/**
+ * An `acp:Matcher`: describes the agents, clients and issuers that it
+ * matches.
+ */
+class Matcher {
+  /**
+   * @param [id] {string} IRI of the matcher. Blank node matchers get one
+   *   minted when serialized.
+   * @param [agents=[]] {Array<string>} `acp:agent` WebIDs, or one of the
+   *   `acp.PUBLIC_AGENT`, `AUTHENTICATED_AGENT`, `CREATOR_AGENT`,
+   *   `OWNER_AGENT` agent classes
+   * @param [clients=[]] {Array<string>} `acp:client` ids, or `acp.PUBLIC_CLIENT`
+   * @param [issuers=[]] {Array<string>} `acp:issuer` urls, or `acp.PUBLIC_ISSUER`
+   */
+  constructor ({ id, agents = [], clients = [], issuers = [] } = {}) {
+    this.id = id
+    this.agents = agents
+    this.clients = clients
+    this.issuers = issuers
+  }
+
+  /**
+   * Tests whether this matcher defines no attributes at all (and so never
+   * matches).
+   * @returns {boolean}
+   */
+  get isEmpty () {
+    return this.agents.length === 0 && this.clients.length === 0 &&
+      this.issuers.length === 0
+  }
+
+  /**
+   * A matcher matches a context if it defines at least one attribute, and
+   * for each attribute that it defines, at least one of its values matches.
+   * Clients and issuers are compared as normalized urls (as for WAC, see
+   * `Permission.allowsClient()`).
+   * @param context {AcpContext}
+   * @returns {boolean}
+   */
+  matches (context) {
+    if (this.isEmpty) {
+      return false
+    }
+    const matchesAll = (values, matchValue) =>
+      values.length === 0 || values.some(matchValue)
+    const sameUrl = (url, requested) =>
+      !!requested && normalizeUrl(url) === normalizeUrl(requested)
+    return matchesAll(this.agents, agent => matchesAgent(agent, context)) &&
+      matchesAll(this.clients, client =>
+        client === acp.PUBLIC_CLIENT || sameUrl(client, context.client)) &&
+      matchesAll(this.issuers, issuer =>
+        issuer === acp.PUBLIC_ISSUER || sameUrl(issuer, context.issuer))
+  }
+
+  rdfStatements ({ fragment, rdf }) {
+    const ns = rdf.Namespace(ACP_NAMESPACE)
+    const statements = [
+      rdf.triple(fragment, vocab(rdf).rdf('type'), ns('Matcher'))
+    ]
+    const attributes = { agent: this.agents, client: this.clients, issuer: this.issuers }
+    for (const [property, values] of Object.entries(attributes)) {
+      for (const value of values) {
+        statements.push(rdf.triple(fragment, ns(property), rdf.namedNode(value)))
+      }
+    }
+    return statements
+  }
+}
+
+/**
+ * An `acp:Policy`: allows (or denies) access modes, if its matchers are
+ * satisfied.
+ */
+class Policy {
+  /**
+   * @param [id] {string} IRI of the policy
+   * @param [allow=[]] {Array<string>} `acp:allow` access modes
+   * @param [deny=[]] {Array<string>} `acp:deny` access modes
+   * @param [allOf=[]] {Array<Matcher>} All of these have to match
+   * @param [anyOf=[]] {Array<Matcher>} At least one of these has to match
+   * @param [noneOf=[]] {Array<Matcher>} None of these may match
+   */
+  constructor ({
+    id, allow = [], deny = [], allOf = [], anyOf = [], noneOf = []
+  } = {}) {
+    this.id = id
+    this.allow = new Set(allow.map(normalizeMode))
+    this.deny = new Set(deny.map(normalizeMode))
+    this.allOf = allOf
+    this.anyOf = anyOf
+    this.noneOf = noneOf
+  }
+
+  /**
+   * A policy is satisfied if it has at least one `allOf` or `anyOf` matcher,
+   * all of its `allOf` matchers match, at least one of its `anyOf` matchers
+   * (if any) matches, and none of its `noneOf` matchers match.
+   * @param context {AcpContext}
+   * @returns {boolean}
+   */
+  isSatisfiedBy (context) {
+    if (this.allOf.length === 0 && this.anyOf.length === 0) {
+      return false
+    }
+    return this.allOf.every(matcher => matcher.matches(context)) &&
+      (this.anyOf.length === 0 || this.anyOf.some(matcher => matcher.matches(context))) &&
+      !this.noneOf.some(matcher => matcher.matches(context))
+  }
+
+  rdfStatements ({ fragment, rdf, subjectFor }) {
+    const ns = rdf.Namespace(ACP_NAMESPACE)
+    const statements = [
+      rdf.triple(fragment, vocab(rdf).rdf('type'), ns('Policy'))
+    ]
+    for (const mode of this.allow) {
+      statements.push(rdf.triple(fragment, ns('allow'), rdf.namedNode(mode)))
+    }
+    for (const mode of this.deny) {
+      statements.push(rdf.triple(fragment, ns('deny'), rdf.namedNode(mode)))
+    }
+    for (const property of ['allOf', 'anyOf', 'noneOf']) {
+      for (const matcher of this[property]) {
+        const matcherSubject = subjectFor(matcher, 'matcher')
+        statements.push(rdf.triple(fragment, ns(property), matcherSubject))
+        statements.push(...matcher.rdfStatements({ fragment: matcherSubject, rdf }))
+      }
+    }
+    return statements
+  }
+}
+
+/**
+ * An `acp:AccessControl`: applies a list of policies.
+ */
+class AccessControl {
+  /**
+   * @param [id] {string} IRI of the access control
+   * @param [policies=[]] {Array<Policy>} `acp:apply` policies
+   */
+  constructor ({ id, policies = [] } = {}) {
+    this.id = id
+    this.policies = policies
+  }
+
+  rdfStatements ({ fragment, rdf, subjectFor }) {
+    const ns = rdf.Namespace(ACP_NAMESPACE)
+    const statements = [
+      rdf.triple(fragment, vocab(rdf).rdf('type'), ns('AccessControl'))
+    ]
+    for (const policy of this.policies) {
+      const policySubject = subjectFor(policy, 'policy')
+      statements.push(rdf.triple(fragment, ns('apply'), policySubject))
+      statements.push(...policy.rdfStatements({ fragment: policySubject, rdf, subjectFor }))
+    }
+    return statements
+  }
+}
+
+/**
+ * An Access Control Resource: the ACP counterpart of a `PermissionSet`.
+ */
+class AccessControlResource {
+  /**
+   * @param resourceUrl {string} Resource (or container) controlled by the ACR
+   * @param [acrUrl] {string} Url of the ACR
+   * @param [isContainer=false] {boolean}
+   * @param [rdf] {RDF} rdflib library
+   * @param [accessControls=[]] {Array<AccessControl>} `acp:accessControl`,
+   *   apply to the resource itself
+   * @param [memberAccessControls=[]] {Array<AccessControl>}
+   *   `acp:memberAccessControl`, apply to the contents of a container
+   * @param [access=[]] {Array<AccessControl>} `acp:access`, apply to the ACR
+   *   itself (and so determine Control access to the resource)
+   * @param [ownerWebId] {string} Matched by `acp:OwnerAgent`
+   * @param [creatorWebId] {string} Matched by `acp:CreatorAgent`
+   */
+  constructor ({
+    resourceUrl, acrUrl, isContainer = false, rdf = rdflib,
+    accessControls = [], memberAccessControls = [], access = [],
+    ownerWebId, creatorWebId
+  } = {}) {
+    this.resourceUrl = resourceUrl
+    this.acrUrl = acrUrl
+    this.isContainer = isContainer
+    this.rdf = rdf
+    this.accessControls = accessControls
+    this.memberAccessControls = memberAccessControls
+    this.access = access
+    this.ownerWebId = ownerWebId
+    this.creatorWebId = creatorWebId
+  }
+
+  /**
+   * Tests whether the given agent has the specified access to a resource
+   * (same signature as `PermissionSet.checkAccess()`, so that WAC and ACP
+   * resources can be treated uniformly).
+   * @param resourceUrl {string} The resource itself or, for containers, any
+   *   of its contents
+   * @param agent {string|object} WebID of the agent (none if unauthenticated),
+   *   or a `{ webId, clientId, issuer }` context object
+   * @param accessMode {string|NamedNode} Access mode (read/write/control etc)
+   * @param [options={}] {object}
+   * @param [options.clientId] {string} Client id of the request, if not given
+   *   in the context object (`options.client` is also accepted)
+   * @param [options.issuer] {string} Issuer of the agent's credentials
+   * @returns {Promise<boolean>}
+   */
+  async checkAccess (resourceUrl, agent, accessMode, options = {}) {
+    return this.grantedModes(resourceUrl, agent, options)
+      .includes(normalizeMode(accessMode))
+  }
+
+  /**
+   * Returns the access modes that an agent has to a resource. Modes allowed
+   * by any satisfied policy are granted, unless denied by any satisfied
+   * policy. As in WAC, Write implies Append, and Control is granted if the
+   * ACR's own (`acp:access`) policies allow both Read and Write.
+   * @param resourceUrl {string}
+   * @param agent {string|object} See `checkAccess()`
+   * @param [options={}] {object} See `checkAccess()`
+   * @returns {Array<string>}
+   */
+  grantedModes (resourceUrl, agent, options = {}) {
+    const { agentId, clientId, issuer } = requestContext(agent, options)
+    const context = {
+      agentId,
+      client: clientId || options.client,
+      issuer,
+      ownerWebId: this.ownerWebId,
+      creatorWebId: this.creatorWebId
+    }
+    const modes = evaluate(this.accessControlsFor(resourceUrl), context)
+    if (normalizeUrl(resourceUrl) === normalizeUrl(this.resourceUrl)) {
+      const acrModes = evaluate(this.access, context)
+      if (acrModes.includes(acl.READ) && acrModes.includes(acl.WRITE)) {
+        modes.push(acl.CONTROL)
+      }
+    }
+    return modes
+  }
+
+  /**
+   * Returns the access controls that apply to a resource.
+   * @param resourceUrl {string}
+   * @returns {Array<AccessControl>}
+   */
+  accessControlsFor (resourceUrl) {
+    if (normalizeUrl(resourceUrl) === normalizeUrl(this.resourceUrl)) {
+      return this.accessControls
+    }
+    if (this.isContainer && isInContainer(this.resourceUrl, resourceUrl)) {
+      return this.memberAccessControls
+    }
+    return []
+  }
+
+  /**
+   * Creates an AccessControlResource from a parsed ACR graph. The ACR is the
+   * subject of `acp:resource <resourceUrl>` (or else, `acrUrl` itself).
+   * @param resourceUrl {string}
+   * @param acrUrl {string}
+   * @param graph {Graph} RDF Graph (parsed from the source ACR)
+   * @param [isContainer] {boolean}
+   * @param [rdf] {RDF} RDF Library
+   * @param [ownerWebId] {string}
+   * @param [creatorWebId] {string}
+   * @returns {AccessControlResource}
+   */
+  static fromGraph ({
+    resourceUrl, acrUrl, graph, isContainer, rdf = rdflib, ownerWebId, creatorWebId
+  }) {
+    const ns = rdf.Namespace(ACP_NAMESPACE)
+    const objects = (subject, property) =>
+      graph.match(subject, ns(property)).map(statement => statement.object)
+    const idOf = term => term.termType === 'NamedNode' ? term.value : undefined
+    const parsed = new Map() // Shared policies and matchers, by term
+    const once = (term, parse) => {
+      const key = term.toNT()
+      if (!parsed.has(key)) {
+        parsed.set(key, parse(term))
+      }
+      return parsed.get(key)
+    }
+
+    const parseMatcher = term => once(term, () => new Matcher({
+      id: idOf(term),
+      agents: objects(term, 'agent').map(agent => agent.value),
+      clients: objects(term, 'client').map(client => client.value),
+      issuers: objects(term, 'issuer').map(issuer => issuer.value)
+    }))
+    const parsePolicy = term => once(term, () => new Policy({
+      id: idOf(term),
+      allow: objects(term, 'allow').map(mode => mode.value),
+      deny: objects(term, 'deny').map(mode => mode.value),
+      allOf: objects(term, 'allOf').map(parseMatcher),
+      anyOf: objects(term, 'anyOf').map(parseMatcher),
+      noneOf: objects(term, 'noneOf').map(parseMatcher)
+    }))
+    const parseAccessControl = term => once(term, () => new AccessControl({
+      id: idOf(term),
+      policies: objects(term, 'apply').map(parsePolicy)
+    }))
+
+    const [acr] = graph.match(null, ns('resource'), rdf.namedNode(resourceUrl))
+      .map(statement => statement.subject)
+    const subject = acr || rdf.namedNode(acrUrl)
+
+    return new AccessControlResource({
+      resourceUrl,
+      acrUrl,
+      isContainer,
+      rdf,
+      ownerWebId,
+      creatorWebId,
+      accessControls: objects(subject, 'accessControl').map(parseAccessControl),
+      memberAccessControls: objects(subject, 'memberAccessControl').map(parseAccessControl),
+      access: objects(subject, 'access').map(parseAccessControl)
+    })
+  }
+
+  /**
+   * Builds an RDF graph of this ACR. Access controls, policies and matchers
+   * without an id (parsed from blank nodes, or created in code) are named
+   * with fragments of the ACR url (`#policy-1` etc).
+   * @param [rdf] {RDF}
+   * @returns {Graph}
+   */
+  buildGraph (rdf = this.rdf) {
+    const ns = rdf.Namespace(ACP_NAMESPACE)
+    const graph = rdf.graph()
+    graph.setPrefixForURI('acp', ACP_NAMESPACE)
+    graph.setPrefixForURI('acl', vocab(rdf).acl('').value)
+    const subjects = new Map()
+    const counters = {}
+    const subjectFor = (item, name) => {
+      if (!subjects.has(item)) {
+        counters[name] = (counters[name] || 0) + 1
+        subjects.set(item, rdf.namedNode(item.id || `${this.acrUrl}#${name}-${counters[name]}`))
+      }
+      return subjects.get(item)
+    }
+
+    const acr = rdf.namedNode(this.acrUrl)
+    graph.add(acr, vocab(rdf).rdf('type'), ns('AccessControlResource'))
+    graph.add(acr, ns('resource'), rdf.namedNode(this.resourceUrl))
+    const properties = {
+      accessControl: this.accessControls,
+      memberAccessControl: this.memberAccessControls,
+      access: this.access
+    }
+    for (const [property, accessControls] of Object.entries(properties)) {
+      for (const accessControl of accessControls) {
+        const fragment = subjectFor(accessControl, 'accessControl')
+        graph.add(acr, ns(property), fragment)
+        graph.add(accessControl.rdfStatements({ fragment, rdf, subjectFor }))
+      }
+    }
+    return graph
+  }
+
+  /**
+   * Serializes this ACR to a string RDF representation (Turtle by default).
+   * @param [contentType='text/turtle'] {string}
+   * @param [rdf] {RDF} RDF Library to serialize with
+   * @throws {Error} If one is encountered during RDF serialization.
+   * @return {Promise<string>}
+   */
+  async serialize ({ contentType = DEFAULT_CONTENT_TYPE, rdf = this.rdf } = {}) {
+    const graph = this.buildGraph(rdf)
+    try {
+      return promisify(rdf.serialize)(null, graph, this.acrUrl, contentType)
+    } catch (error) {
+      throw new Error(`Error serializing the graph to ${contentType}: ${error}`)
+    }
+  }
+}
+
+/**
+ * Tests whether an `acp:agent` value matches the agent of a context.
+ * @param agent {string}
+ * @param context {AcpContext}
+ * @returns {boolean}
+ */
+function matchesAgent (agent, { agentId, ownerWebId, creatorWebId }) {
+  switch (agent) {
+    case acp.PUBLIC_AGENT:
+      return true
+    case acp.AUTHENTICATED_AGENT:
+      return !!agentId
+    case acp.OWNER_AGENT:
+      return !!agentId && agentId === ownerWebId
+    case acp.CREATOR_AGENT:
+      return !!agentId && agentId === creatorWebId
+    default:
+      return !!agentId && agentId === agent
+  }
+}
+
+/**
+ * Returns the access modes granted by a list of access controls.
+ * @param accessControls {Array<AccessControl>}
+ * @param context {AcpContext}
+ * @returns {Array<string>}
+ */
+function evaluate (accessControls, context) {
+  const allowed = new Set()
+  const denied = new Set()
+  for (const { policies } of accessControls) {
+    for (const policy of policies.filter(policy => policy.isSatisfiedBy(context))) {
+      policy.allow.forEach(mode => allowed.add(mode))
+      policy.deny.forEach(mode => denied.add(mode))
+    }
+  }
+  const modes = Array.from(allowed).filter(mode => !denied.has(mode))
+  if (modes.includes(acl.WRITE) && !modes.includes(acl.APPEND) &&
+      !denied.has(acl.APPEND)) {
+    modes.push(acl.APPEND)
+  }
+  return modes
+}
+
+module.exports = {
+  acp,
+  Matcher,
+  Policy,
+  AccessControl,
+  AccessControlResource
+}
@@ -0,0 +1,31 @@
+'use strict'
+/**
+ * Error classes thrown by this library
+ * @module errors
+ */
+
+/**
+ * Thrown when a change to a permission set (or saving it) would leave a
+ * resource without any agent (or without its owner) that has `acl:Control`
+ * over it, locking them out of managing its permissions.
+ * See `PermissionSet.assertControlRetained()`.
+ * @class LockoutError
+ */
+class LockoutError extends Error {
+  /**
+   * @param message {string}
+   * @param [resourceUrl] {string} Resource that would lose its controllers
+   * @param [ownerWebId] {string} Owner that would lose Control, if specified
+   */
+  constructor (message, { resourceUrl, ownerWebId } = {}) {
+    super(message)
+    this.name = 'LockoutError'
+    this.code = 'ACL_LOCKOUT'
+    this.resourceUrl = resourceUrl
+    this.ownerWebId = ownerWebId
+  }
+}
+
+module.exports = {
+  LockoutError
+}
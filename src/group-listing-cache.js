@@ -0,0 +1,290 @@
+'use strict'
+/**
+ * In-memory cache of loaded GroupListing objects, shareable between
+ * PermissionSet instances (see the `groupCache` PermissionSet option).
+ * @module group-listing-cache
+ */
+
+const GroupListing = require('./group-listing')
+const debug = require('debug')('solid:permissions')
+
+const DEFAULT_MAX_ENTRIES = 100
+const DEFAULT_TTL = 60 * 1000 // 1 minute
+
+/**
+ * LRU cache of group listings, keyed by group url and nested group depth
+ * (see `GroupListing.loadSubgroups()`), with a per-entry TTL.
+ *
+ * When an entry expires, the next `load()` revalidates it: if the previous
+ * response carried an `ETag` or `Last-Modified` value, they are passed on to
+ * `fetchGraph()` as `If-None-Match` / `If-Modified-Since` headers, and a
+ * "not modified" result keeps the cached listing for another TTL period
+ * (its nested groups are reloaded, since they may be defined in other
+ * documents).
+ *
+ * To take part in revalidation, `fetchGraph()` may resolve to a result object
+ * instead of a bare graph:
+ *
+ *   ```
+ *   async function fetchGraph (url, { headers }) {
+ *     const response = await fetch(url, { headers })
+ *     if (response.status === 304) {
+ *       return { notModified: true }
+ *     }
+ *     return {
+ *       graph: await parse(response),
+ *       etag: response.headers.get('etag'),
+ *       lastModified: response.headers.get('last-modified')
+ *     }
+ *   }
+ *   ```
+ *
+ * Any object with a compatible `load()` method can be used in its place.
+ * @class GroupListingCache
+ */
+class GroupListingCache {
+  /**
+   * @param [maxEntries=100] {number} Max number of group listings to keep,
+   *   least recently used ones are evicted first.
+   * @param [ttl=60000] {number} Time (in ms) that a loaded listing is used
+   *   without revalidation.
+   * @param [now] {Function} Returns the current time in ms (for testing).
+   */
+  constructor ({ maxEntries = DEFAULT_MAX_ENTRIES, ttl = DEFAULT_TTL, now = Date.now } = {}) {
+    this.maxEntries = maxEntries
+    this.ttl = ttl
+    this.now = now
+    /**
+     * Cache entries by group url and depth (see `keyFor()`), in least to
+     * most recently used order. Each entry is
+     * `{ url, group, expires, etag, lastModified }`.
+     */
+    this.entries = new Map()
+    /**
+     * In-progress loads, by group url and depth (so that concurrent requests
+     * for the same group share a single fetch).
+     */
+    this.pending = new Map()
+    this.hits = 0
+    this.misses = 0
+    this.revalidations = 0
+  }
+
+  /**
+   * Returns the number of group listings in the cache.
+   * @returns {number}
+   */
+  get size () {
+    return this.entries.size
+  }
+
+  /**
+   * Returns the cache's hit/miss counters. (Revalidated entries count as
+   * misses, and also as revalidations if the listing was not modified.)
+   * @returns {{hits: number, misses: number, revalidations: number,
+   *   size: number}}
+   */
+  get stats () {
+    const { hits, misses, revalidations, size } = this
+    return { hits, misses, revalidations, size }
+  }
+
+  /**
+   * Returns a (non-expired) cached group listing, if present.
+   * @param url {string} Group url
+   * @param [maxDepth] {number} Max levels of nested groups that the listing
+   *   was loaded with (see `load()`)
+   * @returns {GroupListing|undefined}
+   */
+  get (url, { maxDepth } = {}) {
+    const key = keyFor(url, maxDepth)
+    const entry = this.entries.get(key)
+    if (!entry || entry.expires <= this.now()) {
+      return undefined
+    }
+    this.touch(key, entry)
+    return entry.group
+  }
+
+  /**
+   * Adds a group listing to the cache, evicting the least recently used
+   * entries if needed.
+   * @param url {string} Group url
+   * @param group {GroupListing}
+   * @param [etag] {string} `ETag` of the listing document, for revalidation
+   * @param [lastModified] {string} `Last-Modified` of the listing document
+   * @param [maxDepth] {number} See `get()`
+   * @returns {GroupListingCache} Chainable
+   */
+  set (url, group, { etag, lastModified, maxDepth } = {}) {
+    const expires = this.now() + this.ttl
+    this.touch(keyFor(url, maxDepth), { url, group, expires, etag, lastModified })
+    while (this.entries.size > this.maxEntries) {
+      const leastRecentlyUsed = this.entries.keys().next().value
+      this.entries.delete(leastRecentlyUsed)
+    }
+    return this
+  }
+
+  /**
+   * Removes a group listing (loaded with any depth) from the cache, along
+   * with the listings that it is nested in. If given the url of a listing
+   * document (without a `#fragment`), removes all the groups defined in it
+   * (and the ones they are nested in).
+   * @param url {string} Group url, or group listing document url
+   * @returns {GroupListingCache} Chainable
+   */
+  invalidate (url) {
+    const isDocument = !url.includes('#')
+    const matches = groupUrl =>
+      groupUrl === url || (isDocument && groupUrl.split('#')[0] === url)
+    for (const [key, entry] of Array.from(this.entries)) {
+      if (matches(entry.url) ||
+          Array.from(entry.group.effectiveSubgroupUrls()).some(matches)) {
+        this.entries.delete(key)
+      }
+    }
+    return this
+  }
+
+  /**
+   * Removes all entries from the cache (does not reset the counters).
+   * @returns {GroupListingCache} Chainable
+   */
+  clear () {
+    this.entries.clear()
+    return this
+  }
+
+  /**
+   * Returns a group listing, from the cache if it's fresh, otherwise loads
+   * (or revalidates) it via `fetchGraph()`. Used by
+   * `PermissionSet.loadGroups()`.
+   * @param url {string} Group url
+   * @param fetchGraph {Function} See class description
+   * @param rdf {RDF}
+   * @param [fetchOptions={}] {object} Passed through to `fetchGraph()`
+   * @param [maxDepth] {number} Max levels of nested groups to resolve (see
+   *   `GroupListing.loadSubgroups()`)
+   * @throws {Error} Any fetch or parsing errors, or if `fetchGraph()`
+   *   reports an uncached listing as not modified
+   * @returns {Promise<GroupListing>}
+   */
+  async load (url, { fetchGraph, rdf, fetchOptions = {}, maxDepth }) {
+    const cached = this.get(url, { maxDepth })
+    if (cached) {
+      this.hits++
+      return cached
+    }
+    this.misses++
+    const key = keyFor(url, maxDepth)
+    if (!this.pending.has(key)) {
+      const loading = this.fetch(url, { fetchGraph, rdf, fetchOptions, maxDepth })
+        .finally(() => this.pending.delete(key))
+      this.pending.set(key, loading)
+    }
+    return this.pending.get(key)
+  }
+
+  /**
+   * Fetches (or conditionally re-fetches) a group listing and caches it.
+   * Internal, used by `load()`.
+   * @private
+   * @param url {string}
+   * @param fetchGraph {Function}
+   * @param rdf {RDF}
+   * @param fetchOptions {object}
+   * @param [maxDepth] {number}
+   * @returns {Promise<GroupListing>}
+   */
+  async fetch (url, { fetchGraph, rdf, fetchOptions, maxDepth }) {
+    const stale = this.entries.get(keyFor(url, maxDepth))
+    const headers = { ...fetchOptions.headers }
+    if (stale && stale.etag) {
+      headers['If-None-Match'] = stale.etag
+    }
+    if (stale && stale.lastModified) {
+      headers['If-Modified-Since'] = stale.lastModified
+    }
+
+    const result = fetchResult(await fetchGraph(url, { ...fetchOptions, headers }))
+
+    if (result.notModified) {
+      if (!stale) {
+        throw new Error(`fetchGraph() reported group listing ${url} as not modified, ` +
+          'but it is not cached')
+      }
+      debug(`Group listing ${url} not modified, revalidated`)
+      this.revalidations++
+      await reloadSubgroups(stale.group, { fetchGraph, rdf, fetchOptions, maxDepth })
+      this.set(url, stale.group, { ...stale, maxDepth })
+      return stale.group
+    }
+    const group = new GroupListing({ url, rdf })
+      .initFromGraph({ url, graph: result.graph })
+    await group.loadSubgroups({ fetchGraph, rdf, fetchOptions, maxDepth })
+    const { etag, lastModified } = result
+    this.set(url, group, { etag, lastModified, maxDepth })
+    return group
+  }
+
+  /**
+   * Moves an entry to the most recently used position.
+   * @private
+   * @param key {string} See `keyFor()`
+   * @param entry {object}
+   */
+  touch (key, entry) {
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+  }
+}
+
+/**
+ * Returns the cache key of a group listing: its url and the max levels of
+ * nested groups it was loaded with, since a shallower load resolves fewer
+ * members.
+ * @param url {string}
+ * @param [maxDepth] {number}
+ * @returns {string}
+ */
+function keyFor (url, maxDepth = GroupListing.DEFAULT_MAX_DEPTH) {
+  return `${url} ${maxDepth}`
+}
+
+/**
+ * Reloads the nested groups of a listing whose own document was not modified
+ * (nested groups in other documents may have been). The reloaded subgroups
+ * replace the old ones once they are all loaded, so that the listing stays
+ * usable in the meantime.
+ * @param group {GroupListing}
+ * @param options {object} See `GroupListing.loadSubgroups()`
+ * @returns {Promise}
+ */
+async function reloadSubgroups (group, options) {
+  if (group.subgroupUrls.size === 0) {
+    return
+  }
+  const reloaded = new GroupListing({
+    url: group.url, rdf: options.rdf || group.rdf, graph: group.graph
+  })
+  await reloaded.loadSubgroups(options)
+  group.subgroups = reloaded.subgroups
+  group.failedSubgroups = reloaded.failedSubgroups
+}
+
+/**
+ * Normalizes the result of a `fetchGraph()` call, which is either a parsed
+ * graph or a `{ graph, etag, lastModified, notModified }` object.
+ * @param result {IndexedFormula|object}
+ * @returns {{graph: IndexedFormula, etag: string, lastModified: string,
+ *   notModified: boolean}}
+ */
+function fetchResult (result) {
+  if (result && typeof result.match === 'function') {
+    return { graph: result, notModified: false }
+  }
+  return { notModified: false, ...result }
+}
+
+module.exports = GroupListingCache
@@ -1,6 +1,12 @@
 const vocab = require('solid-namespace')
 const debug = require('debug')('solid:permissions')
 
+/**
+ * Default maximum number of nested group levels to follow when resolving
+ * group membership (see `loadSubgroups()`).
+ */
+const DEFAULT_MAX_DEPTH = 5
+
 /**
  * ACL Group Listing
  * @see https://github.com/solid/web-access-control-spec#groups-of-agents
@@ -17,10 +23,23 @@ class GroupListing {
    * @param [rdf] {RDF} RDF library
    * @param [graph] {IndexedFormula} Parsed graph of the group listing document
    */
-  constructor ({ url, listing, uid, members = new Set(), rdf, graph }) {
+  constructor ({ url, listing, uid, members = new Set(), rdf, graph } = {}) {
     this.url = url
     this.uid = uid
     this.members = members
+    /**
+     * Urls of members that are themselves groups (`vcard:hasMember` objects
+     * typed as `vcard:Group` in the listing).
+     */
+    this.subgroupUrls = new Set()
+    /**
+     * Loaded nested GroupListings, by url. Populated by `loadSubgroups()`.
+     */
+    this.subgroups = new Map()
+    /**
+     * Errors encountered while loading nested groups, by url.
+     */
+    this.failedSubgroups = {}
     this.listing = listing
     this.rdf = rdf
     this.graph = graph
@@ -37,12 +56,61 @@ class GroupListing {
    * @param fetchGraph {Function}
    * @param rdf {RDF}
    * @param fetchOptions {Object} Options hashmap, passed through to fetchGraph()
+   * @param [maxDepth] {number} Max levels of nested groups to resolve, see
+   *   `loadSubgroups()`
    * @return {Promise<GroupListing|null>}
    */
-  static async loadFrom (url, fetchGraph, rdf, fetchOptions = {}) {
-    const group = new GroupListing({ uri: url, rdf })
-    const graph = await fetchGraph(url, fetchOptions)
-    return group.initFromGraph({ url, graph })
+  static async loadFrom (url, fetchGraph, rdf, fetchOptions = {}, { maxDepth } = {}) {
+    const group = new GroupListing({ url, rdf })
+    const graph = graphFrom(await fetchGraph(url, fetchOptions))
+    group.initFromGraph({ url, graph })
+    return group.loadSubgroups({ fetchGraph, fetchOptions, maxDepth })
+  }
+
+  /**
+   * Recursively loads the nested groups of this listing (members that are
+   * themselves groups). Subgroups defined in the same listing document are
+   * read from its graph, others are fetched via `fetchGraph()`. Each group is
+   * only loaded once, which also takes care of membership cycles. Subgroups
+   * that fail to load are recorded in `failedSubgroups` and grant nothing.
+   * @param fetchGraph {Function}
+   * @param [rdf] {RDF}
+   * @param [fetchOptions={}] {Object} Passed through to fetchGraph()
+   * @param [maxDepth=5] {number} Max levels of nested groups to follow
+   *   (0 disables nested group resolution)
+   * @param [loaded] {Map} Groups loaded so far, by url (used in recursion)
+   * @return {Promise<GroupListing>} Chainable
+   */
+  async loadSubgroups ({
+    fetchGraph, rdf = this.rdf, fetchOptions = {}, maxDepth = DEFAULT_MAX_DEPTH,
+    loaded = new Map([[this.url, this]])
+  }) {
+    if (maxDepth < 1) {
+      return this
+    }
+    for (const url of this.subgroupUrls) {
+      if (loaded.has(url)) {
+        debug(`Group ${url} already loaded, not following ${this.url} again`)
+        this.subgroups.set(url, loaded.get(url))
+        continue
+      }
+      try {
+        const subgroup = new GroupListing({ url, rdf })
+        const graph = sameDocument(url, this.url)
+          ? this.graph
+          : graphFrom(await fetchGraph(url, fetchOptions))
+        subgroup.initFromGraph({ url, graph, rdf })
+        loaded.set(url, subgroup)
+        this.subgroups.set(url, subgroup)
+        await subgroup.loadSubgroups({
+          fetchGraph, rdf, fetchOptions, maxDepth: maxDepth - 1, loaded
+        })
+      } catch (error) {
+        debug(`Error loading nested group ${url}: ${error}`)
+        this.failedSubgroups[url] = error
+      }
+    }
+    return this
   }
 
   /**
@@ -79,6 +147,92 @@ class GroupListing {
   }
 
   /**
+   * Returns the path of groups through which a given webId is a member of
+   * this group, from this group down to the (possibly nested) group that
+   * lists it directly, or `null` if it's not a member.
+   * Note: Only checks loaded subgroups (see `loadSubgroups()`).
+   * @param webId {string|NamedNode}
+   * @return {Array<string>|null} Group urls
+   */
+  membershipPath (webId) {
+    if (webId.value) {
+      webId = webId.value
+    }
+    // Breadth-first, to find the shortest path
+    const queue = [[this]]
+    const visited = new Set([this.url])
+    while (queue.length > 0) {
+      const path = queue.shift()
+      const group = path[path.length - 1]
+      if (group.hasMember(webId)) {
+        return path.map(ea => ea.url)
+      }
+      for (const [url, subgroup] of group.subgroups) {
+        if (!visited.has(url)) {
+          visited.add(url)
+          queue.push(path.concat(subgroup))
+        }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Tests if a webId is a member of this group, either directly, or through
+   * any of its (loaded) nested groups.
+   * @param webId {string|NamedNode}
+   * @return {Boolean}
+   */
+  hasEffectiveMember (webId) {
+    return !!this.membershipPath(webId)
+  }
+
+  /**
+   * Returns the webIds of all the members of this group, including the
+   * members of its (loaded) nested groups.
+   * @return {Set<string>}
+   */
+  effectiveMembers () {
+    const members = new Set()
+    const visited = new Set()
+    const collect = group => {
+      visited.add(group.url)
+      group.members.forEach(member => members.add(member))
+      for (const [url, subgroup] of group.subgroups) {
+        if (!visited.has(url)) {
+          collect(subgroup)
+        }
+      }
+    }
+    collect(this)
+    return members
+  }
+
+  /**
+   * Returns the urls of all the nested groups of this group, at any depth
+   * (including ones that failed to load, or were beyond the depth limit).
+   * @return {Set<string>}
+   */
+  effectiveSubgroupUrls () {
+    const urls = new Set()
+    const collect = group => {
+      for (const url of group.subgroupUrls) {
+        if (!urls.has(url)) {
+          urls.add(url)
+          if (group.subgroups.has(url)) {
+            collect(group.subgroups.get(url))
+          }
+        }
+      }
+    }
+    collect(this)
+    return urls
+  }
+
+  /**
+   * Members that are typed as `vcard:Group` in the listing are recorded as
+   * nested groups (see `subgroupUrls` and `loadSubgroups()`) rather than as
+   * direct members.
    * @param [url] {string|NamedNode} Group URI as appears in ACL file
    *   (e.g. `https://example.com/groups#management`)
    * @param [graph] {Graph} Parsed graph
@@ -100,13 +254,44 @@ class GroupListing {
       console.warn(`Possibly invalid group '${url}', missing type vcard:Group`)
     }
     this.uid = graph.anyValue(group, ns.vcard('hasUID'))
+    this.graph = graph
+    this.rdf = rdf
     debug('Found Group Listing with ' + group)
     graph.match(group, ns.vcard('hasMember'))
       .forEach(memberMatch => {
-        this.addMember(memberMatch.object)
+        const member = memberMatch.object
+        if (graph.match(member, ns.rdf('type'), ns.vcard('Group')).length > 0) {
+          this.subgroupUrls.add(member.value)
+        } else {
+          this.addMember(member)
+        }
       })
     return this
   }
 }
 
+/**
+ * Returns the graph from the result of a `fetchGraph()` call, which is either
+ * a parsed graph or a `{ graph, etag, ... }` object (see GroupListingCache).
+ * @param result {IndexedFormula|object}
+ * @returns {IndexedFormula}
+ */
+function graphFrom (result) {
+  if (result && typeof result.match !== 'function') {
+    return result.graph
+  }
+  return result
+}
+
+/**
+ * Tests whether two urls are in the same document (differ only in fragment).
+ * @param url1 {string}
+ * @param url2 {string}
+ * @returns {boolean}
+ */
+function sameDocument (url1, url2) {
+  return url1.split('#')[0] === url2.split('#')[0]
+}
+
 module.exports = GroupListing
+module.exports.DEFAULT_MAX_DEPTH = DEFAULT_MAX_DEPTH
@@ -4,15 +4,42 @@
  */
 
 const { PermissionSet } = require('./permission-set')
-const { Permission, Agent, SingleAgent, Group, Everyone } = require('./permission')
+const GroupListing = require('./group-listing')
+const GroupListingCache = require('./group-listing-cache')
+const PermissionDiff = require('./permission-diff')
+const {
+  Permission, Agent, SingleAgent, Group, Everyone, AuthenticatedAgent
+} = require('./permission')
+const { LockoutError } = require('./errors')
+const {
+  suffixStrategy, queryStrategy, linkHeaderStrategy
+} = require('./acl-strategies')
+const {
+  acp, Matcher, Policy, AccessControl, AccessControlResource
+} = require('./acp')
+const { requiredModesFor } = require('./required-modes')
 const aclModes = require('./modes')
 
 module.exports = {
   PermissionSet,
+  GroupListing,
+  GroupListingCache,
+  PermissionDiff,
   Permission,
   Agent,
   SingleAgent,
   Group,
   Everyone,
+  AuthenticatedAgent,
+  LockoutError,
+  suffixStrategy,
+  queryStrategy,
+  linkHeaderStrategy,
+  acp,
+  Matcher,
+  Policy,
+  AccessControl,
+  AccessControlResource,
+  requiredModesFor,
   ...aclModes.acl
 }
@@ -0,0 +1,417 @@
+'use strict'
+/**
+ * JSON-LD serialization and parsing of ACL documents, in a single fixed,
+ * compacted form using the WAC context (`WAC_CONTEXT`). This is not a JSON-LD
+ * processor: serialization always produces that form, and parsing only
+ * accepts documents in that form (such as ones written by this module, or
+ * edited without changing their shape), and rejects any other JSON-LD.
+ * @see https://www.w3.org/TR/json-ld/
+ * @module json-ld
+ */
+
+const JSON_LD_CONTENT_TYPE = 'application/ld+json'
+
+const ACL = 'http://www.w3.org/ns/auth/acl#'
+const ACP = 'http://www.w3.org/ns/solid/acp#'
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type'
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string'
+
+/**
+ * Compacted JSON-LD context for WAC documents, including the extensions that
+ * permissions support (denials, validity windows, client and issuer
+ * restrictions).
+ */
+const WAC_CONTEXT = {
+  acl: ACL,
+  acp: ACP,
+  foaf: 'http://xmlns.com/foaf/0.1/',
+  schema: 'http://schema.org/',
+  vcard: 'http://www.w3.org/2006/vcard/ns#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  Authorization: 'acl:Authorization',
+  Denial: 'acl:Denial',
+  Read: 'acl:Read',
+  Write: 'acl:Write',
+  Append: 'acl:Append',
+  Control: 'acl:Control',
+  AuthenticatedAgent: 'acl:AuthenticatedAgent',
+  agent: { '@id': 'acl:agent', '@type': '@id' },
+  agentGroup: { '@id': 'acl:agentGroup', '@type': '@id' },
+  agentClass: { '@id': 'acl:agentClass', '@type': '@vocab' },
+  accessTo: { '@id': 'acl:accessTo', '@type': '@id' },
+  default: { '@id': 'acl:default', '@type': '@id' },
+  defaultForNew: { '@id': 'acl:defaultForNew', '@type': '@id' },
+  origin: { '@id': 'acl:origin', '@type': '@id' },
+  mode: { '@id': 'acl:mode', '@type': '@vocab' },
+  client: { '@id': 'acp:client', '@type': '@id' },
+  issuer: { '@id': 'acp:issuer', '@type': '@id' },
+  validFrom: { '@id': 'schema:validFrom', '@type': 'xsd:dateTime' },
+  validThrough: { '@id': 'schema:validThrough', '@type': 'xsd:dateTime' }
+}
+
+/**
+ * Order in which terms are serialized (other predicates are sorted after
+ * these, by IRI).
+ */
+const TERM_ORDER = [
+  'agent', 'agentGroup', 'agentClass', 'accessTo', 'default', 'defaultForNew',
+  'mode', 'origin', 'client', 'issuer', 'validFrom', 'validThrough'
+]
+
+/**
+ * Converts a graph (of an ACL resource) to a compacted JSON-LD document.
+ * Output is stable: subjects, properties and values are sorted, and fragment
+ * IRIs of the ACL document itself are written relative to it (`#owner`).
+ * @param graph {IndexedFormula}
+ * @param [baseUrl] {string} URL of the ACL document
+ * @returns {object} JSON-LD document, with `@context` and `@graph`
+ */
+function toJsonLd (graph, { baseUrl } = {}) {
+  const context = parseContext(WAC_CONTEXT)
+  const nodes = {}
+  for (const { subject, predicate, object } of graph.match()) {
+    const id = compactIri(subject, { baseUrl })
+    const node = nodes[id] || (nodes[id] = { '@id': id })
+    if (predicate.value === RDF_TYPE && object.termType !== 'Literal') {
+      addValue(node, '@type', context.compactVocab(object.value))
+      continue
+    }
+    const term = context.termFor(predicate.value)
+    const key = term || predicate.value
+    addValue(node, key, compactValue(object, { term, context, baseUrl }))
+  }
+  const sortedNodes = Object.keys(nodes).sort()
+    .map(id => sortNode(nodes[id]))
+  return { '@context': WAC_CONTEXT, '@graph': sortedNodes }
+}
+
+/**
+ * Parses a JSON-LD document (string or object) into a new RDF graph. Only the
+ * compacted form produced by `toJsonLd()` is supported: an object with exactly
+ * `WAC_CONTEXT` as its `@context`, and a flat `@graph` of node objects. Other
+ * JSON-LD (other or remote contexts, expanded or nested nodes, `@list` and
+ * other keywords, relative IRIs other than fragments of the ACL document) is
+ * rejected, rather than read differently than a JSON-LD processor would.
+ * @param source {string|object} JSON-LD document
+ * @param baseUrl {string} Base url (of the ACL document)
+ * @param rdf {RDF} RDF library
+ * @throws {Error} On invalid JSON, or JSON-LD that is not in the supported form
+ * @returns {IndexedFormula}
+ */
+function parseJsonLd (source, { baseUrl, rdf }) {
+  let doc = source
+  if (typeof source === 'string') {
+    try {
+      doc = JSON.parse(source)
+    } catch (error) {
+      throw new Error(`Error parsing JSON-LD: ${error.message}`)
+    }
+  }
+  if (!isObject(doc) || !sameJson(doc['@context'], WAC_CONTEXT)) {
+    throw unsupported('the @context must be the WAC context')
+  }
+  const extraKey = Object.keys(doc).find(key => key !== '@context' && key !== '@graph')
+  if (extraKey) {
+    throw unsupported(`unexpected '${extraKey}' next to the @graph`)
+  }
+  if (!Array.isArray(doc['@graph'])) {
+    throw unsupported('the nodes must be in a @graph array')
+  }
+  const graph = rdf.graph()
+  const options = {
+    graph, rdf, context: parseContext(WAC_CONTEXT), baseUrl, blankNodes: {}
+  }
+  for (const node of doc['@graph']) {
+    addNode(node, options)
+  }
+  return graph
+}
+
+/**
+ * Returns the error thrown for JSON-LD that is not in the supported form.
+ * @param message {string}
+ * @returns {Error}
+ */
+function unsupported (message) {
+  return new Error(`Unsupported JSON-LD (only the compacted WAC form is supported): ${message}`)
+}
+
+/**
+ * Adds the statements of a single (top level) JSON-LD node object to a graph.
+ */
+function addNode (node, options) {
+  const { graph, rdf, context } = options
+  if (!isObject(node) || typeof node['@id'] !== 'string') {
+    throw unsupported(`not a node object with an @id: ${JSON.stringify(node)}`)
+  }
+  const subject = nodeTerm(node['@id'], options)
+  for (const key of Object.keys(node)) {
+    if (key === '@id') {
+      continue
+    }
+    const values = [].concat(node[key])
+    if (key === '@type') {
+      for (const type of values) {
+        graph.add(subject, rdf.namedNode(RDF_TYPE), rdf.namedNode(vocabIri(type, options)))
+      }
+      continue
+    }
+    const definition = context.definitions[key]
+    let predicate
+    if (isObject(definition)) {
+      predicate = context.expandIri(definition['@id'])
+    } else if (!definition && isAbsoluteIri(key, context)) {
+      predicate = key
+    } else {
+      throw unsupported(`'${key}' is not a WAC property term or an absolute IRI`)
+    }
+    const type = definition && definition['@type']
+    for (const value of values) {
+      graph.add(subject, rdf.namedNode(predicate), objectTerm(value, type, options))
+    }
+  }
+}
+
+/**
+ * Converts a single JSON-LD value to an RDF term, as compacted by
+ * `compactValue()`.
+ * @param value {string|object}
+ * @param [type] {string} `@type` of the property's term definition
+ * @returns {Term}
+ */
+function objectTerm (value, type, options) {
+  const { rdf } = options
+  if (typeof value === 'string') {
+    if (type === '@id') {
+      return nodeTerm(value, options)
+    }
+    if (type === '@vocab') {
+      return rdf.namedNode(vocabIri(value, options))
+    }
+    return type
+      ? rdf.literal(value, rdf.namedNode(vocabIri(type, options)))
+      : rdf.literal(value)
+  }
+  if (!isObject(value)) {
+    throw unsupported(`unsupported value: ${JSON.stringify(value)}`)
+  }
+  const keys = Object.keys(value).sort().join(' ')
+  if (!type && keys === '@id' && typeof value['@id'] === 'string') {
+    return nodeTerm(value['@id'], options)
+  }
+  if (typeof value['@value'] === 'string') {
+    if (keys === '@value') {
+      return rdf.literal(value['@value'])
+    }
+    if (keys === '@type @value' && typeof value['@type'] === 'string') {
+      return rdf.literal(value['@value'], rdf.namedNode(vocabIri(value['@type'], options)))
+    }
+    if (keys === '@language @value' && typeof value['@language'] === 'string') {
+      return rdf.literal(value['@value'], value['@language'])
+    }
+  }
+  throw unsupported(`unsupported value: ${JSON.stringify(value)}`)
+}
+
+/**
+ * Converts a compacted node id (see `compactIri()`) to an RDF term: a fragment
+ * of the ACL document (`#owner`), a blank node (`_:b0`) or an absolute IRI.
+ * @param id {string}
+ * @returns {NamedNode|BlankNode}
+ */
+function nodeTerm (id, { rdf, context, baseUrl, blankNodes }) {
+  if (id.startsWith('_:')) {
+    return blankNodes[id] || (blankNodes[id] = rdf.blankNode())
+  }
+  if (id.startsWith('#') && baseUrl) {
+    return rdf.namedNode(baseUrl + id)
+  }
+  if (isAbsoluteIri(id, context)) {
+    return rdf.namedNode(id)
+  }
+  throw unsupported(`'${id}' is not a fragment, a blank node id or an absolute IRI`)
+}
+
+/**
+ * Expands a compacted vocabulary IRI (see `compactVocab()`): a term of the
+ * WAC context (`Read`), a prefixed name (`foaf:Agent`) or an absolute IRI.
+ * @param value {string}
+ * @returns {string}
+ */
+function vocabIri (value, { context }) {
+  if (typeof value === 'string') {
+    const definition = context.definitions[value]
+    if (typeof definition === 'string' && !context.isPrefix(value)) {
+      return context.expandIri(definition)
+    }
+    const colon = value.indexOf(':')
+    if (colon > 0 && (isAbsoluteIri(value, context) || context.isPrefix(value.slice(0, colon)))) {
+      return context.expandIri(value)
+    }
+  }
+  throw unsupported(`'${value}' is not a WAC term, a prefixed name or an absolute IRI`)
+}
+
+/**
+ * Tests whether a string is an absolute IRI (and not a prefixed name using
+ * one of the context's prefixes).
+ * @param value {string}
+ * @param context {object} See `parseContext()`
+ * @returns {boolean}
+ */
+function isAbsoluteIri (value, context) {
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value)
+  return !!scheme && !context.isPrefix(scheme[1])
+}
+
+/**
+ * Processes the (fixed) context definitions into a helper object for
+ * expanding and compacting IRIs.
+ * @param definitions {object} Context definitions
+ * @returns {{definitions: object, isPrefix: Function, expandIri: Function,
+ *   termFor: Function, compactVocab: Function}}
+ */
+function parseContext (definitions) {
+  const termId = term => {
+    const definition = definitions[term]
+    return typeof definition === 'string' ? definition : definition['@id']
+  }
+  const isPrefix = term => !term.startsWith('@') &&
+    typeof definitions[term] === 'string' && /[#/]$/.test(definitions[term])
+
+  function expandIri (value) {
+    const colon = value.indexOf(':')
+    const prefix = value.slice(0, colon)
+    if (colon > 0 && isPrefix(prefix)) {
+      return definitions[prefix] + value.slice(colon + 1)
+    }
+    return value // Absolute IRI
+  }
+
+  // Reverse lookups, for compaction
+  const propertyTerms = {}
+  const vocabTerms = {}
+  for (const term of Object.keys(definitions)) {
+    if (term.startsWith('@') || !definitions[term] || isPrefix(term)) {
+      continue
+    }
+    if (typeof definitions[term] === 'string') {
+      vocabTerms[expandIri(termId(term))] = term
+    } else if (definitions[term]['@id']) {
+      propertyTerms[expandIri(termId(term))] = term
+    }
+  }
+
+  function termFor (iri) {
+    return propertyTerms[iri]
+  }
+
+  function compactVocab (iri) {
+    if (vocabTerms[iri]) {
+      return vocabTerms[iri]
+    }
+    const prefix = Object.keys(definitions).find(term => isPrefix(term) &&
+      iri.startsWith(definitions[term]) && iri.length > definitions[term].length)
+    return prefix ? prefix + ':' + iri.slice(definitions[prefix].length) : iri
+  }
+
+  return { definitions, isPrefix, expandIri, termFor, compactVocab }
+}
+
+/**
+ * Compacts an IRI relative to the ACL document, if it's one of its fragments.
+ */
+function compactIri (term, { baseUrl }) {
+  if (term.termType === 'BlankNode') {
+    return '_:' + term.value
+  }
+  const iri = term.value
+  if (baseUrl && iri.startsWith(baseUrl + '#')) {
+    return iri.slice(baseUrl.length)
+  }
+  return iri
+}
+
+/**
+ * Compacts an object term, according to its term definition.
+ */
+function compactValue (object, { term, context, baseUrl }) {
+  if (object.termType === 'Literal') {
+    const datatype = object.datatype && object.datatype.value
+    if (object.language) {
+      return { '@value': object.value, '@language': object.language }
+    }
+    if (!datatype || datatype === XSD_STRING) {
+      // Strings of typed terms would be read back as IRIs or typed literals
+      return term ? { '@value': object.value } : object.value
+    }
+    const compactDatatype = context.compactVocab(datatype)
+    if (term && context.definitions[term]['@type'] === compactDatatype) {
+      return object.value
+    }
+    return { '@value': object.value, '@type': compactDatatype }
+  }
+  const type = term && context.definitions[term]['@type']
+  if (type === '@vocab') {
+    return context.compactVocab(object.value)
+  }
+  const iri = compactIri(object, { baseUrl })
+  return type === '@id' ? iri : { '@id': iri }
+}
+
+function isObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Tests whether two JSON values are equal, regardless of key order.
+ */
+function sameJson (a, b) {
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a)
+    return keys.length === Object.keys(b).length && keys.every(key =>
+      Object.prototype.hasOwnProperty.call(b, key) && sameJson(a[key], b[key]))
+  }
+  return a === b
+}
+
+function addValue (node, key, value) {
+  if (!(key in node)) {
+    node[key] = value
+  } else {
+    node[key] = [].concat(node[key], value)
+  }
+}
+
+/**
+ * Returns a copy of a node with its keys and values in a stable order.
+ */
+function sortNode (node) {
+  const rank = key => {
+    if (key === '@id') { return -2 }
+    if (key === '@type') { return -1 }
+    const index = TERM_ORDER.indexOf(key)
+    return index === -1 ? TERM_ORDER.length : index
+  }
+  const keys = Object.keys(node)
+    .sort((a, b) => (rank(a) - rank(b)) || compare(a, b))
+  const sorted = {}
+  for (const key of keys) {
+    const value = node[key]
+    sorted[key] = Array.isArray(value)
+      ? value.slice().sort((a, b) => compare(JSON.stringify(a), JSON.stringify(b)))
+      : value
+  }
+  return sorted
+}
+
+function compare (a, b) {
+  return a < b ? -1 : (a > b ? 1 : 0)
+}
+
+module.exports = {
+  JSON_LD_CONTENT_TYPE,
+  WAC_CONTEXT,
+  toJsonLd,
+  parseJsonLd
+}
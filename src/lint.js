@@ -0,0 +1,189 @@
+'use strict'
+/**
+ * Validation (linting) of ACL resources. Reports authorizations that are
+ * ignored, partly ignored or likely mistaken when an ACL graph is loaded into
+ * a PermissionSet (which otherwise skips them silently).
+ * See `PermissionSet.validate()` and `permissionSet.lint()`.
+ * @module lint
+ */
+
+const vocab = require('solid-namespace')
+const { acl } = require('./modes')
+const { normalizeUrl, isInContainer } = require('./urls')
+
+const ERROR = 'error'
+const WARNING = 'warning'
+
+const KNOWN_MODES = [acl.READ, acl.WRITE, acl.APPEND, acl.CONTROL]
+const KNOWN_AGENT_CLASSES = [acl.EVERYONE, acl.AUTHENTICATED]
+
+/**
+ * Creates a diagnostic (a single lint result).
+ * @param severity {string} 'error' (the authorization, or part of it, has no
+ *   effect) or 'warning' (it's likely not what was intended)
+ * @param code {string} Machine-readable kind of problem, such as `no-mode`
+ * @param message {string}
+ * @param subject {string|null} IRI of the authorization in question
+ * @returns {{severity: string, code: string, message: string,
+ *   subject: string|null}}
+ */
+function diagnostic (severity, code, message, subject) {
+  return { severity, code, message, subject }
+}
+
+/**
+ * Validates the authorizations in an ACL graph. Each authorization (any
+ * subject with an `acl:` property, or typed `acl:Authorization`) is checked
+ * for:
+ *
+ *   - `no-mode`, `no-agent`, `no-resource` (errors): the authorization is
+ *     ignored, and will be dropped the next time the ACL is saved
+ *   - `mailto-only-agents` (error): `mailto:` agents are not matched against
+ *     requests, so such an authorization grants nothing
+ *   - `unknown-mode` (error): a mode that is not an ACL access mode. It is
+ *     kept (and saved back), but grants no access
+ *   - `unknown-agent-class` (error): ignored value
+ *   - `invalid-timestamp` (error): a `schema:validFrom`/`schema:validThrough`
+ *     that is not a single valid timestamp, so the authorization is ignored
+ *   - `missing-type` (warning): no `a acl:Authorization` (or `a acl:Denial`)
+ *   - `default-on-non-container` (warning): `acl:default` on a resource that
+ *     is not a container
+ *   - `outside-resource` (warning): `acl:accessTo`/`acl:default` url outside
+ *     of the resource governed by the ACL
+ *   - `group-not-vcard-group` (warning): an `acl:agentGroup` that is not
+ *     typed `vcard:Group` in its group listing (only checked for groups
+ *     passed in via `groups`)
+ *
+ * @param graph {IndexedFormula} Parsed ACL resource
+ * @param options {object}
+ * @param options.rdf {RDF}
+ * @param [options.resourceUrl] {string} Resource governed by the ACL. If not
+ *   given, `outside-resource` is not checked.
+ * @param [options.aclUrl] {string}
+ * @param [options.isContainer=false] {boolean}
+ * @param [options.groups={}] {object} Loaded GroupListing objects, by url
+ *   (see `permissionSet.groups`)
+ * @returns {Array<object>} List of diagnostics (see `diagnostic()`), in the
+ *   order of the authorizations in the graph
+ */
+function validateGraph (graph, {
+  rdf, resourceUrl, aclUrl, isContainer = false, groups = {}
+}) {
+  const ns = vocab(rdf)
+  const diagnostics = []
+
+  const subjects = []
+  for (const { subject, predicate, object } of graph.match()) {
+    const isAuthorization = predicate.value.startsWith(ns.acl('').value) ||
+      (predicate.equals(ns.rdf('type')) &&
+        (object.equals(ns.acl('Authorization')) || object.equals(ns.acl('Denial'))))
+    if (isAuthorization && !subjects.some(s => s.equals(subject))) {
+      subjects.push(subject)
+    }
+  }
+
+  for (const subject of subjects) {
+    const report = (severity, code, message) => {
+      diagnostics.push(diagnostic(severity, code, message, subject.value))
+    }
+    const values = property => graph.match(subject, ns.acl(property))
+      .map(statement => statement.object.value)
+
+    if (graph.match(subject, ns.rdf('type'), ns.acl('Authorization')).length === 0 &&
+        graph.match(subject, ns.rdf('type'), ns.acl('Denial')).length === 0) {
+      report(WARNING, 'missing-type', 'Authorization is not typed acl:Authorization')
+    }
+
+    const modes = values('mode')
+    if (modes.length === 0) {
+      report(ERROR, 'no-mode', 'Authorization has no acl:mode, and is ignored')
+    }
+    for (const mode of modes.filter(mode => !KNOWN_MODES.includes(mode))) {
+      report(ERROR, 'unknown-mode', `Unknown access mode <${mode}> grants no access`)
+    }
+
+    for (const property of ['validFrom', 'validThrough']) {
+      const timestamps = graph.match(subject, ns.schema(property))
+      if (timestamps.length > 1 || timestamps.some(({ object }) => isNaN(new Date(object.value)))) {
+        report(ERROR, 'invalid-timestamp',
+          `Invalid schema:${property} timestamp, the authorization is ignored`)
+      }
+    }
+
+    const agents = values('agent')
+    const agentGroups = values('agentGroup')
+    const agentClasses = values('agentClass')
+    for (const agentClass of agentClasses.filter(c => !KNOWN_AGENT_CLASSES.includes(c))) {
+      report(ERROR, 'unknown-agent-class', `Unknown agent class <${agentClass}> is ignored`)
+    }
+    const webIds = agents.filter(agent => !agent.startsWith('mailto:'))
+    const knownClasses = agentClasses.filter(c => KNOWN_AGENT_CLASSES.includes(c))
+    if (webIds.length + agentGroups.length + knownClasses.length === 0) {
+      if (agents.length > 0) {
+        report(ERROR, 'mailto-only-agents',
+          'Authorization only has mailto: agents, and grants nothing')
+      } else {
+        report(ERROR, 'no-agent',
+          'Authorization has no acl:agent, acl:agentGroup or acl:agentClass, and is ignored')
+      }
+    }
+
+    for (const groupUrl of agentGroups) {
+      const group = groups[groupUrl]
+      if (group && group.graph &&
+          group.graph.match(rdf.namedNode(groupUrl), ns.rdf('type'),
+            ns.vcard('Group')).length === 0) {
+        report(WARNING, 'group-not-vcard-group',
+          `Group <${groupUrl}> is not typed vcard:Group in its group listing`)
+      }
+    }
+
+    const accessTo = values('accessTo')
+    const defaults = values('default').concat(values('defaultForNew'))
+    if (accessTo.length + defaults.length === 0) {
+      report(ERROR, 'no-resource',
+        'Authorization has no acl:accessTo or acl:default, and is ignored')
+    }
+    for (const containerUrl of defaults) {
+      if (!isContainer || !containerUrl.endsWith('/')) {
+        report(WARNING, 'default-on-non-container',
+          `acl:default <${containerUrl}> is not a container`)
+      }
+    }
+    if (resourceUrl) {
+      for (const url of accessTo.concat(defaults)) {
+        if (!isWithinResource(url, { resourceUrl, aclUrl, isContainer })) {
+          report(WARNING, 'outside-resource',
+            `<${url}> is outside of the resource governed by this ACL, <${resourceUrl}>`)
+        }
+      }
+    }
+  }
+  return diagnostics
+}
+
+/**
+ * Tests whether a url (of an `acl:accessTo`/`acl:default` statement) is
+ * governed by an ACL: the resource itself (or the ACL), or for containers,
+ * any of its contents.
+ * @param url {string}
+ * @param resourceUrl {string}
+ * @param [aclUrl] {string}
+ * @param isContainer {boolean}
+ * @returns {boolean}
+ */
+function isWithinResource (url, { resourceUrl, aclUrl, isContainer }) {
+  const normalized = normalizeUrl(url)
+  if (normalized === normalizeUrl(resourceUrl) ||
+      (aclUrl && normalized === normalizeUrl(aclUrl))) {
+    return true
+  }
+  return isContainer && isInContainer(resourceUrl, url)
+}
+
+module.exports = {
+  ERROR,
+  WARNING,
+  diagnostic,
+  validateGraph
+}
@@ -12,7 +12,9 @@ const WRITE = ns.acl('Write')
 const APPEND = ns.acl('Append')
 const CONTROL = ns.acl('Control')
 const EVERYONE = ns.foaf('Agent')
+const AUTHENTICATED = ns.acl('AuthenticatedAgent')
 const ALL_MODES = [READ, WRITE, CONTROL]
+const MODES_BY_KEY = { READ, WRITE, APPEND, CONTROL }
 
 // ACL-related convenience constants
 const INHERIT = true
@@ -20,6 +22,35 @@ const NOT_INHERIT = !INHERIT
 const ACCESS_TO = 'accessTo'
 const DEFAULT = 'default'
 
+/**
+ * Normalizes a given access mode to its full IRI.
+ * @param accessMode {string|NamedNode} Either a named node or IRI for the
+ *   access mode, or a string key ('write', 'read' etc) that maps to that mode.
+ * @returns {string}
+ */
+function normalizeMode (accessMode) {
+  if (accessMode && accessMode.value) {
+    accessMode = accessMode.value
+  }
+  return MODES_BY_KEY[accessMode.toUpperCase()] || accessMode
+}
+
+/**
+ * Returns the short name ('Read', 'Write' etc) of an `acl:` access mode, or
+ * the full IRI for modes outside of the `acl:` namespace.
+ * @param accessMode {string} Access mode IRI
+ * @returns {string}
+ */
+function modeName (accessMode) {
+  const namespace = ns.acl('')
+  return accessMode.startsWith(namespace)
+    ? accessMode.slice(namespace.length)
+    : accessMode
+}
+
+module.exports.normalizeMode = normalizeMode
+module.exports.modeName = modeName
+
 module.exports.acl = {
   ALL_MODES,
   READ,
@@ -27,6 +58,7 @@ module.exports.acl = {
   APPEND,
   CONTROL,
   EVERYONE,
+  AUTHENTICATED,
   INHERIT,
   NOT_INHERIT,
   ACCESS_TO,
@@ -0,0 +1,169 @@
+'use strict'
+/**
+ * Differences between two versions of a permission set (see
+ * `PermissionSet.diff()`), for displaying edits to an ACL and for
+ * applying them as minimal updates (SPARQL Update or N3 Patch).
+ * @module permission-diff
+ */
+
+/**
+ * A change to a single permission that exists in both versions. Validity
+ * windows and client and issuer restrictions are part of the permission id,
+ * so changing them shows up as a removed and an added permission instead.
+ * @typedef {object} PermissionChange
+ * @property id {string} Permission id
+ * @property before {Permission}
+ * @property after {Permission}
+ * @property addedModes {Array<string>}
+ * @property removedModes {Array<string>}
+ * @property addedOrigins {Array<string>}
+ * @property removedOrigins {Array<string>}
+ */
+
+/**
+ * @class PermissionDiff
+ */
+class PermissionDiff {
+  /**
+   * @param [added=[]] {Array<Permission>} Permissions only in the new version
+   * @param [removed=[]] {Array<Permission>} Permissions only in the old version
+   * @param [changed=[]] {Array<PermissionChange>}
+   * @param [deletions=[]] {Array<Statement>} RDF statements only in the
+   *   serialization of the old version
+   * @param [insertions=[]] {Array<Statement>} RDF statements only in the
+   *   serialization of the new version
+   */
+  constructor ({
+    added = [], removed = [], changed = [], deletions = [], insertions = []
+  } = {}) {
+    this.added = added
+    this.removed = removed
+    this.changed = changed
+    this.deletions = deletions
+    this.insertions = insertions
+  }
+
+  /**
+   * Computes the differences between two permission sets (virtual
+   * permissions are not compared). Used by `PermissionSet.diff()`.
+   * @param before {PermissionSet}
+   * @param after {PermissionSet}
+   * @param [rdf] {RDF} RDF library
+   * @param [naming] {string} See `PermissionSet.buildGraph()`
+   * @param [compact] {boolean} See `PermissionSet.buildGraph()`
+   * @returns {PermissionDiff}
+   */
+  static between (before, after, { rdf = after.rdf, naming, compact } = {}) {
+    const explicit = ps => new Map(ps.allPermissions()
+      .filter(permission => !permission.virtual)
+      .map(permission => [permission.id, permission]))
+    const beforePermissions = explicit(before)
+    const afterPermissions = explicit(after)
+
+    const added = []
+    const changed = []
+    for (const [id, permission] of afterPermissions) {
+      const previous = beforePermissions.get(id)
+      if (!previous) {
+        added.push(permission)
+      } else if (!previous.equals(permission)) {
+        changed.push({
+          id,
+          before: previous,
+          after: permission,
+          addedModes: difference(permission.allModes(), previous.allModes()),
+          removedModes: difference(previous.allModes(), permission.allModes()),
+          addedOrigins: difference(permission.allOrigins(), previous.allOrigins()),
+          removedOrigins: difference(previous.allOrigins(), permission.allOrigins())
+        })
+      }
+    }
+    const removed = Array.from(beforePermissions.values())
+      .filter(permission => !afterPermissions.has(permission.id))
+
+    const beforeGraph = before.buildGraph(rdf, { naming, compact })
+    const afterGraph = after.buildGraph(rdf, { naming, compact })
+    const deletions = beforeGraph.match()
+      .filter(statement => !holds(afterGraph, statement))
+    const insertions = afterGraph.match()
+      .filter(statement => !holds(beforeGraph, statement))
+
+    return new PermissionDiff({ added, removed, changed, deletions, insertions })
+  }
+
+  /**
+   * Tests whether there are no differences.
+   * @returns {boolean}
+   */
+  get isEmpty () {
+    return this.added.length === 0 && this.removed.length === 0 &&
+      this.changed.length === 0
+  }
+
+  /**
+   * Returns a SPARQL Update query that applies this diff to the ACL resource
+   * (as serialized from the old version of the permission set, since the
+   * deleted statements have to match exactly).
+   * @returns {string} Empty string if there are no statement level changes
+   */
+  toSparqlUpdate () {
+    const operations = []
+    if (this.deletions.length > 0) {
+      operations.push(`DELETE DATA {\n${statementLines(this.deletions)}\n}`)
+    }
+    if (this.insertions.length > 0) {
+      operations.push(`INSERT DATA {\n${statementLines(this.insertions)}\n}`)
+    }
+    return operations.join(';\n')
+  }
+
+  /**
+   * Returns an N3 Patch document that applies this diff to the ACL resource
+   * (see `toSparqlUpdate()`).
+   * @see https://solidproject.org/TR/protocol#n3-patch
+   * @returns {string} Empty string if there are no statement level changes
+   */
+  toN3Patch () {
+    if (this.deletions.length === 0 && this.insertions.length === 0) {
+      return ''
+    }
+    const clauses = []
+    if (this.deletions.length > 0) {
+      clauses.push(`solid:deletes {\n${statementLines(this.deletions)}\n}`)
+    }
+    if (this.insertions.length > 0) {
+      clauses.push(`solid:inserts {\n${statementLines(this.insertions)}\n}`)
+    }
+    return '@prefix solid: <http://www.w3.org/ns/solid/terms#>.\n' +
+      `_:patch a solid:InsertDeletePatch;\n  ${clauses.join(';\n  ')}.\n`
+  }
+}
+
+/**
+ * Returns the items of one array that are not in another.
+ * @param items {Array}
+ * @param others {Array}
+ * @returns {Array}
+ */
+function difference (items, others) {
+  return items.filter(item => !others.includes(item))
+}
+
+function holds (graph, { subject, predicate, object }) {
+  return graph.match(subject, predicate, object).length > 0
+}
+
+/**
+ * Serializes statements as N-Triples, in a stable (sorted) order.
+ * @param statements {Array<Statement>}
+ * @returns {string}
+ */
+function statementLines (statements) {
+  return statements
+    .map(({ subject, predicate, object }) =>
+      `  ${subject.toNT()} ${predicate.toNT()} ${object.toNT()} .`)
+    .sort()
+    .join('\n')
+}
+
+module.exports = PermissionDiff
@@ -16,15 +16,39 @@
  *     as 'to be inherited', that is will have `acl:default` set.
  */
 
-const { Permission, SingleAgent, Everyone } = require('./permission')
+const {
+  Permission, SingleAgent, Group, Everyone, AuthenticatedAgent, normalizeOrigin,
+  assertJson
+} = require('./permission')
 const GroupListing = require('./group-listing')
-const { acl } = require('./modes')
+const { acl, normalizeMode, modeName } = require('./modes')
+const { JSON_LD_CONTENT_TYPE, toJsonLd, parseJsonLd } = require('./json-ld')
+const { ERROR, diagnostic, validateGraph } = require('./lint')
+const { LockoutError } = require('./errors')
+const {
+  normalizeUrl, containerUrlFor, closestContainer, parentContainerUrl
+} = require('./urls')
+const { DEFAULT_ACL_STRATEGY } = require('./acl-strategies')
+const { acp } = require('./acp')
+const { requiredModesFor } = require('./required-modes')
+const { requestContext } = require('./request-context')
+const PermissionDiff = require('./permission-diff')
 const vocab = require('solid-namespace')
+const debug = require('debug')('solid:permissions')
 const { promisify } = require('util')
 const rdflib = require('rdflib')
 
-const DEFAULT_ACL_SUFFIX = '.acl'
 const DEFAULT_CONTENT_TYPE = 'text/turtle'
+/**
+ * Version of the plain JSON schema produced by `PermissionSet.toJSON()`
+ */
+const JSON_SCHEMA_VERSION = 1
+/**
+ * Naming strategies for the authorizations of permissions that were not
+ * parsed from an ACL resource (see `buildGraph()`)
+ */
+const NAMING_STRATEGIES = ['preserve', 'hashed', 'slug']
+const DEFAULT_NAMING = 'preserve'
 /**
  * Resource types, used by PermissionSet objects
  */
@@ -36,6 +60,11 @@ const DEFAULT_CONTENT_TYPE = 'text/turtle'
  */
 const AGENT_INDEX = 'agents'
 const GROUP_INDEX = 'groups'
+/**
+ * Denial (`acl:Denial`) index names, same structure as the ones above
+ */
+const DENIED_AGENT_INDEX = 'deniedAgents'
+const DENIED_GROUP_INDEX = 'deniedGroups'
 
 class PermissionSet {
   /**
@@ -46,21 +75,61 @@ class PermissionSet {
    * @param [permissions={}] {object} Hashmap of all Permissions in this
    *   permission set, keyed by a hashed combination of an agent's/group's webId
    *   and the resourceUrl.
+   * @param [strictOrigin=false] {boolean} Enforce strict origin checking? If
+   *   true, requests carrying an `Origin:` header from an untrusted origin are
+   *   only granted access by permissions that list that origin (`acl:origin`).
+   * @param [trustedOrigins=[]] {Array<string>} Origins that are always trusted
+   *   (in addition to the resource's own origin), such as the server's own
+   *   data browser app.
+   * @param [groupCache] {GroupListingCache} Cache of group listings used by
+   *   `loadGroups()`, typically shared between permission sets. If not set,
+   *   group listings are fetched once per permission set.
+   * @param [preventLockout=false] {boolean} Lockout protection: if true,
+   *   `removeMode()`, `removePermission()` and `serialize()` throw a
+   *   `LockoutError` instead of leaving the resource without anyone that has
+   *   `acl:Control` over it (see `assertControlRetained()`).
+   * @param [ownerWebId] {string} Owner of the resource, who must retain
+   *   Control when lockout protection is enabled.
+   * @param [aclStrategy] {AclStrategy} ACL url conventions of the server (see
+   *   the `acl-strategies` module). Defaults to the `.acl` suffix.
    */
-  constructor ({ resourceUrl, aclUrl, isContainer = false, rdf = rdflib, index, permissions = {} } = {}) {
+  constructor ({
+    resourceUrl, aclUrl, isContainer = false, rdf = rdflib, index,
+    permissions = {}, strictOrigin = false, trustedOrigins = [], groupCache,
+    preventLockout = false, ownerWebId, aclStrategy = DEFAULT_ACL_STRATEGY
+  } = {}) {
     this.resourceUrl = resourceUrl
-    this.aclUrl = aclUrl || aclUrlFor(resourceUrl)
+    this.aclStrategy = aclStrategy
+    this.aclUrl = aclUrl || aclStrategy.aclUrlFor(resourceUrl)
     this.isContainer = isContainer
     this.rdf = rdf
     this.permissions = permissions
+    this.strictOrigin = strictOrigin
+    this.trustedOrigins = trustedOrigins
+    this.groupCache = groupCache
+    this.preventLockout = preventLockout
+    this.ownerWebId = ownerWebId
     this.index = index || {
       agents: {}, // Permissions by agent webId
-      groups: {} // Permissions by group webId (also includes Public/EVERYONE)
+      groups: {}, // Permissions by group webId (also includes Public/EVERYONE
+      // and AUTHENTICATED)
+      deniedAgents: {}, // Denials, indexed the same way as agents and groups
+      deniedGroups: {}
     }
     /**
      * Cache of GroupListing objects, by group webId. Populated by `loadGroups()`.
      */
     this.groups = {}
+    /**
+     * Errors encountered while loading group listings, by group webId.
+     * Populated by `loadGroups()`.
+     */
+    this.failedGroups = {}
+    /**
+     * Apps approved by agents in their profiles (`acl:trustedApp`), as lists of
+     * `{ origin, modes }`, by agent webId. Populated by `loadTrustedApps()`.
+     */
+    this.trustedApps = {}
   }
 
   /**
@@ -87,113 +156,1090 @@ class PermissionSet {
     return this.groupUrls().length > 0
   }
 
+  /**
+   * Tests whether this permission set has any denials (`acl:Denial`)
+   * @returns {boolean}
+   */
+  get hasDenials () {
+    return this.allPermissions().some(permission => permission.deny)
+  }
+
+  /**
+   * Authorizes a request: tests which of the requested access modes an agent
+   * has on a resource, given the full context of the request. This is the
+   * main entry point of this solid-permissions library (`checkAccess()` is
+   * the shorthand for a single mode). Each mode is evaluated as described in
+   * `checkAccess()`. Usage:
+   *
+   *   ```
+   *   const result = await ps.authorize({
+   *     resourceUrl: 'https://alice.com/docs/file1',
+   *     modes: [acl.READ, acl.WRITE],
+   *     agent: {
+   *       webId: 'https://bob.com/#me',
+   *       clientId: 'https://app.example/id',
+   *       issuer: 'https://idp.example'
+   *     },
+   *     origin: 'https://app.example',
+   *     time: new Date()
+   *   }, { fetchGraph })
+   *   // ->
+   *   {
+   *     granted: false, // all of the modes are granted
+   *     modes: {
+   *       'http://www.w3.org/ns/auth/acl#Read': true,
+   *       'http://www.w3.org/ns/auth/acl#Write': false
+   *     },
+   *     decisions: [...] // decision records, see `explainAccess()`
+   *   }
+   *   ```
+   * @param request {object} Evaluation context
+   * @param [request.resourceUrl] {string} Defaults to the permission set's
+   *   resource
+   * @param request.modes {Array<string|NamedNode>} Access modes
+   *   (read/write/control etc), at least one
+   * @param [request.agent] {object} None if unauthenticated
+   * @param [request.agent.webId] {string}
+   * @param [request.agent.clientId] {string} Client application id
+   *   (Solid-OIDC `client_id`)
+   * @param [request.agent.issuer] {string} Identity provider of the
+   *   credentials
+   * @param [request.origin] {string} Contents of the request's `Origin:`
+   *   header, if any. Only used if `strictOrigin` is enabled.
+   * @param [request.time=new Date()] {Date} Evaluation time. Permissions with
+   *   a validity window (see `Permission`) only apply within it.
+   * @param [options={}] {object} Passed through to `loadGroups()` and
+   *   `loadTrustedApps()`
+   * @param [options.fetchGraph] {Function} Injected, returns a parsed graph of
+   *   a remote document (group listing, agent profile). Required for groups.
+   * @param [options.rdf] {RDF} RDF library
+   * @throws {Error}
+   * @returns {Promise<{granted: boolean, modes: object,
+   *   decisions: Array<object>}>} Whether all the modes are granted, a
+   *   hashmap of booleans by (requested, normalized to its IRI) access mode,
+   *   and a decision record for each mode
+   */
+  async authorize (request, options = {}) {
+    const { resourceUrl, modes, agent, origin, time } = request || {}
+    if (!Array.isArray(modes) || modes.length === 0) {
+      throw new Error('Cannot authorize a request without access modes')
+    }
+    const requests = modes.map(mode => ({ resourceUrl, mode }))
+    const decisions = await this.evaluate(requests,
+      requestContext(agent, { origin }), { ...options, now: time })
+    const results = {}
+    decisions.forEach((decision, i) => {
+      results[normalizeMode(modes[i])] = decision.granted
+    })
+    return {
+      granted: decisions.every(decision => decision.granted),
+      modes: results,
+      decisions
+    }
+  }
+
   /**
    * Tests whether the given agent has the specified access to a resource.
-   * This is one of the main use cases for this solid-permissions library.
+   * Shorthand for `authorize()` with a single mode.
    * Optionally performs strict origin checking (if `strictOrigin` is enabled
    * in the constructor's options).
+   *
+   * Evaluation order:
+   *   1. For each of the agent, its groups, and the public and authenticated
+   *     agent classes, the most specific permission applies: one for the
+   *     resource itself (`acl:accessTo`) over inherited ones (`acl:default`),
+   *     and the closest container's over ones further up.
+   *   2. Access is granted if any of these permissions grants the mode.
+   *   3. Denials (`acl:Denial`, an extension to WAC) are looked up the same
+   *     way. Deny overrides allow: an applicable denial revokes the mode,
+   *     unless a grant is more specific than the denial (for example, a grant
+   *     for the resource itself overrides a denial inherited from its
+   *     container). Denying either Write or Append denies both.
+   *
+   * Access to an ACL resource (see the `aclStrategy` constructor option) is
+   * governed by the resource it controls: any mode on the ACL requires
+   * `acl:Control` on that resource, direct or inherited.
+   *
+   * Permissions restricted to client applications or identity providers
+   * (`acp:client`, `acp:issuer`) only apply to requests made with one of them.
+   * The request's client id and issuer (from its Solid-OIDC credentials) are
+   * passed in with the agent, as an evaluation context:
+   *
+   *   ```
+   *   await ps.checkAccess(resourceUrl, {
+   *     webId: 'https://bob.com/#me',
+   *     clientId: 'https://app.example/id',
+   *     issuer: 'https://idp.example',
+   *     origin: 'https://app.example'
+   *   }, acl.READ, { fetchGraph })
+   *   ```
+   *
+   * With strict origin checking, origins that the agent has approved in their
+   * profile (`acl:trustedApp`) are allowed the approved modes, see
+   * `loadTrustedApps()`.
+   *
    * @param resourceUrl {string}
-   * @param agentId {string}
+   * @param agentId {string|object} WebId of the agent (none if
+   *   unauthenticated), or an evaluation context:
+   * @param [agentId.webId] {string}
+   * @param [agentId.clientId] {string} Client application id (`client_id`)
+   * @param [agentId.issuer] {string} Identity provider of the credentials
+   * @param [agentId.origin] {string} Same as `options.origin`
    * @param accessMode {string|NamedNode} Access mode (read/write/control etc)
    * @param [options={}] {object} Passed through to `loadGroups()`.
    * @param [options.fetchGraph] {Function} Injected, returns a parsed graph of
-   *   a remote document (group listing). Required.
+   *   a remote document (group listing, agent profile). Required for groups.
    * @param [options.rdf] {RDF} RDF library
+   * @param [options.origin] {string} Contents of the request's `Origin:`
+   *   header, if any. Only used if `strictOrigin` is enabled.
+   * @param [options.now=new Date()] {Date} Evaluation time. Permissions with a
+   *   validity window (see `Permission`) only apply within it.
    * @throws {Error}
    * @returns {Promise<boolean>}
    */
   async checkAccess (resourceUrl, agentId, accessMode, options = {}) {
+    const { agentId: webId, clientId, issuer, origin } = requestContext(agentId, options)
+    const { granted } = await this.authorize({
+      resourceUrl,
+      modes: [accessMode],
+      agent: { webId, clientId, issuer },
+      origin,
+      time: options.now
+    }, options)
+    return granted
+  }
+
+  /**
+   * Authorizes an HTTP request: checks the access modes that it requires (see
+   * `requiredModesFor()`) on the resource, its parent container, and, for
+   * ACL resources, the governed resource. Usage:
+   *
+   *   ```
+   *   const result = await ps.checkRequest({
+   *     method: 'PUT',
+   *     resourceUrl: 'https://alice.com/docs/file1',
+   *     exists: false,
+   *     agent: { webId: 'https://bob.com/#me' },
+   *     origin: 'https://app.example'
+   *   }, { fetchGraph })
+   *   // ->
+   *   {
+   *     granted: true,
+   *     checks: [
+   *       { resourceUrl: 'https://alice.com/docs/file1', granted: true,
+   *         modes: { 'http://www.w3.org/ns/auth/acl#Write': true },
+   *         decisions: [...] },
+   *       { resourceUrl: 'https://alice.com/docs/', granted: true,
+   *         modes: { 'http://www.w3.org/ns/auth/acl#Append': true },
+   *         decisions: [...] }
+   *     ]
+   *   }
+   *   ```
+   * The checked resources may be governed by different ACLs; by default, they
+   * are all checked against this permission set (for example, when it was
+   * resolved for a container, and inherited by the resource).
+   * @param request {object}
+   * @param request.method {string} HTTP method
+   * @param [request.resourceUrl] {string} Defaults to the permission set's
+   *   resource
+   * @param [request.exists] {boolean} See `requiredModesFor()`
+   * @param [request.isContainer] {boolean}
+   * @param [request.patchOperations] {Array<string>}
+   * @param [request.agent] {object} See `authorize()`
+   * @param [request.origin] {string}
+   * @param [request.time] {Date}
+   * @param [options={}] {object} See `authorize()`
+   * @param [options.permissionSetFor] {Function} Returns (a promise of) the
+   *   effective permission set of a given url, for example with
+   *   `PermissionSet.resolveEffective()`
+   * @throws {Error} For unsupported methods
+   * @returns {Promise<{granted: boolean, checks: Array<object>}>} Whether the
+   *   request is allowed, and the `authorize()` result for each resource
+   */
+  async checkRequest (request, options = {}) {
+    const {
+      method, resourceUrl = this.resourceUrl, exists, isContainer, patchOperations,
+      agent, origin, time
+    } = request
+    const { permissionSetFor = () => this } = options
+    const required = requiredModesFor({
+      method, resourceUrl, exists, isContainer, patchOperations, aclStrategy: this.aclStrategy
+    }).filter(({ modes }) => modes.length > 0)
+    const checks = []
+    for (const { resourceUrl, modes } of required) {
+      const permissionSet = await permissionSetFor(resourceUrl)
+      const result = await permissionSet.authorize(
+        { resourceUrl, modes, agent, origin, time }, options)
+      checks.push({ resourceUrl, ...result })
+    }
+    return {
+      granted: checks.every(check => check.granted),
+      checks
+    }
+  }
+
+  /**
+   * Same as `checkAccess()`, but instead of a boolean, returns a structured
+   * decision record explaining why access was granted or denied. Useful for
+   * debugging and support purposes. Usage:
+   *
+   *   ```
+   *   const decision = await ps.explainAccess(resourceUrl, webId, acl.APPEND)
+   *   // ->
+   *   {
+   *     granted: true,
+   *     resourceUrl: 'https://alice.com/docs/file1',
+   *     // Requests for an ACL resource: its url. The decision is then about
+   *     // Control (`accessMode`) on the governed resource (`resourceUrl`)
+   *     aclUrl: null,
+   *     agentId: 'https://bob.com/#me',
+   *     requestedMode: 'http://www.w3.org/ns/auth/acl#Append',
+   *     accessMode: 'http://www.w3.org/ns/auth/acl#Append',
+   *     modeNormalization: {
+   *       requested: 'http://www.w3.org/ns/auth/acl#Append',
+   *       satisfiedBy: 'http://www.w3.org/ns/auth/acl#Write'
+   *     },
+   *     grantedBy: {
+   *       type: 'group', // or 'public', 'authenticated', 'agent'
+   *       agentId: 'https://alice.com/groups#Friends',
+   *       permission: {
+   *         id: '...', accessType: 'default', inherited: true,
+   *         resourceUrl: 'https://alice.com/docs/' // the container matched
+   *       },
+   *       // Groups only: the (possibly nested) groups the agent was found in
+   *       membershipPath: [
+   *         'https://alice.com/groups#Friends', 'https://bob.com/groups#Family'
+   *       ]
+   *     },
+   *     deniedBy: null, // same structure as `grantedBy`, for denials
+   *     evaluatedAt: new Date(), // `options.now`
+   *     clientId: null, // evaluation context, see `checkAccess()`
+   *     issuer: null,
+   *     originRejected: [], // ids of permissions rejected by `checkOrigin()`
+   *     clientRejected: [], // ...by their client or issuer restrictions
+   *     groupsConsulted: ['https://alice.com/groups#Friends'],
+   *     groupsFailed: []
+   *   }
+   *   ```
+   * @param resourceUrl {string}
+   * @param agentId {string|object} WebId or evaluation context, see
+   *   `checkAccess()`
+   * @param accessMode {string|NamedNode} Access mode (read/write/control etc)
+   * @param [options={}] {object} See `checkAccess()`.
+   * @throws {Error}
+   * @returns {Promise<object>} Decision record
+   */
+  async explainAccess (resourceUrl, agentId, accessMode, options = {}) {
+    const [decision] = await this.evaluate([{ resourceUrl, mode: accessMode }],
+      requestContext(agentId, options), options)
+    return decision
+  }
+
+  /**
+   * Checks access for a batch of resources and modes, for a single agent (for
+   * example, to filter the contents of a container listing). Evaluates each
+   * one the same way as `checkAccess()`, but loads the group listings at most
+   * once, and looks up each resource's permissions only once. Usage:
+   *
+   *   ```
+   *   const results = await ps.checkAccessBatch([
+   *     { resourceUrl: 'https://alice.com/docs/file1', mode: acl.READ },
+   *     { resourceUrl: 'https://alice.com/docs/file1', mode: acl.WRITE },
+   *     { resourceUrl: 'https://alice.com/docs/file2', mode: acl.READ }
+   *   ], webId, { fetchGraph })
+   *   results.get('https://alice.com/docs/file1')
+   *   // -> { 'http://www.w3.org/ns/auth/acl#Read': true,
+   *   //      'http://www.w3.org/ns/auth/acl#Write': false }
+   *   ```
+   * @param requests {Array<{resourceUrl: string, mode: string}>}
+   * @param agentId {string|object} WebId or evaluation context, see
+   *   `checkAccess()`
+   * @param [options={}] {object} See `checkAccess()`
+   * @throws {Error}
+   * @returns {Promise<Map<string, object>>} Results by resource url, each
+   *   a hashmap of booleans by access mode IRI (as for `authorize()`, also
+   *   when requested by short name, such as 'read')
+   */
+  async checkAccessBatch (requests, agentId, options = {}) {
+    const decisions = await this.evaluate(requests,
+      requestContext(agentId, options), options)
+
+    const results = new Map()
+    decisions.forEach((decision, i) => {
+      const { resourceUrl, mode } = requests[i]
+      const result = results.get(resourceUrl) || {}
+      result[normalizeMode(mode)] = decision.granted
+      results.set(resourceUrl, result)
+    })
+    return results
+  }
+
+  /**
+   * Returns the urls that an agent has Read access to, in their original
+   * order. Convenience method for filtering LDP container listings, see
+   * `checkAccessBatch()`.
+   * @param urls {Array<string>}
+   * @param agentId {string|object} WebId or evaluation context, see
+   *   `checkAccess()`
+   * @param [options={}] {object} See `checkAccess()`
+   * @throws {Error}
+   * @returns {Promise<Array<string>>}
+   */
+  async filterReadable (urls, agentId, options = {}) {
+    const requests = urls.map(resourceUrl => ({ resourceUrl, mode: acl.READ }))
+    const results = await this.checkAccessBatch(requests, agentId, options)
+    return urls.filter(url => results.get(url)[acl.READ])
+  }
+
+  /**
+   * Evaluates a batch of resources and modes for a single request context,
+   * loading the group listings (and trusted apps) at most once, and looking
+   * up each resource's permissions only once. Used by `authorize()`,
+   * `explainAccess()` and `checkAccessBatch()`.
+   * @private
+   * @param requests {Array<{resourceUrl: string, mode: string}>}
+   * @param context {object} See `requestContext()`
+   * @param [options={}] {object} See `authorize()`
+   * @param [options.now] {Date} Evaluation time
+   * @throws {Error}
+   * @returns {Promise<Array<object>>} Decision records, in the order of the
+   *   requests
+   */
+  async evaluate (requests, context, options = {}) {
+    const { origin } = context
+    const lookups = new Map()
+    const decisions = requests.map(({ resourceUrl, mode }) =>
+      this.newDecision(resourceUrl, context.agentId, mode, { ...context, now: options.now }))
+    await this.loadTrustedAppsFor(decisions, origin, options)
+    decisions.forEach(decision => this.matchDirect(decision, { origin, lookups }))
+    const pending = decisions.filter(decision => this.needsGroups(decision))
+    if (pending.length > 0) {
+      // Load the remote group listings, and check for group perms
+      await this.loadGroups(options)
+      pending.forEach(decision => this.matchGroups(decision, { origin, lookups }))
+    }
+    const granted = decisions.filter(decision => this.needsDenials(decision))
+    if (granted.length > 0) {
+      // Lastly, check whether the access granted is revoked by a denial
+      await this.loadGroupsForDenials(granted[0], options)
+      granted.forEach(decision => this.matchDenials(decision, { origin, lookups }))
+    }
+    return decisions
+  }
+
+  /**
+   * Creates a new (not yet granted) decision record, see `explainAccess()`.
+   * @private
+   * @param resourceUrl {string}
+   * @param agentId {string}
+   * @param accessMode {string|NamedNode}
+   * @param [now=new Date()] {Date} Evaluation time
+   * @param [clientId] {string} See `checkAccess()`
+   * @param [issuer] {string}
+   * @returns {object}
+   */
+  newDecision (resourceUrl, agentId, accessMode, { now = new Date(), clientId, issuer } = {}) {
+    resourceUrl = resourceUrl || this.resourceUrl
+    const isAclRequest = this.aclStrategy.isAcl(resourceUrl)
+    return {
+      granted: false,
+      resourceUrl: isAclRequest ? this.aclStrategy.resourceUrlFor(resourceUrl) : resourceUrl,
+      aclUrl: isAclRequest ? resourceUrl : null,
+      agentId: agentId || null,
+      requestedMode: accessMode,
+      accessMode: isAclRequest ? acl.CONTROL : normalizeMode(accessMode),
+      modeNormalization: null,
+      grantedBy: null,
+      deniedBy: null,
+      evaluatedAt: now,
+      clientId: clientId || null,
+      issuer: issuer || null,
+      originRejected: [],
+      clientRejected: [],
+      groupsConsulted: [],
+      groupsFailed: []
+    }
+  }
+
+  /**
+   * Evaluates the public, authenticated and individual agent permissions for
+   * a decision record (everything except groups, which need their listings
+   * loaded). Internal, used by `explainAccess()`.
+   * @private
+   * @param decision {object} Decision record
+   * @param [origin] {string} Request `Origin:` header
+   * @param [lookups] {Map} Permission lookup cache, see `matchPermission()`
+   * @returns {boolean} Whether access was granted
+   */
+  matchDirect (decision, { origin, lookups } = {}) {
+    const { agentId } = decision
     // First, check to see if there is public access for this mode
-    if (this.allowsPublic(accessMode, resourceUrl)) {
+    if (this.matchPermission(decision, 'public', acl.EVERYONE, GROUP_INDEX, { lookups })) {
       return true
     }
-    // Next, see if there is an individual permission (for a user or a group)
-    if (this.checkAccessForAgent(resourceUrl, agentId, accessMode)) {
+    // The rest of the rules only apply to authenticated requests
+    if (!agentId) {
+      return false
+    }
+    // Any logged in agent (acl:AuthenticatedAgent)
+    if (this.matchPermission(decision, 'authenticated', acl.AUTHENTICATED, GROUP_INDEX,
+      { origin, lookups })) {
       return true
     }
-    // If there are no group permissions, no need to proceed
-    if (!this.hasGroups) {
+    // Next, see if there is an individual permission for this agent
+    return this.matchPermission(decision, 'agent', agentId, AGENT_INDEX, { origin, lookups })
+  }
+
+  /**
+   * Tests whether a (not yet granted) decision needs group permissions to be
+   * checked, which requires loading the group listings.
+   * @private
+   * @param decision {object} Decision record
+   * @returns {boolean}
+   */
+  needsGroups (decision) {
+    return !decision.granted && !!decision.agentId && this.hasGroups
+  }
+
+  /**
+   * Evaluates the group permissions for a decision record, using the group
+   * listings loaded by `loadGroups()`. Internal, used by `explainAccess()`.
+   * @private
+   * @param decision {object} Decision record
+   * @param [origin] {string} Request `Origin:` header
+   * @param [lookups] {Map} Permission lookup cache, see `matchPermission()`
+   * @returns {boolean} Whether access was granted
+   */
+  matchGroups (decision, { origin, lookups } = {}) {
+    const { agentId } = decision
+    const groupUrls = this.groupUrls()
+    decision.groupsConsulted = groupUrls.filter(url => url in this.groups)
+    decision.groupsFailed = groupUrls.filter(url => url in this.failedGroups)
+    for (const groupUrl of this.groupsForMember(agentId)) {
+      if (this.matchPermission(decision, 'group', groupUrl, AGENT_INDEX, { origin, lookups })) {
+        decision.grantedBy.membershipPath = this.groups[groupUrl].membershipPath(agentId)
+        return true
+      }
+    }
+    return false
+  }
+
+  /**
+   * Tests whether a granted decision needs to be checked against denials.
+   * @private
+   * @param decision {object} Decision record
+   * @returns {boolean}
+   */
+  needsDenials (decision) {
+    return decision.granted && this.hasDenials
+  }
+
+  /**
+   * Loads the group listings (if not already loaded) when an agent's groups
+   * are needed to evaluate denials, see `matchDenials()`.
+   * @private
+   * @param decision {object} Decision record
+   * @param [options={}] {object} See `loadGroups()`
+   * @returns {Promise}
+   */
+  async loadGroupsForDenials (decision, options = {}) {
+    const loaded = this.groupUrls()
+      .every(url => url in this.groups || url in this.failedGroups)
+    if (decision.agentId && this.hasGroups && !loaded) {
+      await this.loadGroups(options)
+    }
+  }
+
+  /**
+   * Checks a granted decision against the denials (`acl:Denial`) that apply
+   * to its agent: the public and authenticated agent classes, the agent
+   * itself, and its (loaded) groups. Revokes the access granted, unless
+   * some grant is more specific than the most specific denial (see the
+   * evaluation order in `checkAccess()`). Internal, used by `explainAccess()`.
+   * @private
+   * @param decision {object} Decision record
+   * @param [origin] {string} Request `Origin:` header
+   * @param [lookups] {Map} Permission lookup cache, see `matchPermission()`
+   * @returns {boolean} Whether access was denied
+   */
+  matchDenials (decision, { origin, lookups } = {}) {
+    const { agentId, resourceUrl, accessMode, evaluatedAt } = decision
+    const principals = [['public', acl.EVERYONE]]
+    if (agentId) {
+      principals.push(['authenticated', acl.AUTHENTICATED], ['agent', agentId])
+      for (const groupUrl of this.groupsForMember(agentId)) {
+        principals.push(['group', groupUrl])
+      }
+    }
+    const mostSpecific = (indexName, applies) => {
+      let match = null
+      for (const [type, principalId] of principals) {
+        for (const permission of this.lookupPermissions(principalId, resourceUrl, indexName, lookups)) {
+          if (applies(type, permission) &&
+              (!match || specificity(permission) > specificity(match.permission))) {
+            match = { type, agentId: principalId, permission }
+          }
+        }
+      }
+      return match
+    }
+
+    const denial = mostSpecific(DENIED_AGENT_INDEX, (type, permission) =>
+      (permission.allowsMode(accessMode, evaluatedAt) ||
+        (accessMode === acl.WRITE && permission.allowsMode(acl.APPEND, evaluatedAt))) &&
+      this.checkClient(permission, decision))
+    if (!denial) {
+      return false
+    }
+    const grant = mostSpecific(AGENT_INDEX, (type, permission) =>
+      permission.allowsMode(accessMode, evaluatedAt) &&
+      this.checkClient(permission, decision) &&
+      (type === 'public' || this.checkAppOrigin(permission, origin, decision)))
+    if (grant && specificity(grant.permission) > specificity(denial.permission)) {
+      return false
+    }
+    decision.granted = false
+    decision.grantedBy = null
+    decision.modeNormalization = null
+    decision.deniedBy = {
+      type: denial.type,
+      agentId: denial.agentId,
+      permission: {
+        id: denial.permission.id,
+        accessType: denial.permission.accessType,
+        inherited: denial.permission.inherit,
+        resourceUrl: denial.permission.resourceUrl
+      }
+    }
+    return true
+  }
+
+  /**
+   * Computes the value of the `WAC-Allow` response header for a request: the
+   * access modes of the current user and of the public. Evaluates each mode
+   * the same way as `checkAccess()` (see `checkAccessBatch()`), so the two
+   * always agree. Usage:
+   *
+   *   ```
+   *   const { header } = await ps.wacAllow(resourceUrl, webId, { fetchGraph })
+   *   response.set('WAC-Allow', header)
+   *   // WAC-Allow: user="read write append", public="read"
+   *   ```
+   * @see https://solidproject.org/TR/wac#wac-allow
+   * @param resourceUrl {string}
+   * @param [agentId] {string|object} WebId of the current user, if
+   *   authenticated (or an evaluation context, see `checkAccess()`)
+   * @param [options={}] {object} See `checkAccess()`
+   * @throws {Error}
+   * @returns {Promise<{user: Array<string>, public: Array<string>,
+   *   header: string}>} Mode names ('read', 'write', 'append', 'control')
+   *   for the user and the public, and the formatted header value
+   */
+  async wacAllow (resourceUrl, agentId, options = {}) {
+    const modes = [acl.READ, acl.WRITE, acl.APPEND, acl.CONTROL]
+    const requests = modes.map(mode => ({ resourceUrl, mode }))
+    const allowedModes = async agentId => {
+      const results = (await this.checkAccessBatch(requests, agentId, options))
+        .get(resourceUrl)
+      return modes.filter(mode => results[mode])
+        .map(mode => modeName(mode).toLowerCase())
+    }
+    const context = requestContext(agentId, options)
+    const publicModes = await allowedModes(null)
+    const userModes = context.agentId ? await allowedModes(agentId) : publicModes
+    return {
+      user: userModes,
+      public: publicModes,
+      header: `user="${userModes.join(' ')}", public="${publicModes.join(' ')}"`
+    }
+  }
+
+  /**
+   * Returns the effective access matrix for a resource: who (each agent,
+   * group, and the public and authenticated agent classes) can do what on it.
+   * Permissions are looked up the same way as in `checkAccess()` (a direct
+   * `acl:accessTo` permission takes precedence over inherited `acl:default`
+   * ones, and the closest container wins), and Write implies Append. For an
+   * ACL resource, agents with Control on the governed resource have all
+   * modes. Denials (`acl:Denial`) that apply to an agent are subtracted from
+   * its modes, and permissions restricted to other clients or issuers than
+   * the given ones do not count. Origin restrictions are not taken into
+   * account. Usage:
+   *
+   *   ```
+   *   await ps.effectiveAccess(resourceUrl, { fetchGraph, expandGroups: true })
+   *   // ->
+   *   [
+   *     { type: 'public', agentId: 'http://xmlns.com/foaf/0.1/Agent',
+   *       modes: ['http://www.w3.org/ns/auth/acl#Read'] },
+   *     { type: 'group', agentId: 'https://alice.com/groups#Friends',
+   *       modes: ['http://www.w3.org/ns/auth/acl#Append', ...] },
+   *     { type: 'agent', agentId: 'https://alice.com/#me', modes: [...],
+   *       viaGroups: [] },
+   *     { type: 'agent', agentId: 'https://bob.com/#me', modes: [...],
+   *       viaGroups: ['https://alice.com/groups#Friends'] }
+   *   ]
+   *   ```
+   * (Keep in mind that public and authenticated access applies to every
+   * agent in addition to the modes listed for it.)
+   * @param [resourceUrl] {string} Defaults to the permission set's resource
+   * @param [options={}] {object} Also passed through to `loadGroups()`
+   * @param [options.expandGroups=false] {boolean} Also list the (effective)
+   *   members of each group as agents, with the modes granted to them
+   *   directly and via their groups (`viaGroups`). Uses the group listings
+   *   loaded with `loadGroups()`, which is called first if `fetchGraph` is
+   *   given.
+   * @param [options.fetchGraph] {Function} See `loadGroups()`
+   * @param [options.clientId] {string} Client (application) of the request,
+   *   see `Permission.allowsClient()`
+   * @param [options.issuer] {string} Issuer of the agent's credentials
+   * @param [options.now=new Date()] {Date} Evaluation time, see
+   *   `Permission.isActive()`
+   * @throws {Error}
+   * @returns {Promise<Array<{type: string, agentId: string,
+   *   modes: Array<string>, viaGroups: Array<string>}>>} Ordered by type
+   *   (public, authenticated, group, agent), then by agent id. Only agents
+   *   with at least one mode are listed. (`viaGroups` is only set for agents,
+   *   when expanding groups.)
+   */
+  async effectiveAccess (resourceUrl = this.resourceUrl, options = {}) {
+    const { expandGroups = false, fetchGraph, now = new Date(), clientId, issuer } = options
+    const context = { now, clientId, issuer }
+    const governedUrl = this.aclStrategy.isAcl(resourceUrl) &&
+      this.aclStrategy.resourceUrlFor(resourceUrl)
+    const principalFor = (type, agentId) => {
+      switch (type) {
+        case 'public':
+          return [null, [type, acl.EVERYONE, GROUP_INDEX]]
+        case 'authenticated':
+          return [acl.AUTHENTICATED, [type, acl.AUTHENTICATED, GROUP_INDEX]]
+        default:
+          return [agentId, [type, agentId, AGENT_INDEX]]
+      }
+    }
+    const entries = new Map()
+    for (const agentId of Object.keys(this.index[AGENT_INDEX])) {
+      const [permission] = this.permissionsByAgent(agentId, governedUrl || resourceUrl)
+      if (!permission) {
+        continue
+      }
+      const type = agentTypeOf(permission)
+      const [requestAgentId, principal] = principalFor(type, agentId)
+      const modes = this.principalModes(resourceUrl, requestAgentId, [principal], context)
+      if (modes.length > 0) {
+        entries.set(agentId, { type, agentId, modes })
+      }
+    }
+
+    if (expandGroups) {
+      if (fetchGraph && this.hasGroups) {
+        await this.loadGroups(options)
+      }
+      for (const entry of entries.values()) {
+        if (entry.type === 'agent') {
+          entry.viaGroups = []
+        }
+      }
+      const groupEntries = Array.from(entries.values())
+        .filter(entry => entry.type === 'group' && this.groups[entry.agentId])
+      for (const { agentId: groupUrl } of groupEntries) {
+        for (const webId of this.groups[groupUrl].effectiveMembers()) {
+          const entry = entries.get(webId) ||
+            { type: 'agent', agentId: webId, modes: [], viaGroups: [] }
+          entry.viaGroups.push(groupUrl)
+          entries.set(webId, entry)
+        }
+      }
+      // Members are granted their own and their groups' modes, minus the
+      // ones denied to them
+      for (const entry of entries.values()) {
+        if (entry.type !== 'agent' || entry.viaGroups.length === 0) {
+          continue
+        }
+        const principals = [principalFor('agent', entry.agentId)[1]]
+          .concat(entry.viaGroups.map(groupUrl => principalFor('group', groupUrl)[1]))
+        entry.modes = this.principalModes(resourceUrl, entry.agentId, principals, context)
+        if (entry.modes.length === 0) {
+          entries.delete(entry.agentId)
+        }
+      }
+    }
+
+    const typeOrder = ['public', 'authenticated', 'group', 'agent']
+    return Array.from(entries.values()).sort((a, b) =>
+      (typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type)) ||
+      (a.agentId < b.agentId ? -1 : (a.agentId > b.agentId ? 1 : 0)))
+  }
+
+  /**
+   * Looks up the permission of a given agent (or group, or agent class) for
+   * the resource and access mode of a decision record, and if it grants
+   * access, records it in the decision. Internal, used by `explainAccess()`.
+   * @private
+   * @param decision {object} Decision record (see `explainAccess()`)
+   * @param type {string} 'public', 'authenticated', 'agent' or 'group'
+   * @param agentId {string} Agent, group or agent class id
+   * @param indexName {string} AGENT_INDEX or GROUP_INDEX
+   * @param [origin] {string} Request `Origin:` header (see `checkOrigin()`).
+   *   Public permissions are not subject to origin checks.
+   * @param [lookups] {Map} Cache of `permissionsByAgent()` results, shared
+   *   between the decisions of a batch (see `checkAccessBatch()`)
+   * @returns {boolean} Whether access was granted
+   */
+  matchPermission (decision, type, agentId, indexName, { origin, lookups } = {}) {
+    const { resourceUrl, accessMode, evaluatedAt } = decision
+    const permission = this.lookupPermissions(agentId, resourceUrl, indexName, lookups)
+      .find(permission => {
+        if (!permission.allowsMode(accessMode, evaluatedAt)) {
+          return false
+        }
+        if (!this.checkClient(permission, decision)) {
+          decision.clientRejected.push(permission.id)
+          return false
+        }
+        if (type !== 'public' && !this.checkAppOrigin(permission, origin, decision)) {
+          decision.originRejected.push(permission.id)
+          return false
+        }
+        return true
+      })
+    if (!permission) {
       return false
     }
-    // Lastly, load the remote group listings, and check for group perm
-    await this.loadGroups(options)
-    return this.checkGroupAccess(resourceUrl, agentId, accessMode, options)
+    decision.granted = true
+    decision.grantedBy = {
+      type,
+      agentId,
+      permission: {
+        id: permission.id,
+        accessType: permission.accessType,
+        inherited: permission.inherit,
+        resourceUrl: permission.resourceUrl
+      }
+    }
+    if (accessMode === acl.APPEND && !permission.accessModes.has(acl.APPEND)) {
+      decision.modeNormalization = { requested: acl.APPEND, satisfiedBy: acl.WRITE }
+    }
+    return true
+  }
+
+  /**
+   * Same as `permissionsByAgent()`, using (and filling) an optional lookup
+   * cache. Internal, see `matchPermission()`.
+   * @private
+   * @param agentId {string}
+   * @param resourceUrl {string}
+   * @param indexName {string}
+   * @param [lookups] {Map}
+   * @returns {Array<Permission>}
+   */
+  lookupPermissions (agentId, resourceUrl, indexName, lookups) {
+    const key = JSON.stringify([agentId, resourceUrl, indexName])
+    if (lookups && lookups.has(key)) {
+      return lookups.get(key)
+    }
+    const permissions = this.permissionsByAgent(agentId, resourceUrl, indexName)
+    if (lookups) {
+      lookups.set(key, permissions)
+    }
+    return permissions
+  }
+
+  /**
+   * Evaluates the permissions of a single principal (and the denials that
+   * apply) for a request, the same way as `checkAccess()`: requests for an
+   * ACL resource are checked for Control over the resource it governs.
+   * Internal, used by `allowsPublic()`, `checkAccessForAgent()` etc.
+   * @private
+   * @param resourceUrl {string}
+   * @param agentId {string} Agent of the request
+   * @param accessMode {string|NamedNode}
+   * @param type {string} Principal type, see `matchPermission()`
+   * @param principalId {string} Agent, group or agent class to look up
+   * @param indexName {string}
+   * @param [context={}] {object}
+   * @param [context.origin] {string}
+   * @param [context.now] {Date}
+   * @param [context.clientId] {string}
+   * @param [context.issuer] {string}
+   * @returns {boolean}
+   */
+  matchPrincipal (resourceUrl, agentId, accessMode, type, principalId, indexName, context = {}) {
+    const { origin } = context
+    const decision = this.newDecision(resourceUrl, agentId, accessMode, context)
+    return this.matchPermission(decision, type, principalId, indexName, { origin }) &&
+      !this.matchDenials(decision, { origin })
+  }
+
+  /**
+   * Returns the (sorted) access modes, Append included, that any of the given
+   * principals' permissions grant to the agent of a request (see
+   * `matchPrincipal()`). Internal, used by `effectiveAccess()`.
+   * @private
+   * @param resourceUrl {string}
+   * @param agentId {string} Agent of the request
+   * @param principals {Array<Array<string>>} `[type, principalId, indexName]`
+   * @param [context={}] {object} See `matchPrincipal()`
+   * @returns {Array<string>}
+   */
+  principalModes (resourceUrl, agentId, principals, context = {}) {
+    return acl.ALL_MODES.concat(acl.APPEND)
+      .filter(accessMode => principals.some(([type, principalId, indexName]) =>
+        this.matchPrincipal(resourceUrl, agentId, accessMode, type, principalId,
+          indexName, context)))
+      .sort()
   }
 
   /**
    * Tests whether this PermissionSet gives Public (acl:agentClass foaf:Agent)
-   * access to a given url.
+   * access to a given url. Public permissions are not subject to origin
+   * checks, since no user credentials are involved.
    * @param accessMode {string|NamedNode} Access mode (read/write/control etc)
    * @param resourceUrl {string}
    * @returns {boolean}
    */
   allowsPublic (accessMode, resourceUrl) {
-    resourceUrl = resourceUrl || this.resourceUrl
-    const publicPermission = this.permissionByAgent(
-      acl.EVERYONE, resourceUrl, GROUP_INDEX
-    )
-    if (!publicPermission) {
-      return false
-    }
-    return publicPermission.allowsMode(accessMode)
+    return this.matchPrincipal(resourceUrl, null, accessMode,
+      'public', acl.EVERYONE, GROUP_INDEX)
+  }
+
+  /**
+   * Tests whether this PermissionSet gives any authenticated agent
+   * (acl:agentClass acl:AuthenticatedAgent) access to a given url. It's up to
+   * the caller to make sure that the request is actually authenticated (that
+   * is, has a non-empty agent id, as in `checkAccess()`).
+   * @param accessMode {string|NamedNode} Access mode (read/write/control etc)
+   * @param resourceUrl {string}
+   * @param [origin] {string} Request `Origin:` header (see `checkOrigin()`)
+   * @returns {boolean}
+   */
+  allowsAuthenticated (accessMode, resourceUrl, origin) {
+    return this.matchPrincipal(resourceUrl, acl.AUTHENTICATED, accessMode,
+      'authenticated', acl.AUTHENTICATED, GROUP_INDEX, { origin })
   }
 
   /**
+   * Tests whether an agent's individual permissions give it access to a
+   * given url (see `matchPrincipal()`).
    * @param resourceUrl {string}
    * @param agentId {string}
    * @param accessMode {string} Access mode (read/write/control)
+   * @param [origin] {string} Request `Origin:` header (see `checkOrigin()`)
    *
    * @throws {Error}
    *
    * @returns {boolean}
    */
-  checkAccessForAgent (resourceUrl, agentId, accessMode) {
-    const permission = this.permissionByAgent(agentId, resourceUrl)
-    return !!permission && permission.allowsMode(accessMode)
+  checkAccessForAgent (resourceUrl, agentId, accessMode, origin) {
+    return this.matchPrincipal(resourceUrl, agentId, accessMode,
+      'agent', agentId, AGENT_INDEX, { origin })
+  }
+
+  /**
+   * Tests whether a given permission allows operations from a request's
+   * `Origin:` header. Requests without an origin (not made by a script in a
+   * browser) and requests from a trusted origin are always allowed; otherwise
+   * (when `strictOrigin` is enabled) the origin has to be explicitly listed in
+   * the permission's `acl:origin` statements.
+   * @param permission {Permission}
+   * @param [origin] {string}
+   * @param [resourceUrl] {string} Used to determine the same-origin case
+   * @returns {boolean}
+   */
+  checkOrigin (permission, origin, resourceUrl = this.resourceUrl) {
+    if (!this.strictOrigin || !origin) {
+      return true
+    }
+    if (this.isTrustedOrigin(origin, resourceUrl)) {
+      return true
+    }
+    return permission.allowsOrigin(origin)
+  }
+
+  /**
+   * Tests whether a given origin is trusted for all permissions: either it's
+   * the same origin as the resource being accessed, or it's one of the
+   * `trustedOrigins` passed in to the constructor.
+   * @param origin {string}
+   * @param [resourceUrl] {string}
+   * @returns {boolean}
+   */
+  isTrustedOrigin (origin, resourceUrl = this.resourceUrl) {
+    origin = normalizeOrigin(origin)
+    if (resourceUrl && normalizeOrigin(resourceUrl) === origin) {
+      return true
+    }
+    return this.trustedOrigins
+      .some(trusted => normalizeOrigin(trusted) === origin)
+  }
+
+  /**
+   * Tests whether a permission's client and issuer restrictions (if any)
+   * allow the request of a decision record.
+   * @private
+   * @param permission {Permission}
+   * @param decision {object} Decision record
+   * @returns {boolean}
+   */
+  checkClient (permission, decision) {
+    return permission.allowsClient(decision.clientId) &&
+      permission.allowsIssuer(decision.issuer)
   }
 
   /**
+   * Same as `checkOrigin()`, but also allows the origins of the apps that the
+   * decision's agent has approved for the requested mode (see
+   * `isTrustedApp()`).
+   * @private
+   * @param permission {Permission}
+   * @param [origin] {string}
+   * @param decision {object} Decision record
+   * @returns {boolean}
+   */
+  checkAppOrigin (permission, origin, decision) {
+    return this.checkOrigin(permission, origin, decision.resourceUrl) ||
+      this.isTrustedApp(decision.agentId, origin, decision.accessMode)
+  }
+
+  /**
+   * Tests whether an agent has approved an app's origin for a given access
+   * mode, in their profile (`acl:trustedApp`). Only checks loaded profiles
+   * (see `loadTrustedApps()`). Approving Write also approves Append.
+   * @param agentId {string}
+   * @param origin {string}
+   * @param accessMode {string|NamedNode}
+   * @returns {boolean}
+   */
+  isTrustedApp (agentId, origin, accessMode) {
+    const apps = agentId && this.trustedApps[agentId]
+    if (!apps || !origin) {
+      return false
+    }
+    origin = normalizeOrigin(origin)
+    accessMode = normalizeMode(accessMode)
+    return apps.some(app => normalizeOrigin(app.origin) === origin &&
+      grantedModes(app.modes).includes(accessMode))
+  }
+
+  /**
+   * Loads the apps that an agent has approved in their profile document:
+   *
+   *   ```
+   *   <#me> acl:trustedApp [ acl:origin <https://app.example>; acl:mode acl:Read ].
+   *   ```
+   * A profile that fails to load is treated as approving no apps.
+   * @param webId {string}
+   * @param [options={}]
+   * @param options.fetchGraph {Function} Injected, returns a parsed graph of
+   *   a remote document. Required.
+   * @param [options.rdf] {RDF} RDF library
+   * @throws {Error}
+   * @returns {Promise<Array<{origin: string, modes: Array<string>}>>}
+   */
+  async loadTrustedApps (webId, { fetchGraph, rdf = this.rdf } = {}) {
+    if (!fetchGraph) {
+      throw new Error('Cannot load trusted apps, fetchGraph() not supplied')
+    }
+    const ns = vocab(rdf)
+    let apps = []
+    try {
+      const graph = await fetchGraph(webId.split('#')[0], {})
+      apps = graph.match(rdf.namedNode(webId), ns.acl('trustedApp'))
+        .map(({ object: app }) => ({
+          origin: (graph.any(app, ns.acl('origin')) || {}).value,
+          modes: graph.match(app, ns.acl('mode')).map(ea => ea.object.value)
+        }))
+        .filter(app => app.origin)
+    } catch (error) {
+      debug(`Error loading trusted apps of ${webId}: ${error}`)
+    }
+    this.trustedApps[webId] = apps
+    return apps
+  }
+
+  /**
+   * Loads the trusted apps of the agent of a batch of decisions (once), if
+   * not already loaded and needed for strict origin checking (the request
+   * comes from an origin that is not trusted for all permissions of any of
+   * the resources), and if `fetchGraph` is given.
+   * @private
+   * @param decisions {Array<object>} Decision records, for the same agent
+   * @param [origin] {string}
+   * @param [options={}] {object} See `loadTrustedApps()`
+   * @returns {Promise}
+   */
+  async loadTrustedAppsFor (decisions, origin, options = {}) {
+    const agentId = decisions.length > 0 && decisions[0].agentId
+    if (this.strictOrigin && origin && agentId && options.fetchGraph &&
+        !(agentId in this.trustedApps) &&
+        decisions.some(({ resourceUrl }) => !this.isTrustedOrigin(origin, resourceUrl))) {
+      await this.loadTrustedApps(agentId, options)
+    }
+  }
+
+  /**
+   * Tests whether the (loaded) groups of an agent give it access to a given
+   * url (see `matchPrincipal()`).
    * @param resourceUrl {string}
    * @param agentId {string}
    * @param accessMode {string} Access mode (read/write/control)
    * @param [options={}] {Object}
    * @param [options.fetchDocument] {Function}
+   * @param [options.origin] {string}
    * @throws {Error}
    * @returns {boolean}
    */
   checkGroupAccess (resourceUrl, agentId, accessMode, options = {}) {
-    let result = false
-    const membershipMatches = this.groupsForMember(agentId)
-    membershipMatches.find(groupWebId => {
-      console.log('Looking for access rights for ' + groupWebId)
-      if (this.checkAccessForAgent(resourceUrl, groupWebId, accessMode)) {
-        console.log('Groups access granted for ' + resourceUrl)
-        result = true
+    return this.groupsForMember(agentId).some(groupWebId => {
+      debug('Looking for access rights for ' + groupWebId)
+      const granted = this.matchPrincipal(resourceUrl, agentId, accessMode,
+        'group', groupWebId, AGENT_INDEX, { origin: options.origin })
+      if (granted) {
+        debug('Groups access granted for ' + resourceUrl)
       }
-      return result
+      return granted
     })
-    return result
   }
 
   /**
-   * Finds and returns a permission (stored in the 'find by agent' index)
-   * for a given agent (web id) and resource.
+   * Finds and returns a permission (stored in the 'find by agent' index)
+   * for a given agent (web id) and resource. When several permissions apply
+   * (for example, with different validity windows), returns the first one;
+   * see `permissionsByAgent()`.
+   * @param agentId {string}
+   * @param resourceUrl {string}
+   * @param indexName {string}
+   * @return {Permission}
+   */
+  permissionByAgent (agentId, resourceUrl, indexName = AGENT_INDEX) {
+    if (!this.index[indexName][agentId]) {
+      // There are no permissions at all for this agent
+      return false
+    }
+    return this.permissionsByAgent(agentId, resourceUrl, indexName)[0]
+  }
+
+  /**
+   * Finds and returns the permissions (stored in the 'find by agent' index)
+   * for a given agent (web id) and resource: the direct (accessTo) ones if
+   * there are any, otherwise the ones inherited from the closest container.
    * @param agentId {string}
    * @param resourceUrl {string}
    * @param indexName {string}
-   * @return {Permission}
+   * @return {Array<Permission>}
    */
-  permissionByAgent (agentId, resourceUrl, indexName = AGENT_INDEX) {
+  permissionsByAgent (agentId, resourceUrl, indexName = AGENT_INDEX) {
     const index = this.index[indexName]
     if (!index[agentId]) {
       // There are no permissions at all for this agent
-      return false
+      return []
     }
+    const url = normalizeUrl(resourceUrl)
     // first check the accessTo type
     const directPermissions = index[agentId][acl.ACCESS_TO]
     let directMatch
     if (directPermissions) {
-      directMatch = directPermissions[resourceUrl]
+      directMatch = directPermissions[url]
     }
     if (directMatch) {
       return directMatch
@@ -203,20 +1249,16 @@ class PermissionSet {
     let inheritedMatch
     if (inheritedPermissions) {
       // First try an exact match (resource matches the acl:default object)
-      inheritedMatch = inheritedPermissions[resourceUrl]
+      inheritedMatch = inheritedPermissions[url]
       if (!inheritedMatch) {
-        // Next check to see if resource is in any of the relevant containers
-        const containers = Object.keys(inheritedPermissions).sort().reverse()
-        // Loop through the container URLs, sorted in reverse alpha
-        for (const containerUrl of containers) {
-          if (resourceUrl.startsWith(containerUrl)) {
-            inheritedMatch = inheritedPermissions[containerUrl]
-            break
-          }
+        // Next look for the closest container that the resource is in
+        const containerUrl = closestContainer(Object.keys(inheritedPermissions), url)
+        if (containerUrl) {
+          inheritedMatch = inheritedPermissions[containerUrl]
         }
       }
     }
-    return inheritedMatch
+    return inheritedMatch || []
   }
 
   /**
@@ -266,17 +1308,15 @@ class PermissionSet {
       // An permission for this agent and resource combination already exists
       // Merge the incoming access modes with its existing ones
       this.permissions[id].mergeWith(permission)
+      permission = this.permissions[id]
     } else {
       this.permissions[id] = permission
     }
-    if (!permission.virtual && permission.allowsControl()) {
-      // If acl:Control is involved, ensure implicit rules for the .acl resource
-      this.addControlPermissionsFor(permission)
-    }
     // Create the appropriate indexes
-    this.addToIndex(AGENT_INDEX, permission)
-    if (permission.isPublic || permission.isGroup) {
-      this.addToIndex(GROUP_INDEX, permission)
+    const [agentIndex, groupIndex] = indexNamesFor(permission)
+    this.addToIndex(agentIndex, permission)
+    if (permission.isPublic || permission.isAuthenticated || permission.isGroup) {
+      this.addToIndex(groupIndex, permission)
     }
     return this
   }
@@ -288,20 +1328,41 @@ class PermissionSet {
    * permission set.
    * @param agentId
    * @param accessMode {String|Array<String>}
+   * @param [options={}] {object}
+   * @param [options.preventLockout] {boolean} Defaults to the constructor
+   *   option. If true, the change is undone and a `LockoutError` is thrown
+   *   if it would lock everyone (or the owner) out of Control.
+   * @param [options.ownerWebId] {string} Defaults to the constructor option
+   * @throws {LockoutError}
    * @return {PermissionSet} Returns self (chainable function)
    */
-  removeMode (agentId, accessMode) {
-    const permission = this.permissionByAgent(agentId, this.resourceUrl)
-    if (!permission) {
+  removeMode (agentId, accessMode, {
+    preventLockout = this.preventLockout, ownerWebId = this.ownerWebId
+  } = {}) {
+    const permissions = this.permissionsByAgent(agentId, this.resourceUrl)
+    if (permissions.length === 0) {
       // No permission for this agentId + resourceUrl exists. Bail.
       return this
     }
-    // Permission exists, remove the accessMode from it
-    permission.removeMode(accessMode)
-    if (permission.isEmpty) {
-      // If no more access modes remain, after removing, delete it from this
-      // permission set
-      this.removePermission(permission)
+    const originalModes = permissions.map(permission => permission.allModes())
+    // Permissions exist, remove the accessMode from each of them
+    for (const permission of permissions.slice()) {
+      permission.removeMode(accessMode)
+      if (permission.isEmpty) {
+        // If no more access modes remain, after removing, delete it from this
+        // permission set
+        this.removePermission(permission, { preventLockout: false })
+      }
+    }
+    if (preventLockout) {
+      this.undoOnLockout(ownerWebId, () => {
+        permissions.forEach((permission, i) => {
+          permission.addMode(originalModes[i])
+          if (!(permission.id in this.permissions)) {
+            this.addPermission(permission)
+          }
+        })
+      })
     }
     return this
   }
@@ -310,45 +1371,140 @@ class PermissionSet {
    * Deletes a given Permission instance from the permission set.
    *
    * @param permission {Permission}
+   * @param [options={}] {object} Lockout protection options, see
+   *   `removeMode()`
+   * @throws {LockoutError}
    * @return {PermissionSet} Returns self (chainable)
    */
-  removePermission (permission) {
+  removePermission (permission, {
+    preventLockout = this.preventLockout, ownerWebId = this.ownerWebId
+  } = {}) {
     delete this.permissions[permission.id]
 
-    this.removeFromIndex(AGENT_INDEX, permission)
-    if (permission.isPublic || permission.isGroup) {
-      this.removeFromIndex(GROUP_INDEX, permission)
+    const [agentIndex, groupIndex] = indexNamesFor(permission)
+    this.removeFromIndex(agentIndex, permission)
+    if (permission.isPublic || permission.isAuthenticated || permission.isGroup) {
+      this.removeFromIndex(groupIndex, permission)
+    }
+    if (preventLockout) {
+      this.undoOnLockout(ownerWebId, () => this.addPermission(permission))
+    }
+    return this
+  }
+
+  /**
+   * Removes the permissions whose validity window (see `Permission`) has
+   * ended by a given time. Usage:
+   *
+   *   ```
+   *   const removed = ps.pruneExpired()
+   *   if (removed.length > 0) {
+   *     await save(await ps.serialize())
+   *   }
+   *   ```
+   * @param [now=new Date()] {Date}
+   * @returns {Array<Permission>} The (non-virtual) permissions removed
+   */
+  pruneExpired (now = new Date()) {
+    const expired = this.allPermissions()
+      .filter(permission => permission.isExpired(now))
+    for (const permission of expired) {
+      this.removePermission(permission, { preventLockout: false })
+    }
+    return expired.filter(permission => !permission.virtual)
+  }
+
+  /**
+   * Returns the ids of all the agents, groups and agent classes that have
+   * (non-virtual) `acl:Control` access to a resource in this permission set,
+   * at a given time (lapsed and not yet valid permissions do not count), and
+   * are not denied it (`acl:Denial`, see `matchDenials()`).
+   * Group membership is not resolved.
+   * @param [resourceUrl] {string} Defaults to the permission set's resource
+   * @param [options={}] {object}
+   * @param [options.now=new Date()] {Date}
+   * @returns {Array<string>}
+   */
+  controllersOf (resourceUrl = this.resourceUrl, { now = new Date() } = {}) {
+    return Object.keys(this.index[AGENT_INDEX]).filter(agentId => {
+      const granted = this.permissionsByAgent(agentId, resourceUrl)
+        .some(permission => !permission.virtual && permission.allowsMode(acl.CONTROL, now))
+      const decision = this.newDecision(resourceUrl,
+        agentId === acl.EVERYONE ? null : agentId, acl.CONTROL, { now })
+      return granted && !this.matchDenials(decision)
+    })
+  }
+
+  /**
+   * Lockout protection. Makes sure that after a change, someone can still
+   * manage the permissions of the resource: that at least one agent, group or
+   * agent class retains `acl:Control` over it or, if `ownerWebId` is given,
+   * that the owner does (directly, or as any authenticated agent), evaluated
+   * the same way as `checkAccess()`, denials included. Since group
+   * membership is not resolved here, an owner's Control has to be granted
+   * directly.
+   * Usage:
+   *
+   *   ```
+   *   ps.removeMode(bobWebId, acl.CONTROL)
+   *   ps.assertControlRetained({ ownerWebId: aliceWebId })
+   *   await save(await ps.serialize())
+   *   ```
+   * @param [ownerWebId] {string}
+   * @param [resourceUrl] {string} Defaults to the permission set's resource
+   * @param [now=new Date()] {Date} See `controllersOf()`
+   * @throws {LockoutError} If Control would not be retained
+   * @returns {PermissionSet} Returns self (chainable)
+   */
+  assertControlRetained ({ ownerWebId, resourceUrl = this.resourceUrl, now } = {}) {
+    if (ownerWebId) {
+      const decision = this.newDecision(resourceUrl, ownerWebId, acl.CONTROL, { now })
+      const ownerRetained = this.matchDirect(decision) && !this.matchDenials(decision)
+      if (!ownerRetained) {
+        throw new LockoutError(
+          `Owner ${ownerWebId} would lose Control over ${resourceUrl}`,
+          { resourceUrl, ownerWebId })
+      }
+    } else if (this.controllersOf(resourceUrl, { now }).length === 0) {
+      throw new LockoutError(`No agent would retain Control over ${resourceUrl}`,
+        { resourceUrl })
     }
     return this
   }
 
   /**
-   * Adds a virtual (will not be serialized to RDF) permission giving
-   * Read/Write/Control access to the corresponding ACL resource if acl:Control
-   * is encountered in the actual source ACL.
-   * @param permission {Permission} Containing an acl:Control access mode.
+   * Checks that Control is retained after a change, and if not, undoes the
+   * change and re-throws the LockoutError. Used by `removeMode()` and
+   * `removePermission()`.
+   * @private
+   * @param ownerWebId {string}
+   * @param undo {Function}
+   * @throws {LockoutError}
    */
-  addControlPermissionsFor (permission) {
-    const impliedPermission = permission.clone()
-    impliedPermission.resourceUrl = aclUrlFor(permission.resourceUrl)
-    impliedPermission.virtual = true
-    impliedPermission.addMode(acl.ALL_MODES)
-    this.addPermission(impliedPermission)
+  undoOnLockout (ownerWebId, undo) {
+    try {
+      this.assertControlRetained({ ownerWebId })
+    } catch (error) {
+      undo()
+      throw error
+    }
   }
 
   /**
    * For each index type (`agents`, `groups`), permissions are indexed
    * first by `agentId`, then by access type (direct or inherited), and
-   * lastly by resource. For example:
+   * lastly by resource. Several permissions can share a slot when they
+   * differ in something other than their agent and resource (for example,
+   * their validity windows). For example:
    *
    *   ```
    *   agents: {
    *     'https://alice.com/#i': {
    *       accessTo: {
-   *         'https://alice.com/file1': permission1
+   *         'https://alice.com/file1': [permission1]
    *       },
    *       default: {
-   *         'https://alice.com/': permission2
+   *         'https://alice.com/': [permission2, permission3]
    *       }
    *     }
    *   }
@@ -358,6 +1514,7 @@ class PermissionSet {
    */
   addToIndex (indexName, permission) {
     const index = this.index[indexName]
+    const url = normalizeUrl(permission.resourceUrl)
     if (!index[permission.agentId]) {
       index[permission.agentId] = {}
     }
@@ -366,11 +1523,12 @@ class PermissionSet {
       index[permission.agentId][permission.accessType] = {}
     }
 
-    if (!index[permission.agentId][permission.accessType][permission.resourceUrl]) {
-      index[permission.agentId][permission.accessType][permission.resourceUrl] = permission
-    } else {
-      index[permission.agentId][permission.accessType][permission.resourceUrl]
-        .mergeWith(permission)
+    const slot = index[permission.agentId][permission.accessType]
+    if (!slot[url]) {
+      slot[url] = []
+    }
+    if (!slot[url].includes(permission)) {
+      slot[url].push(permission)
     }
   }
 
@@ -385,38 +1543,70 @@ class PermissionSet {
       return
     }
 
-    delete index[permission.agentId][permission.accessType][permission.resourceUrl]
+    const slot = index[permission.agentId][permission.accessType]
+    const url = normalizeUrl(permission.resourceUrl)
+    if (!slot[url]) {
+      return
+    }
+    slot[url] = slot[url].filter(indexed => indexed.id !== permission.id)
+    if (slot[url].length === 0) {
+      delete slot[url]
+    }
   }
 
   /**
    * Returns a list of URLs of group permissions in this permission set
    *
-   * @param [excludePublic=true] {boolean} Should agentClass Agent be excluded?
+   * @param [excludePublic=true] {boolean} Should the agent classes (Agent and
+   *   AuthenticatedAgent) be excluded?
    *
    * @returns {Array<string>}
    */
   groupUrls ({ excludePublic = true } = {}) {
-    const urls = Object.keys(this.index.groups)
+    const urls = Array.from(new Set(Object.keys(this.index[GROUP_INDEX])
+      .concat(Object.keys(this.index[DENIED_GROUP_INDEX]))))
     if (excludePublic) {
-      return urls.filter(url => url !== acl.EVERYONE)
+      return urls.filter(url => url !== acl.EVERYONE && url !== acl.AUTHENTICATED)
     }
     return urls
   }
 
   /**
+   * Loads the listings of all the groups in this permission set. Listings that
+   * fail to load are recorded in `this.failedGroups` (and do not grant access),
+   * instead of failing the whole operation.
    * @param [options={}]
    * @param [options.fetchGraph] {Function} Injected, returns a parsed graph of
    *   a remote document (group listing). Required.
    * @param [options.rdf] {RDF} RDF library
+   * @param [options.groupCache] {GroupListingCache} Defaults to the cache
+   *   passed in to the constructor, if any.
+   * @param [options.maxGroupDepth] {number} Max levels of nested groups to
+   *   resolve (see `GroupListing.loadSubgroups()`)
    * @throws {Error}
    * @returns {Promise<PermissionSet>} Resolves to self, chainable
    */
-  async loadGroups ({ fetchGraph, rdf = this.rdf }) {
+  async loadGroups ({
+    fetchGraph, rdf = this.rdf, groupCache = this.groupCache, maxGroupDepth
+  }) {
     if (!fetchGraph) {
       throw new Error('Cannot load groups, fetchGraph() not supplied')
     }
     const urls = this.groupUrls()
-    const loadActions = urls.map(url => GroupListing.loadFrom(url, fetchGraph, rdf))
+    const maxDepth = maxGroupDepth
+    const loadActions = urls.map(async url => {
+      try {
+        const group = groupCache
+          ? await groupCache.load(url, { fetchGraph, rdf, maxDepth })
+          : await GroupListing.loadFrom(url, fetchGraph, rdf, {}, { maxDepth })
+        delete this.failedGroups[url]
+        return group
+      } catch (error) {
+        debug(`Error loading group listing ${url}: ${error}`)
+        this.failedGroups[url] = error
+        return null
+      }
+    })
     const groups = await Promise.all(loadActions)
     groups.forEach(group => {
       if (group) { this.groups[group.url] = group }
@@ -425,7 +1615,8 @@ class PermissionSet {
   }
 
   /**
-   * Returns a list of webIds of groups to which this agent belongs.
+   * Returns a list of webIds of groups to which this agent belongs, either
+   * directly or through nested groups.
    * Note: Only checks loaded groups (assumes a previous `loadGroups()` call).
    * @param agentId {string}
    * @return {Array<string>}
@@ -434,7 +1625,7 @@ class PermissionSet {
     const loadedGroupIds = Object.keys(this.groups)
     return loadedGroupIds
       .filter(groupId => {
-        return this.groups[groupId].hasMember(agentId)
+        return this.groups[groupId].hasEffectiveMember(agentId)
       })
   }
 
@@ -442,36 +1633,237 @@ class PermissionSet {
    * Returns an RDF graph representation of this permission set and all its
    * Permissions. Used by `save()`.
    * @param rdf {RDF} RDF Library
+   * @param [naming='preserve'] {string} Authorization naming strategy, see
+   *   `authorizationSubjects()`
+   * @param [compact=false] {boolean} Regroup permissions into as few
+   *   authorizations as possible, see `authorizationSubjects()`
    * @returns {IndexedFormula} graph
    */
-  buildGraph (rdf = this.rdf) {
+  buildGraph (rdf = this.rdf, { naming = DEFAULT_NAMING, compact = false } = {}) {
     const graph = rdf.graph()
-    for (const permission of this.allPermissions()) {
-      if (!permission.virtual) {
-        graph.add(permission.rdfStatements(rdf))
-      }
+    const subjects = this.authorizationSubjects({ naming, compact })
+    for (const [permission, subject] of subjects) {
+      // Permissions that share a subject are merged into one authorization
+      graph.add(permission.rdfStatements(rdf, { subject }))
     }
     return graph
   }
 
+  /**
+   * Decides which authorization (subject IRI) each of the serializable
+   * permissions is written out as. Used by `buildGraph()`. Permissions that
+   * are assigned the same subject are serialized as a single authorization
+   * (listing all of their agents and resources).
+   *
+   * Permissions parsed from an ACL resource keep their original authorization
+   * (`#owner`, `#public` etc), unless the naming strategy is `hashed`. If
+   * permissions that shared an authorization have diverged since parsing
+   * (different modes or origins, or some of its agent/resource combinations
+   * removed), only the largest consistent subset keeps the original name, and
+   * the rest are named as new permissions:
+   *
+   *   - `preserve` and `hashed`: `resourceUrl#<md5 of the permission id>`
+   *   - `slug`: a readable fragment of the ACL document, derived from the
+   *     agent (such as `.acl#alice`, `.acl#public-default`)
+   *
+   * In `compact` mode, permissions are instead regrouped regardless of where
+   * they were parsed from: ones with the same modes, access type (`accessTo`
+   * or `default`) and origins, whose agents have the same set of resources,
+   * share one authorization. Each authorization is then named after the
+   * original subject most common among its permissions (if not already taken
+   * by a larger one), or as a new permission otherwise.
+   *
+   * @param [naming='preserve'] {string} One of 'preserve', 'hashed', 'slug'
+   * @param [compact=false] {boolean}
+   * @throws {Error} For unknown naming strategies
+   * @returns {Map<Permission, string>} Authorization IRI, by permission
+   */
+  authorizationSubjects ({ naming = DEFAULT_NAMING, compact = false } = {}) {
+    if (!NAMING_STRATEGIES.includes(naming)) {
+      throw new Error(`Unknown authorization naming strategy: ${naming}`)
+    }
+    const permissions = this.allPermissions()
+      .filter(permission => !permission.virtual && permission.isValid)
+    const subjects = new Map()
+    const usedSubjects = new Set()
+    const assign = (group, subject) => {
+      group.forEach(permission => subjects.set(permission, subject))
+      usedSubjects.add(subject)
+    }
+
+    let groups
+    if (compact) {
+      groups = compactGroups(permissions)
+      if (naming !== 'hashed') {
+        for (const group of groups) {
+          const subject = mostCommonSubject(group, usedSubjects)
+          if (subject) {
+            assign(group, subject)
+          }
+        }
+      }
+    } else {
+      groups = permissions.map(permission => [permission])
+      if (naming !== 'hashed') {
+        const bySubject = new Map()
+        for (const permission of permissions.filter(p => p.subject)) {
+          const group = bySubject.get(permission.subject) || []
+          bySubject.set(permission.subject, group.concat(permission))
+        }
+        for (const [subject, group] of bySubject) {
+          assign(consistentSubset(group), subject)
+        }
+      }
+    }
+
+    for (const group of groups) {
+      if (subjects.has(group[0])) {
+        continue
+      }
+      const [permission] = group
+      let subject = permission.hashedSubject()
+      if (naming === 'slug') {
+        const slug = agentSlug(permission.agent) +
+          (permission.deny ? '-denial' : '') +
+          (permission.inherit ? '-default' : '')
+        subject = `${this.aclUrl}#${slug}`
+        for (let i = 2; usedSubjects.has(subject); i++) {
+          subject = `${this.aclUrl}#${slug}-${i}`
+        }
+      }
+      assign(group, subject)
+    }
+    return subjects
+  }
+
+  /**
+   * Returns a plain JSON representation of this permission set, for consumers
+   * that don't work with RDF. (Also used by `JSON.stringify()`.) Schema:
+   *
+   *   ```
+   *   {
+   *     "version": 1,
+   *     "resourceUrl": "https://alice.com/docs/",
+   *     "aclUrl": "https://alice.com/docs/.acl",
+   *     "isContainer": true,
+   *     "permissions": [
+   *       {
+   *         "agent": {
+   *           "type": "agent", // or "group", "public", "authenticated"
+   *           "id": "https://alice.com/#me", // webId or group url
+   *           "mailto": ["alice@example.com"] // "agent" type only
+   *         },
+   *         "resourceUrl": "https://alice.com/docs/",
+   *         "accessType": "default", // or "accessTo"
+   *         "modes": ["Read", "Write", "Control"],
+   *         "origins": ["https://app.example.com"],
+   *         "virtual": false,
+   *         "subject": "https://alice.com/docs/.acl#owner", // optional
+   *         "deny": true, // optional, denials (acl:Denial) only
+   *         "validFrom": "2026-07-01T00:00:00.000Z", // optional
+   *         "validUntil": "2026-09-30T23:59:59.000Z", // optional
+   *         "clients": ["https://app.example.com/id"], // optional
+   *         "issuers": ["https://idp.example.com"] // optional
+   *       }
+   *     ]
+   *   }
+   *   ```
+   * Permissions are sorted by id, so that the output is stable.
+   * @returns {object}
+   */
+  toJSON () {
+    const permissions = this.allPermissions()
+      .sort((a, b) => a.id < b.id ? -1 : (a.id > b.id ? 1 : 0))
+      .map(permission => permission.toJSON())
+    return {
+      version: JSON_SCHEMA_VERSION,
+      resourceUrl: this.resourceUrl,
+      aclUrl: this.aclUrl,
+      isContainer: this.isContainer,
+      permissions
+    }
+  }
+
+  /**
+   * Creates a permission set from its plain JSON representation (see
+   * `toJSON()` for the schema).
+   * @param json {object|string} JSON object (or its string serialization)
+   * @param [options={}] {object} Other constructor options (`rdf`,
+   *   `strictOrigin`, `trustedOrigins`, `groupCache`)
+   * @throws {Error} On malformed input. The error's `path` property contains
+   *   the location of the offending value (for example,
+   *   `permissions[0].modes`).
+   * @returns {PermissionSet}
+   */
+  static fromJSON (json, options = {}) {
+    if (typeof json === 'string') {
+      try {
+        json = JSON.parse(json)
+      } catch (error) {
+        throw new Error(`Error parsing permission set JSON: ${error.message}`)
+      }
+    }
+    assertJson(json && typeof json === 'object', 'permissionSet', 'must be an object')
+    assertJson(json.version === JSON_SCHEMA_VERSION, 'version',
+      `must be ${JSON_SCHEMA_VERSION}`)
+    assertJson(typeof json.resourceUrl === 'string' && json.resourceUrl.length > 0,
+      'resourceUrl', 'must be a url string')
+    assertJson(json.aclUrl === undefined || typeof json.aclUrl === 'string',
+      'aclUrl', 'must be a url string')
+    assertJson(json.isContainer === undefined || typeof json.isContainer === 'boolean',
+      'isContainer', 'must be a boolean')
+    assertJson(Array.isArray(json.permissions), 'permissions', 'must be an array')
+
+    const { resourceUrl, aclUrl, isContainer = false } = json
+    const permissionSet = new PermissionSet({
+      ...options, resourceUrl, aclUrl, isContainer
+    })
+    json.permissions.forEach((permissionJson, i) => {
+      permissionSet.addPermission(Permission.fromJSON(permissionJson,
+        { path: `permissions[${i}]` }))
+    })
+    return permissionSet
+  }
+
   /**
    * Serializes this permission set (and all its Permissions) to a string RDF
    * representation (Turtle by default).
    * Note: invalid authorizations (ones that don't have at least one agent/group,
    * at least one resourceUrl and at least one access mode) do not get serialized,
    * and are instead skipped.
+   * JSON-LD (`application/ld+json`) is serialized in a stable, compacted form,
+   * using the WAC context (see the `json-ld` module).
    * @param [contentType='text/turtle'] {string}
    * @param [rdf] {RDF} RDF Library to serialize with
+   * @param [naming='preserve'] {string} Authorization naming strategy, see
+   *   `authorizationSubjects()`
+   * @param [compact=false] {boolean} Regroup permissions into as few
+   *   authorizations as possible, see `authorizationSubjects()`
+   * @param [preventLockout] {boolean} Defaults to the constructor option. If
+   *   true, refuses to serialize an ACL without Control for anyone (or for
+   *   `ownerWebId`), see `assertControlRetained()`
+   * @param [ownerWebId] {string} Defaults to the constructor option
    *
+   * @throws {LockoutError} With lockout protection enabled
    * @throws {Error} If one is encountered during RDF serialization.
    *
    * @return {Promise<string>} Graph serialized to contentType RDF syntax
    */
-  async serialize ({ contentType = DEFAULT_CONTENT_TYPE, rdf = rdflib } = {}) {
-    const graph = this.buildGraph(rdf)
+  async serialize ({
+    contentType = DEFAULT_CONTENT_TYPE, rdf = rdflib, naming = DEFAULT_NAMING,
+    compact = false, preventLockout = this.preventLockout, ownerWebId = this.ownerWebId
+  } = {}) {
+    if (preventLockout) {
+      this.assertControlRetained({ ownerWebId })
+    }
+    const graph = this.buildGraph(rdf, { naming, compact })
     const target = null
     const base = this.aclUrl
 
+    if (contentType === JSON_LD_CONTENT_TYPE) {
+      return JSON.stringify(toJsonLd(graph, { baseUrl: base }), null, 2)
+    }
+
     try {
       return promisify(rdf.serialize)(target, graph, base, contentType)
     } catch (error) {
@@ -479,6 +1871,133 @@ class PermissionSet {
     }
   }
 
+  /**
+   * Compares two versions of a permission set, for example before and after
+   * a user's edits. Usage:
+   *
+   *   ```
+   *   const diff = PermissionSet.diff(original, edited)
+   *   diff.added // [Permission], permissions only in `edited`
+   *   diff.removed // [Permission], permissions only in `original`
+   *   diff.changed // [{ id, before, after, addedModes, removedModes,
+   *   //   addedOrigins, removedOrigins }]
+   *   await fetch(aclUrl, {
+   *     method: 'PATCH',
+   *     headers: { 'Content-Type': 'application/sparql-update' },
+   *     body: diff.toSparqlUpdate()
+   *   })
+   *   ```
+   * Permissions are matched by `id` (agent, resource and access type), and
+   * compared with `Permission.equals()`. Virtual permissions are ignored.
+   * @param before {PermissionSet}
+   * @param after {PermissionSet}
+   * @param [options={}] {object} Serialization options (`rdf`, `naming`,
+   *   `compact`) for the statement level diff, see `buildGraph()`. Should
+   *   match how the original ACL resource was serialized.
+   * @returns {PermissionDiff}
+   */
+  static diff (before, after, options = {}) {
+    return PermissionDiff.between(before, after, options)
+  }
+
+  /**
+   * Applies a diff (see `PermissionSet.diff()`) to this permission set:
+   * removes its removed permissions, adds (copies of) its added ones, and
+   * updates the modes, origins and agent details of changed ones. With
+   * lockout protection enabled, the diff is checked on a copy first, and
+   * nothing is changed if it would lock everyone (or the owner) out.
+   * @param diff {PermissionDiff}
+   * @param [options={}] {object} Lockout protection options, see
+   *   `removeMode()`
+   * @throws {LockoutError}
+   * @returns {PermissionSet} Returns self (chainable)
+   */
+  applyDiff (diff, {
+    preventLockout = this.preventLockout, ownerWebId = this.ownerWebId
+  } = {}) {
+    if (preventLockout) {
+      PermissionSet.fromJSON(this.toJSON(), { rdf: this.rdf, aclStrategy: this.aclStrategy })
+        .applyDiff(diff, { preventLockout: false })
+        .assertControlRetained({ ownerWebId })
+    }
+    for (const permission of diff.removed) {
+      const existing = this.permissions[permission.id]
+      if (existing) {
+        this.removePermission(existing, { preventLockout: false })
+      }
+    }
+    for (const permission of diff.added) {
+      this.addPermission(permission.clone())
+    }
+    for (const change of diff.changed) {
+      const existing = this.permissions[change.id]
+      if (!existing) {
+        this.addPermission(change.after.clone())
+        continue
+      }
+      existing.removeMode(change.removedModes)
+      existing.addMode(change.addedModes)
+      existing.removeOrigin(change.removedOrigins)
+      existing.addOrigin(change.addedOrigins)
+      existing.agent = change.after.agent.clone()
+    }
+    return this
+  }
+
+  /**
+   * Lints this permission set, as it would be saved: reports permissions that
+   * would be dropped (`dropped-on-save`, for permissions with no access
+   * modes), and validates the graph that `buildGraph()` produces (see
+   * `PermissionSet.validate()`). Groups loaded via `loadGroups()` are checked
+   * for `vcard:Group` types.
+   * @param [naming] {string} See `buildGraph()`
+   * @param [compact] {boolean} See `buildGraph()`
+   * @returns {Array<{severity: string, code: string, message: string,
+   *   subject: string|null}>} Diagnostics
+   */
+  lint ({ naming, compact } = {}) {
+    const dropped = this.allPermissions()
+      .filter(permission => !permission.virtual && !permission.isValid)
+      .map(permission => diagnostic(ERROR, 'dropped-on-save',
+        `Permission for <${permission.agentId}> on <${permission.resourceUrl}> ` +
+        'has no access modes, and will not be saved',
+        permission.subject || null))
+
+    const { resourceUrl, aclUrl, isContainer, rdf, groups } = this
+    const graph = this.buildGraph(rdf, { naming, compact })
+    return dropped.concat(PermissionSet.validate(graph, {
+      resourceUrl, aclUrl, isContainer, rdf, groups
+    }))
+  }
+
+  /**
+   * Validates the authorizations in a parsed ACL graph, and returns a list of
+   * diagnostics for ones that are ignored (or partly ignored) by `fromGraph()`
+   * or are likely mistakes. See the `lint` module for the list of checks.
+   * Usage:
+   *
+   *   ```
+   *   const diagnostics = PermissionSet.validate(graph, {
+   *     resourceUrl, aclUrl, isContainer
+   *   })
+   *   // [{ severity: 'error', code: 'no-mode', subject: '...acl#owner',
+   *   //    message: 'Authorization has no acl:mode, and is ignored' }]
+   *   ```
+   * @param graph {IndexedFormula} RDF Graph (parsed from the source ACL)
+   * @param [resourceUrl] {string}
+   * @param [aclUrl] {string}
+   * @param [isContainer=false] {boolean}
+   * @param [rdf] {RDF} RDF library
+   * @param [groups={}] {object} Loaded GroupListing objects, by url
+   * @returns {Array<{severity: string, code: string, message: string,
+   *   subject: string|null}>} Diagnostics
+   */
+  static validate (graph, {
+    resourceUrl, aclUrl, isContainer = false, rdf = rdflib, groups = {}
+  } = {}) {
+    return validateGraph(graph, { resourceUrl, aclUrl, isContainer, rdf, groups })
+  }
+
   /**
    * Creates and loads all the permissions from a given RDF graph.
    * Usage:
@@ -500,10 +2019,16 @@ class PermissionSet {
    *
    * @param graph {IndexedFormula} RDF Graph (parsed from the source ACL)
    * @param rdf {RDF} RDF library
+   * @param [strictOrigin] {boolean} See constructor
+   * @param [trustedOrigins] {Array<string>} See constructor
+   * @param [groupCache] {GroupListingCache} See constructor
    *
    * @returns {PermissionSet}
    */
-  static fromGraph ({ resourceUrl, aclUrl, target, isContainer, graph, rdf = rdflib }) {
+  static fromGraph ({
+    resourceUrl, aclUrl, target, isContainer, graph, rdf = rdflib,
+    strictOrigin, trustedOrigins, groupCache, aclStrategy
+  }) {
     const ns = vocab(rdf)
 
     resourceUrl = resourceUrl || (target && target.url)
@@ -511,7 +2036,14 @@ class PermissionSet {
     isContainer = isContainer || !!(target && target.isContainer)
 
     const permissionSet = new PermissionSet({
-      resourceUrl, aclUrl, isContainer, rdf
+      resourceUrl,
+      aclUrl,
+      isContainer,
+      rdf,
+      strictOrigin,
+      trustedOrigins,
+      groupCache,
+      aclStrategy
     })
 
     const authSections = new Set()
@@ -526,6 +2058,25 @@ class PermissionSet {
       // Extract the access modes
       const accessModes = graph.match(fragment, ns.acl('mode'))
 
+      // Extract the allowed origins
+      const origins = graph.match(fragment, ns.acl('origin'))
+
+      // Client application and issuer restrictions (extension)
+      const acpNs = rdf.Namespace(acp.NAMESPACE)
+      const clients = graph.match(fragment, acpNs('client'))
+      const issuers = graph.match(fragment, acpNs('issuer'))
+
+      // Denials (extension) revoke access instead of granting it
+      const deny = graph.match(fragment, ns.rdf('type'), ns.acl('Denial')).length > 0
+
+      // Validity window (extension). Authorizations with invalid timestamps
+      // are ignored
+      const validFrom = timestampOf(graph, fragment, ns.schema('validFrom'))
+      const validUntil = timestampOf(graph, fragment, ns.schema('validThrough'))
+      if (validFrom === null || validUntil === null) {
+        continue
+      }
+
       const agentMatches = this.agentMatches({ fragment, graph, ns })
 
       // Create an Permission object for each agent or group
@@ -535,8 +2086,12 @@ class PermissionSet {
         const resourceMatches = graph.match(fragment, ns.acl('accessTo'))
           .map(ea => ea.object.value)
         for (const resourceUrl of resourceMatches) {
-          const permission = new Permission({ resourceUrl, agent, inherit: false })
+          const permission = new Permission({
+            resourceUrl, agent, inherit: false, subject, deny, validFrom, validUntil
+          })
           permission.addMode(accessModes)
+          permission.addOrigin(origins)
+          permission.addClient(clients).addIssuer(issuers)
           permissionSet.addPermission(permission)
         }
 
@@ -546,9 +2101,17 @@ class PermissionSet {
           .map(ea => ea.object.value)
         for (const containerUrl of inheritedMatches) {
           const permission = new Permission({
-            resourceUrl: containerUrl, agent, inherit: true
+            resourceUrl: containerUrl,
+            agent,
+            inherit: true,
+            subject,
+            deny,
+            validFrom,
+            validUntil
           })
           permission.addMode(accessModes)
+          permission.addOrigin(origins)
+          permission.addClient(clients).addIssuer(issuers)
           permissionSet.addPermission(permission)
         }
       }
@@ -557,56 +2120,413 @@ class PermissionSet {
     return permissionSet
   }
 
+  /**
+   * Parses the source of an ACL resource, and creates a PermissionSet from it
+   * (see `fromGraph()`). Usage:
+   *
+   *   ```
+   *   const ps = await PermissionSet.fromString(source, {
+   *     contentType: 'application/ld+json',
+   *     baseUrl: 'https://alice.com/docs/.acl',
+   *     resourceUrl: 'https://alice.com/docs/',
+   *     isContainer: true
+   *   })
+   *   ```
+   * @param source {string} Contents of the ACL resource
+   * @param options {object} Also passed through to `fromGraph()`
+   * @param options.baseUrl {string} URL of the ACL resource (used as the base
+   *   url for parsing, and as the permission set's `aclUrl`)
+   * @param [options.contentType='text/turtle'] {string} Any content type
+   *   supported by the RDF library, or `application/ld+json` (only in the
+   *   compacted form written by `serialize()`, see the `json-ld` module)
+   * @param [options.resourceUrl] {string} Defaults to the resource
+   *   corresponding to `baseUrl` (see `options.aclStrategy`).
+   * @param [options.aclStrategy] {AclStrategy} See constructor
+   * @param [options.rdf] {RDF} RDF library
+   * @throws {Error} On parse errors.
+   * @returns {Promise<PermissionSet>}
+   */
+  static async fromString (source, {
+    contentType = DEFAULT_CONTENT_TYPE, baseUrl, resourceUrl, rdf = rdflib,
+    aclStrategy = DEFAULT_ACL_STRATEGY, ...options
+  } = {}) {
+    if (!baseUrl) {
+      throw new Error('Cannot parse an ACL resource without a baseUrl')
+    }
+    resourceUrl = resourceUrl || aclStrategy.resourceUrlFor(baseUrl)
+
+    let graph
+    if (contentType === JSON_LD_CONTENT_TYPE) {
+      graph = parseJsonLd(source, { baseUrl, rdf })
+    } else {
+      graph = await new Promise((resolve, reject) => {
+        rdf.parse(source, rdf.graph(), baseUrl, contentType, (error, result) => {
+          if (error) {
+            return reject(new Error(`Error parsing the ACL as ${contentType}: ${error}`))
+          }
+          resolve(result)
+        })
+      })
+    }
+    return PermissionSet.fromGraph({
+      ...options, resourceUrl, aclUrl: baseUrl, graph, rdf, aclStrategy
+    })
+  }
+
+  /**
+   * Resolves the effective permission set for a given resource, following the
+   * WAC inheritance algorithm: if the resource has its own ACL, that ACL
+   * governs it. Otherwise, walks up through the parent containers until it
+   * finds the nearest existing ACL, and applies only its inherited
+   * (`acl:default`) permissions.
+   * Usage:
+   *
+   *   ```
+   *   const { permissionSet, aclUrl } = await PermissionSet.resolveEffective(
+   *     'https://alice.com/docs/file1', { fetchGraph }
+   *   )
+   *   await permissionSet.checkAccess(resourceUrl, webId, acl.READ)
+   *   ```
+   *
+   * @param resourceUrl {string}
+   * @param options {object}
+   * @param options.fetchGraph {Function} Injected, returns a parsed graph of
+   *   a given ACL url. Should resolve to `null` (or reject with an error that
+   *   has `status: 404`) if the ACL does not exist. Required.
+   * @param [options.isContainer] {boolean} Is the resource itself a container?
+   * @param [options.rdf] {RDF} RDF library
+   * @param [options.strictOrigin] {boolean} See constructor
+   * @param [options.trustedOrigins] {Array<string>} See constructor
+   * @param [options.groupCache] {GroupListingCache} See constructor
+   * @param [options.aclStrategy] {AclStrategy} See constructor
+   * @throws {Error}
+   * @returns {Promise<{permissionSet: PermissionSet, aclUrl: string|null,
+   *   inherited: boolean}>} The effective permission set, the url of the ACL
+   *   that governs the resource (`null`, along with an empty permission set
+   *   that denies all access, if no ACL was found anywhere up the hierarchy),
+   *   and whether the permissions were inherited from a parent container.
+   */
+  static async resolveEffective (resourceUrl, {
+    fetchGraph, isContainer = false, rdf = rdflib, strictOrigin, trustedOrigins,
+    groupCache, aclStrategy = DEFAULT_ACL_STRATEGY
+  } = {}) {
+    if (!fetchGraph) {
+      throw new Error('Cannot resolve effective ACL, fetchGraph() not supplied')
+    }
+    let url = resourceUrl
+    let inherited = false
+
+    while (url) {
+      const aclUrl = aclStrategy.aclUrlFor(url)
+      const graph = await fetchAclGraph(aclUrl, fetchGraph)
+      if (graph) {
+        const permissionSet = PermissionSet.fromGraph({
+          resourceUrl: url,
+          aclUrl,
+          isContainer: inherited || isContainer,
+          graph,
+          rdf,
+          strictOrigin,
+          trustedOrigins,
+          groupCache,
+          aclStrategy
+        })
+        if (inherited) {
+          // Only the acl:default permissions of a parent container apply
+          permissionSet.allPermissions()
+            .filter(permission => !permission.inherit)
+            .forEach(permission => permissionSet.removePermission(permission,
+              { preventLockout: false }))
+        }
+        return { permissionSet, aclUrl, inherited }
+      }
+      url = parentContainerUrl(url)
+      inherited = true
+    }
+
+    const permissionSet = new PermissionSet({
+      resourceUrl,
+      isContainer,
+      rdf,
+      strictOrigin,
+      trustedOrigins,
+      groupCache,
+      aclStrategy
+    })
+    return { permissionSet, aclUrl: null, inherited: false }
+  }
+
   static agentMatches ({ fragment, graph, ns }) {
     // Extract all the authorized agents (minus the mailto: terms)
-    const agentMatches = graph.match(fragment, ns.acl('agent'))
+    const agentStatements = graph.match(fragment, ns.acl('agent'))
+    const agentMatches = agentStatements
       .filter(ea => !isMailTo(ea))
       .map(ea => new SingleAgent({ webId: ea.object.value }))
 
+    // The mailto: terms are aliases of the authorized agents
+    for (const mailto of agentStatements.filter(isMailTo)) {
+      agentMatches.forEach(agent => agent.addMailto(mailto))
+    }
+
     // Extract all acl:agentGroup matches
     const groupMatches = graph.match(fragment, ns.acl('agentGroup'))
-      .map(ea => new GroupListing({ listing: ea }))
+      .map(ea => new Group({ groupUrl: ea.object.value }))
 
     // See if any 'Public' matches (agentClass foaf:Agent)
     const anyPublicMatches = graph.match(fragment, ns.acl('agentClass'),
       ns.foaf('Agent')).length > 0
 
+    // See if any logged in agent matches (agentClass acl:AuthenticatedAgent)
+    const anyAuthenticatedMatches = graph.match(fragment, ns.acl('agentClass'),
+      ns.acl('AuthenticatedAgent')).length > 0
+
     const allAgents = agentMatches.concat(groupMatches)
     if (anyPublicMatches) {
       allAgents.push(new Everyone())
     }
+    if (anyAuthenticatedMatches) {
+      allAgents.push(new AuthenticatedAgent())
+    }
     return allAgents
   }
 }
 
 /**
- * Returns the corresponding ACL url, for a given resource.
- * This is the default template for the `aclUrlFor()` method that's used by
- * PermissionSet instances, unless it's overridden in options.
+ * Returns the corresponding ACL url, for a given resource, using the default
+ * (`.acl` suffix) ACL strategy. Permission sets use their `aclStrategy`.
  * @param resourceUrl {string}
  * @returns {string} ACL url
  */
 function aclUrlFor (resourceUrl) {
-  if (!resourceUrl) {
-    return undefined
-  }
-  if (isAcl(resourceUrl)) {
-    return resourceUrl // .acl resources are their own ACLs
-  } else {
-    return resourceUrl + DEFAULT_ACL_SUFFIX
-  }
+  return DEFAULT_ACL_STRATEGY.aclUrlFor(resourceUrl)
 }
 
 /**
- * Tests whether a given uri is for an ACL resource.
- * This is the default template for the `isAcl()` method that's used by
- * PermissionSet instances, unless it's overridden in options.
+ * Tests whether a given uri is for an ACL resource, using the default
+ * (`.acl` suffix) ACL strategy. Permission sets use their `aclStrategy`.
  * @method defaultIsAcl
  * @param uri {String}
  * @return {Boolean}
  */
 function isAcl (uri) {
-  return uri.endsWith(DEFAULT_ACL_SUFFIX)
+  return DEFAULT_ACL_STRATEGY.isAcl(uri)
+}
+
+/**
+ * Fetches the graph of an ACL resource, resolving to `null` if it does not
+ * exist. Used by `PermissionSet.resolveEffective()`.
+ * @param aclUrl {string}
+ * @param fetchGraph {Function}
+ * @throws {Error} Any fetch or parse error other than a 404.
+ * @returns {Promise<IndexedFormula|null>}
+ */
+async function fetchAclGraph (aclUrl, fetchGraph) {
+  try {
+    return (await fetchGraph(aclUrl)) || null
+  } catch (error) {
+    if (error.status === 404) {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Returns the kind of agent a permission is for (see `effectiveAccess()`).
+ * @param permission {Permission}
+ * @returns {string} 'public', 'authenticated', 'group' or 'agent'
+ */
+function agentTypeOf (permission) {
+  if (permission.isPublic) {
+    return 'public'
+  }
+  if (permission.isAuthenticated) {
+    return 'authenticated'
+  }
+  return permission.isGroup ? 'group' : 'agent'
+}
+
+/**
+ * Returns the (sorted, unique) list of modes granted by the given ones,
+ * adding Append if Write is granted.
+ * @param modes {Array<string>}
+ * @returns {Array<string>}
+ */
+function grantedModes (modes) {
+  const granted = new Set(modes)
+  if (granted.has(acl.WRITE)) {
+    granted.add(acl.APPEND)
+  }
+  return Array.from(granted).sort()
+}
+
+/**
+ * Parses an optional `xsd:dateTime` timestamp of an authorization.
+ * @param graph {Graph}
+ * @param subject {NamedNode}
+ * @param predicate {NamedNode}
+ * @returns {Date|undefined|null} `undefined` if there is none, `null` if
+ *   it's invalid (or there is more than one)
+ */
+function timestampOf (graph, subject, predicate) {
+  const values = graph.match(subject, predicate)
+  if (values.length === 0) {
+    return undefined
+  }
+  const date = new Date(values[0].object.value)
+  return values.length === 1 && !isNaN(date) ? date : null
+}
+
+/**
+ * Returns the names of the (agent and group) indexes that a permission is
+ * stored in: denials are indexed separately from grants.
+ * @param permission {Permission}
+ * @returns {Array<string>}
+ */
+function indexNamesFor (permission) {
+  return permission.deny
+    ? [DENIED_AGENT_INDEX, DENIED_GROUP_INDEX]
+    : [AGENT_INDEX, GROUP_INDEX]
+}
+
+/**
+ * Ranks how specifically a (matching) permission targets a resource: a
+ * permission for the resource itself is the most specific, followed by
+ * inherited permissions of the closest containers.
+ * @param permission {Permission}
+ * @returns {number}
+ */
+function specificity (permission) {
+  return permission.inherit
+    ? containerUrlFor(permission.resourceUrl).length
+    : Infinity
+}
+
+/**
+ * Given permissions that were parsed from the same authorization, returns the
+ * largest subset of them that can still be serialized as a single authorization
+ * without granting anything extra: ones with the same modes, origins and
+ * restrictions, covering every combination of their agents and resources.
+ * @param permissions {Array<Permission>}
+ * @returns {Array<Permission>}
+ */
+function consistentSubset (permissions) {
+  const bySignature = new Map()
+  for (const permission of permissions) {
+    const signature = JSON.stringify([
+      permission.deny, permission.allModes().sort(), permission.allOrigins().sort(),
+      permission.validFrom, permission.validUntil,
+      permission.allClients().sort(), permission.allIssuers().sort()
+    ])
+    const group = bySignature.get(signature) || []
+    bySignature.set(signature, group.concat(permission))
+  }
+  const consistent = Array.from(bySignature.values()).filter(group => {
+    const agents = new Set(group.map(permission => permission.agentId))
+    const targets = new Set(group.map(permission =>
+      permission.accessType + ' ' + permission.resourceUrl))
+    return group.length === agents.size * targets.size
+  })
+  // Largest first (the sort is stable, so ties keep their original order)
+  return consistent.sort((a, b) => b.length - a.length)[0] || []
+}
+
+/**
+ * Splits permissions into groups that can each be serialized as a single
+ * authorization (see `authorizationSubjects()`), largest groups first.
+ * Agent `mailto:` aliases are part of the grouping, since they are attributed
+ * to all the agents of an authorization when parsed.
+ * @param permissions {Array<Permission>}
+ * @returns {Array<Array<Permission>>}
+ */
+function compactGroups (permissions) {
+  const bySignature = new Map()
+  for (const permission of permissions) {
+    const signature = JSON.stringify([
+      permission.deny,
+      permission.accessType,
+      permission.allModes().sort(),
+      permission.allOrigins().sort(),
+      permission.agent.mailto || [],
+      permission.validFrom,
+      permission.validUntil,
+      permission.allClients().sort(),
+      permission.allIssuers().sort()
+    ])
+    const group = bySignature.get(signature) || []
+    bySignature.set(signature, group.concat(permission))
+  }
+
+  const groups = []
+  for (const group of bySignature.values()) {
+    const resourcesByAgent = new Map()
+    for (const permission of group) {
+      const resources = resourcesByAgent.get(permission.agentId) || []
+      resourcesByAgent.set(permission.agentId, resources.concat(permission.resourceUrl))
+    }
+    const byResources = new Map()
+    for (const permission of group) {
+      const key = JSON.stringify(resourcesByAgent.get(permission.agentId).sort())
+      byResources.set(key, (byResources.get(key) || []).concat(permission))
+    }
+    groups.push(...byResources.values())
+  }
+  // The sort is stable, so groups of the same size keep their original order
+  return groups.sort((a, b) => b.length - a.length)
+}
+
+/**
+ * Returns the most common original authorization subject of a group of
+ * permissions, skipping ones that are already in use.
+ * @param permissions {Array<Permission>}
+ * @param usedSubjects {Set<string>}
+ * @returns {string|undefined}
+ */
+function mostCommonSubject (permissions, usedSubjects) {
+  const counts = new Map()
+  for (const { subject } of permissions) {
+    if (subject && !usedSubjects.has(subject)) {
+      counts.set(subject, (counts.get(subject) || 0) + 1)
+    }
+  }
+  let result
+  for (const [subject, count] of counts) {
+    if (!result || count > counts.get(result)) {
+      result = subject
+    }
+  }
+  return result
+}
+
+/**
+ * Returns a readable url fragment for a given agent (used for naming new
+ * authorizations, see `authorizationSubjects()`). For example, `public`,
+ * `authenticated`, `alice` (for `https://alice.example.com/profile/card#me`),
+ * or `accounting` (for group `https://example.com/groups#Accounting`).
+ * @param agent {Agent}
+ * @returns {string}
+ */
+function agentSlug (agent) {
+  if (agent.isPublic) {
+    return 'public'
+  }
+  if (agent.isAuthenticated) {
+    return 'authenticated'
+  }
+  let name = agent.id
+  try {
+    const url = new URL(agent.id)
+    const segments = url.pathname.split('/').filter(Boolean)
+    if (agent.isGroup) {
+      name = url.hash.slice(1) || segments.pop() || url.hostname
+    } else {
+      name = url.hostname.replace(/^www\./, '').split('.')[0]
+    }
+  } catch (error) {
+    // Not a url, slugify as is
+  }
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  return slug || (agent.isGroup ? 'group' : 'agent')
 }
 
 /**
@@ -626,5 +2546,6 @@ function isMailTo (agent) {
 module.exports = {
   PermissionSet,
   isAcl,
-  aclUrlFor
+  aclUrlFor,
+  parentContainerUrl
 }
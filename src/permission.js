@@ -7,7 +7,9 @@
 
 const vocab = require('solid-namespace')
 const crypto = require('crypto')
-const { acl } = require('./modes')
+const { acl, normalizeMode, modeName } = require('./modes')
+const { normalizeUrl } = require('./urls')
+const { acp } = require('./acp')
 // const GroupListing = require('./group-listing')
 
 class Agent {
@@ -27,6 +29,10 @@ class Agent {
     return false
   }
 
+  get isAuthenticated () {
+    return false
+  }
+
   equals (other) {
     const sameClass = this.constructor.name === other.constructor.name
     const sameId = this.id === other.id
@@ -95,6 +101,10 @@ class SingleAgent extends Agent {
     const options = JSON.parse(JSON.stringify({ webId, mailto }))
     return new SingleAgent(options)
   }
+
+  toJSON () {
+    return { type: 'agent', id: this.webId, mailto: this.mailto.slice() }
+  }
 }
 
 class Group extends Agent {
@@ -130,6 +140,10 @@ class Group extends Agent {
     const options = JSON.parse(JSON.stringify({ groupUrl }))
     return new Group(options)
   }
+
+  toJSON () {
+    return { type: 'group', id: this.groupUrl }
+  }
 }
 
 class Everyone extends Agent {
@@ -145,6 +159,10 @@ class Everyone extends Agent {
     return new Everyone()
   }
 
+  toJSON () {
+    return { type: 'public' }
+  }
+
   rdfStatements ({ fragment, rdf }) {
     const ns = vocab(rdf)
     return [
@@ -153,6 +171,31 @@ class Everyone extends Agent {
   }
 }
 
+class AuthenticatedAgent extends Agent {
+  get id () {
+    return acl.AUTHENTICATED
+  }
+
+  get isAuthenticated () {
+    return true
+  }
+
+  clone () {
+    return new AuthenticatedAgent()
+  }
+
+  toJSON () {
+    return { type: 'authenticated' }
+  }
+
+  rdfStatements ({ fragment, rdf }) {
+    const ns = vocab(rdf)
+    return [
+      rdf.triple(fragment, ns.acl('agentClass'), ns.acl('AuthenticatedAgent'))
+    ]
+  }
+}
+
 /**
  * Models an individual permission object, for a single resource and for
  * a single webId (either agent or group). See the comments at the top
@@ -176,15 +219,51 @@ class Permission {
    *
    * @param [virtual=false] {boolean} Should this permission be serialized?
    *   (When writing back to an ACL resource, for example.) Used for implied
-   *   (rather than explicit) permission, such as ones that are derived from
-   *   `acl:Control` statements.
+   *   (rather than explicit) permissions. (Access to the ACL resource itself
+   *   is derived from `acl:Control`, see `PermissionSet.checkAccess()`.)
+   *
+   * @param [origins] {Set} Set of origins (`acl:origin`) that are allowed to
+   *   act on this permission when strict origin checking is enabled.
+   *   Modified via `addOrigin()` and `removeOrigin()`.
+   *
+   * @param [subject] {string} IRI of the authorization (`acl:Authorization`)
+   *   in the source ACL that this permission was parsed from (for example,
+   *   `https://alice.com/docs/.acl#owner`), if any. Reused when serializing.
+   *
+   * @param [deny=false] {boolean} Is this a denial (`acl:Denial`, an
+   *   extension to WAC) rather than a grant? A denial revokes its access
+   *   modes from its agent, see `PermissionSet.checkAccess()`.
+   *
+   * @param [validFrom] {Date} Start of the validity window of this permission
+   *   (`schema:validFrom`, an extension to WAC). Not in effect before then.
+   * @param [validUntil] {Date} End of the validity window, inclusive
+   *   (`schema:validThrough`). Lapsed afterwards, see
+   *   `PermissionSet.pruneExpired()`.
+   *
+   * @param [clients] {Set} Client application ids (`acp:client`, the
+   *   Solid-OIDC `client_id`) that this permission is restricted to. If empty,
+   *   any client is allowed. Modified via `addClient()`.
+   * @param [issuers] {Set} Identity providers (`acp:issuer`) that this
+   *   permission is restricted to. If empty, any issuer is allowed. Modified
+   *   via `addIssuer()`.
    */
-  constructor ({ resourceUrl, agent, accessModes = new Set(), inherit = false, virtual = false } = {}) {
+  constructor ({
+    resourceUrl, agent, accessModes = new Set(), inherit = false,
+    virtual = false, origins = new Set(), subject, deny = false,
+    validFrom, validUntil, clients = new Set(), issuers = new Set()
+  } = {}) {
     this.resourceUrl = resourceUrl
     this.agent = agent
     this.accessModes = accessModes
     this.inherit = inherit
     this.virtual = virtual
+    this.origins = origins
+    this.subject = subject
+    this.deny = deny
+    this.validFrom = validFrom
+    this.validUntil = validUntil
+    this.clients = clients
+    this.issuers = issuers
   }
 
   get agentId () {
@@ -220,6 +299,35 @@ class Permission {
     return !!this.agent && this.agent.isPublic
   }
 
+  get isAuthenticated () {
+    return !!this.agent && this.agent.isAuthenticated
+  }
+
+  get isGroup () {
+    return !!this.agent && this.agent.isGroup
+  }
+
+  /**
+   * Tests whether this permission is in effect at a given time (within its
+   * validity window, if it has one). Invalid timestamps are never in effect.
+   * @param [now=new Date()] {Date}
+   * @returns {boolean}
+   */
+  isActive (now = new Date()) {
+    const time = now.getTime()
+    return !(this.validFrom && !(this.validFrom.getTime() <= time)) &&
+      !(this.validUntil && !(time <= this.validUntil.getTime()))
+  }
+
+  /**
+   * Tests whether this permission's validity window has ended by a given time.
+   * @param [now=new Date()] {Date}
+   * @returns {boolean}
+   */
+  isExpired (now = new Date()) {
+    return !!this.validUntil && now.getTime() > this.validUntil.getTime()
+  }
+
   /**
    * Compares this permission with another one.
    * Permissions are equal iff they:
@@ -228,6 +336,10 @@ class Permission {
    *   - Grant the same access modes
    *   - Have the same `inherit`/`acl:default` flag
    *   - Contain the same `mailto:` agent aliases.
+   *   - Allow the same origins (`acl:origin`)
+   *   - Are both grants, or both denials
+   *   - Have the same validity window
+   *   - Are restricted to the same clients and issuers
    * @param other {Permission}
    * @returns {boolean}
    */
@@ -237,8 +349,16 @@ class Permission {
     const sameUrl = this.resourceUrl === other.resourceUrl
     const sameInherit = !!this.inherit === !!other.inherit
     const sameModes = this.allModes().sort().toString() === other.allModes().sort().toString()
+    const sameOrigins = this.allOrigins().sort().toString() === other.allOrigins().sort().toString()
+
+    const sameDeny = !!this.deny === !!other.deny
+    const sameWindow = sameTime(this.validFrom, other.validFrom) &&
+      sameTime(this.validUntil, other.validUntil)
+    const sameClients = sameMembers(this.clients, other.clients) &&
+      sameMembers(this.issuers, other.issuers)
 
-    return !!sameAgent && sameUrl && sameModes && sameInherit
+    return !!sameAgent && sameUrl && sameModes && sameInherit && sameOrigins &&
+      sameDeny && sameWindow && sameClients
   }
 
   /**
@@ -315,15 +435,160 @@ class Permission {
     return Array.from(this.accessModes)
   }
 
+  /**
+   * Adds one or more allowed origins (`acl:origin` statements) to this
+   * permission.
+   * @param origin {String|Statement|Array<String>|Array<Statement>} One or
+   *   more origins, each as either a uri, or an RDF statement.
+   * @returns {Permission} Returns self, chainable.
+   */
+  addOrigin (origin) {
+    if (Array.isArray(origin) || origin instanceof Set) {
+      for (const ea of origin) {
+        this.addOriginSingle(ea)
+      }
+    } else {
+      this.addOriginSingle(origin)
+    }
+    return this
+  }
+
+  /**
+   * Adds a single allowed origin. Internal function, used by `addOrigin()`.
+   * @param origin {String|Statement} Origin as either a uri, or an RDF
+   *   statement (quad).
+   * @returns {Permission} chainable
+   */
+  addOriginSingle (origin) {
+    if (typeof origin !== 'string') { // is a quad
+      origin = origin.object.value
+    }
+    this.origins.add(origin)
+    return this
+  }
+
+  /**
+   * Removes one or more allowed origins from this permission.
+   * @param origin {String|Statement|Array<String>|Array<Statement>}
+   * @returns {Permission} chainable
+   */
+  removeOrigin (origin) {
+    const origins = Array.isArray(origin) ? origin : [origin]
+    for (let ea of origins) {
+      if (typeof ea !== 'string') {
+        ea = ea.object.value
+      }
+      this.origins.delete(ea)
+    }
+    return this
+  }
+
+  /**
+   * Returns a list of all allowed origins for this permission.
+   * @return {Array<String>}
+   */
+  allOrigins () {
+    return Array.from(this.origins)
+  }
+
+  /**
+   * Does this permission grant access to requests coming from a given origin?
+   * Origins are compared by their serialized form (scheme, host and port), so
+   * `https://example.com/` in an ACL matches an `Origin: https://example.com`
+   * request header.
+   * @param origin {String} Contents of a request's `Origin:` header
+   * @return {Boolean}
+   */
+  allowsOrigin (origin) {
+    const requestOrigin = normalizeOrigin(origin)
+    return this.allOrigins()
+      .some(allowed => normalizeOrigin(allowed) === requestOrigin)
+  }
+
+  /**
+   * Restricts this permission to one or more client applications
+   * (`acp:client` statements).
+   * @param clientId {String|Statement|Array<String>|Array<Statement>} One or
+   *   more client ids, each as either a uri, or an RDF statement.
+   *   Restrictions are part of the permission's id, so add them before adding
+   *   the permission to a PermissionSet.
+   * @returns {Permission} Returns self, chainable.
+   */
+  addClient (clientId) {
+    for (const ea of valuesOf(clientId)) {
+      this.clients.add(ea)
+    }
+    return this
+  }
+
+  /**
+   * Restricts this permission to one or more identity providers
+   * (`acp:issuer` statements).
+   * @param issuer {String|Statement|Array<String>|Array<Statement>} See
+   *   `addClient()`
+   * @returns {Permission} Returns self, chainable.
+   */
+  addIssuer (issuer) {
+    for (const ea of valuesOf(issuer)) {
+      this.issuers.add(ea)
+    }
+    return this
+  }
+
+  /**
+   * Returns a list of the client ids this permission is restricted to.
+   * @return {Array<String>}
+   */
+  allClients () {
+    return Array.from(this.clients)
+  }
+
+  /**
+   * Returns a list of the issuers this permission is restricted to.
+   * @return {Array<String>}
+   */
+  allIssuers () {
+    return Array.from(this.issuers)
+  }
+
+  /**
+   * Does this permission grant access to requests made with a given client
+   * application? Unrestricted permissions (with no `acp:client`) allow any
+   * client, including none.
+   * @param [clientId] {String} The request's client id
+   * @return {Boolean}
+   */
+  allowsClient (clientId) {
+    return this.clients.size === 0 ||
+      (!!clientId && this.allClients()
+        .some(allowed => normalizeUrl(allowed) === normalizeUrl(clientId)))
+  }
+
+  /**
+   * Does this permission grant access to requests authenticated by a given
+   * identity provider? Unrestricted permissions (with no `acp:issuer`) allow
+   * any issuer.
+   * @param [issuer] {String} The issuer of the request's credentials
+   * @return {Boolean}
+   */
+  allowsIssuer (issuer) {
+    return this.issuers.size === 0 ||
+      (!!issuer && this.allIssuers()
+        .some(allowed => normalizeUrl(allowed) === normalizeUrl(issuer)))
+  }
+
   /**
    * Tests whether this permission grant the specified access mode
    * @param accessMode {String|NamedNode} Either a named node for the access
    *   mode or a string key ('write', 'read' etc) that maps to that mode.
+   * @param [now=new Date()] {Date} Evaluation time, see `isActive()`
    * @return {Boolean}
    */
-  allowsMode (accessMode) {
-    // Normalize the access mode
-    accessMode = acl[accessMode.toUpperCase()] || accessMode
+  allowsMode (accessMode, now = new Date()) {
+    if (!this.isActive(now)) {
+      return false
+    }
+    accessMode = normalizeMode(accessMode)
     if (accessMode === acl.APPEND) {
       return this.allowsAppend() // Handle the Append special case
     }
@@ -368,21 +633,26 @@ class Permission {
 
   /**
    * Merges the access modes of a given permission with the access modes of
-   * this one (Set union).
+   * this one (Set union). Permissions with different validity windows or
+   * client and issuer restrictions have different ids, and are never merged
+   * (merging them would widen one of them).
    * @param other {Permission}
    * @throws {Error} Error if the other permission is for a different webId
-   *   or resourceUrl (`acl:accessTo`)
+   *   or resourceUrl (`acl:accessTo`), or has a different validity window or
+   *   restrictions
    */
   mergeWith (other) {
     if (this.equals(other)) {
       return
     }
     if (this.id !== other.id) {
-      throw new Error('Cannot merge permissions with different agent id or resource url (accessTo)')
+      throw new Error('Cannot merge permissions with different agent id, resource url (accessTo), validity window or restrictions')
     }
     for (const accessMode of other.allModes()) {
       this.addMode(accessMode)
     }
+    this.addOrigin(other.allOrigins())
+    this.subject = this.subject || other.subject
   }
 
   /**
@@ -392,22 +662,140 @@ class Permission {
   clone () {
     const agent = this.agent ? this.agent.clone() : null
     const accessModes = new Set(this.accessModes)
-    const { resourceUrl, inherit, virtual } = this
+    const origins = new Set(this.origins)
+    const { resourceUrl, inherit, virtual, subject, deny } = this
     const options = JSON.parse(JSON.stringify(
-      { resourceUrl, inherit, virtual }
+      { resourceUrl, inherit, virtual, subject, deny }
     ))
+    const validFrom = this.validFrom && new Date(this.validFrom)
+    const validUntil = this.validUntil && new Date(this.validUntil)
+    const clients = new Set(this.clients)
+    const issuers = new Set(this.issuers)
 
-    return new Permission({ agent, accessModes, ...options })
+    return new Permission({
+      agent,
+      accessModes,
+      origins,
+      validFrom,
+      validUntil,
+      clients,
+      issuers,
+      ...options
+    })
+  }
+
+  /**
+   * Returns a plain JSON representation of this permission, as used in
+   * `PermissionSet.toJSON()` (see there for the schema).
+   * @return {object}
+   */
+  toJSON () {
+    const json = {
+      agent: this.agent ? this.agent.toJSON() : null,
+      resourceUrl: this.resourceUrl,
+      accessType: this.accessType,
+      modes: this.allModes().map(modeName).sort(),
+      origins: this.allOrigins(),
+      virtual: this.virtual
+    }
+    if (this.subject) {
+      json.subject = this.subject
+    }
+    if (this.deny) {
+      json.deny = true
+    }
+    if (this.validFrom) {
+      json.validFrom = this.validFrom.toISOString()
+    }
+    if (this.validUntil) {
+      json.validUntil = this.validUntil.toISOString()
+    }
+    if (this.clients.size > 0) {
+      json.clients = this.allClients()
+    }
+    if (this.issuers.size > 0) {
+      json.issuers = this.allIssuers()
+    }
+    return json
+  }
+
+  /**
+   * Creates a permission from its plain JSON representation (the inverse of
+   * `toJSON()`).
+   * @param json {object}
+   * @param [path='permission'] {string} Used in error messages
+   * @throws {Error} If the JSON is malformed
+   * @return {Permission}
+   */
+  static fromJSON (json, { path = 'permission' } = {}) {
+    assertJson(json && typeof json === 'object', path, 'must be an object')
+    const agent = agentFromJSON(json.agent, `${path}.agent`)
+    assertJson(isNonEmptyString(json.resourceUrl), `${path}.resourceUrl`,
+      'must be a url string')
+    assertJson([acl.ACCESS_TO, acl.DEFAULT].includes(json.accessType),
+      `${path}.accessType`, `must be '${acl.ACCESS_TO}' or '${acl.DEFAULT}'`)
+    assertJson(Array.isArray(json.modes) && json.modes.length > 0,
+      `${path}.modes`, 'must be a non-empty array')
+    const accessModes = json.modes.map((mode, i) => {
+      assertJson(isNonEmptyString(mode), `${path}.modes[${i}]`, 'must be a string')
+      const accessMode = normalizeMode(mode)
+      assertJson(accessMode.includes(':'), `${path}.modes[${i}]`,
+        `unknown access mode '${mode}'`)
+      return accessMode
+    })
+    const origins = json.origins || []
+    assertJson(Array.isArray(origins) && origins.every(isNonEmptyString),
+      `${path}.origins`, 'must be an array of strings')
+    assertJson(json.virtual === undefined || typeof json.virtual === 'boolean',
+      `${path}.virtual`, 'must be a boolean')
+    assertJson(json.subject === undefined || isNonEmptyString(json.subject),
+      `${path}.subject`, 'must be a url string')
+    assertJson(json.deny === undefined || typeof json.deny === 'boolean',
+      `${path}.deny`, 'must be a boolean')
+    const timestamp = property => {
+      const value = json[property]
+      if (value === undefined) {
+        return undefined
+      }
+      const date = new Date(value)
+      assertJson(isNonEmptyString(value) && !isNaN(date), `${path}.${property}`,
+        'must be an ISO 8601 timestamp')
+      return date
+    }
+    const urls = property => {
+      const value = json[property] || []
+      assertJson(Array.isArray(value) && value.every(isNonEmptyString),
+        `${path}.${property}`, 'must be an array of strings')
+      return new Set(value)
+    }
+
+    return new Permission({
+      resourceUrl: json.resourceUrl,
+      agent,
+      accessModes: new Set(accessModes),
+      inherit: json.accessType === acl.DEFAULT,
+      virtual: !!json.virtual,
+      origins: new Set(origins),
+      subject: json.subject,
+      deny: !!json.deny,
+      validFrom: timestamp('validFrom'),
+      validUntil: timestamp('validUntil'),
+      clients: urls('clients'),
+      issuers: urls('issuers')
+    })
   }
 
   /**
    * Returns an array of RDF statements representing this permission.
    * Used by `PermissionSet.serialize()`.
    * @param rdf {RDF} RDF Library
+   * @param [subject] {string} IRI of the authorization to serialize this
+   *   permission as. Defaults to the original `subject` (if this permission
+   *   was parsed from an ACL), otherwise to `resourceUrl#<hashFragment()>`.
    * @return {Array<Quad>} List of RDF statements representing this Auth,
    *   or an empty array if this permission is invalid.
    */
-  rdfStatements (rdf) {
+  rdfStatements (rdf, { subject = this.subject } = {}) {
     // Make sure the permission has at least one agent/group and `accessTo`
     if (!this.isValid) {
       return [] // This Permission is invalid, return empty array
@@ -416,31 +804,58 @@ class Permission {
     if (this.virtual) {
       return []
     }
-    const subject = rdf.namedNode(this.resourceUrl + '#' + this.hashFragment())
+    const fragment = rdf.namedNode(subject || this.hashedSubject())
     const ns = vocab(rdf)
 
+    const type = this.deny ? ns.acl('Denial') : ns.acl('Authorization')
     const statements = [
-      rdf.triple(subject, ns.rdf('type'), ns.acl('Authorization'))
+      rdf.triple(fragment, ns.rdf('type'), type)
     ].concat(
-      this.agent.rdfStatements({ fragment: subject, rdf })
+      this.agent.rdfStatements({ fragment, rdf })
     )
 
     if (this.inherit) {
       statements.push(
-        rdf.triple(subject, ns.acl('default'), rdf.namedNode(this.resourceUrl))
+        rdf.triple(fragment, ns.acl('default'), rdf.namedNode(this.resourceUrl))
       )
     } else {
       statements.push(
-        rdf.triple(subject, ns.acl('accessTo'), rdf.namedNode(this.resourceUrl))
+        rdf.triple(fragment, ns.acl('accessTo'), rdf.namedNode(this.resourceUrl))
       )
     }
 
     for (const accessMode of this.allModes()) {
       statements.push(
-        rdf.triple(subject, ns.acl('mode'), rdf.namedNode(accessMode))
+        rdf.triple(fragment, ns.acl('mode'), rdf.namedNode(accessMode))
+      )
+    }
+
+    for (const origin of this.allOrigins()) {
+      statements.push(
+        rdf.triple(fragment, ns.acl('origin'), rdf.namedNode(origin))
       )
     }
 
+    const acpNs = rdf.Namespace(acp.NAMESPACE)
+    for (const clientId of this.allClients()) {
+      statements.push(
+        rdf.triple(fragment, acpNs('client'), rdf.namedNode(clientId))
+      )
+    }
+    for (const issuer of this.allIssuers()) {
+      statements.push(
+        rdf.triple(fragment, acpNs('issuer'), rdf.namedNode(issuer))
+      )
+    }
+
+    const window = { validFrom: this.validFrom, validThrough: this.validUntil }
+    for (const [property, date] of Object.entries(window)) {
+      if (date) {
+        statements.push(rdf.triple(fragment, ns.schema(property),
+          rdf.literal(date.toISOString(), ns.xsd('dateTime'))))
+      }
+    }
+
     return statements
   }
 
@@ -457,7 +872,8 @@ class Permission {
       throw new Error('This permission is incomplete, no id yet.')
     }
 
-    return Permission.idFor(this.agent.id, this.resourceUrl, this.accessType)
+    return Permission.idFor(this.agent.id, this.resourceUrl, this.accessType,
+      this.deny, this)
   }
 
   /**
@@ -475,20 +891,151 @@ class Permission {
     return crypto.createHash('md5').update(this.id).digest('hex')
   }
 
+  /**
+   * Returns the default (generated) authorization IRI for this permission,
+   * `resourceUrl#<hashFragment()>`.
+   * @return {string}
+   */
+  hashedSubject () {
+    return this.resourceUrl + '#' + this.hashFragment()
+  }
+
   /**
    * Utility method that creates a hash fragment key for this permission.
    * Used with graph serialization to RDF, and as a key to store permissions
    * in a PermissionSet. Exported (mainly for use in PermissionSet).
-   *
-   *
+   * The resource URL is normalized (see `normalizeUrl()`), so that
+   * equivalent URLs result in the same id.
    *
    * @param webId {string} Agent or group web id
    * @param resourceUrl {string} Resource or container URL for this permission
    * @param [accessType='accessTo'] {string} Either 'accessTo' or 'default'
+   * @param [deny=false] {boolean} Denials have ids of their own
+   * @param [validFrom] {Date} Permissions with a validity window have ids of
+   *   their own (so that they are not merged with other permissions)
+   * @param [validUntil] {Date}
+   * @param [clients] {Set} Likewise for client and issuer restrictions
+   * @param [issuers] {Set}
    * @returns {string}
    */
-  static idFor (webId, resourceUrl, accessType = acl.ACCESS_TO) {
-    return webId + '-' + resourceUrl + '-' + accessType
+  static idFor (webId, resourceUrl, accessType = acl.ACCESS_TO, deny = false,
+    { validFrom, validUntil, clients, issuers } = {}) {
+    let id = webId + '-' + normalizeUrl(resourceUrl) + '-' + accessType +
+      (deny ? '-deny' : '')
+    if (validFrom) {
+      id += '-from:' + validFrom.getTime()
+    }
+    if (validUntil) {
+      id += '-until:' + validUntil.getTime()
+    }
+    if (clients && clients.size > 0) {
+      id += '-clients:' + Array.from(clients).map(normalizeUrl).sort().join(',')
+    }
+    if (issuers && issuers.size > 0) {
+      id += '-issuers:' + Array.from(issuers).map(normalizeUrl).sort().join(',')
+    }
+    return id
+  }
+}
+
+/**
+ * Compares two optional timestamps.
+ * @param [a] {Date}
+ * @param [b] {Date}
+ * @returns {boolean}
+ */
+function sameTime (a, b) {
+  return (!a && !b) || (!!a && !!b && a.getTime() === b.getTime())
+}
+
+/**
+ * Compares two sets of strings.
+ * @param a {Set}
+ * @param b {Set}
+ * @returns {boolean}
+ */
+function sameMembers (a, b) {
+  return a.size === b.size && Array.from(a).every(value => b.has(value))
+}
+
+/**
+ * Returns the uri values of one or more uris or RDF statements.
+ * @param values {String|Statement|Array<String>|Array<Statement>|Set}
+ * @returns {Array<String>}
+ */
+function valuesOf (values) {
+  values = Array.isArray(values) || values instanceof Set
+    ? Array.from(values)
+    : [values]
+  return values.map(value => typeof value === 'string' ? value : value.object.value)
+}
+
+/**
+ * Creates an Agent from its plain JSON representation (see `toJSON()` of the
+ * Agent classes).
+ * @param json {object}
+ * @param path {string} Used in error messages
+ * @throws {Error} If the JSON is malformed
+ * @returns {Agent}
+ */
+function agentFromJSON (json, path) {
+  assertJson(json && typeof json === 'object', path, 'must be an object')
+  switch (json.type) {
+    case 'agent': {
+      assertJson(isNonEmptyString(json.id), `${path}.id`, 'must be a webId string')
+      const mailto = json.mailto || []
+      assertJson(Array.isArray(mailto) && mailto.every(isNonEmptyString),
+        `${path}.mailto`, 'must be an array of strings')
+      return new SingleAgent({ webId: json.id, mailto: mailto.slice().sort() })
+    }
+    case 'group':
+      assertJson(isNonEmptyString(json.id), `${path}.id`, 'must be a group url string')
+      return new Group({ groupUrl: json.id })
+    case 'public':
+      return new Everyone()
+    case 'authenticated':
+      return new AuthenticatedAgent()
+    default:
+      throw jsonError(`${path}.type`,
+        'must be one of \'agent\', \'group\', \'public\' or \'authenticated\'')
+  }
+}
+
+function isNonEmptyString (value) {
+  return typeof value === 'string' && value.length > 0
+}
+
+/**
+ * Throws a JSON validation error, unless a given condition holds.
+ * @param condition {boolean}
+ * @param path {string} Path of the offending property
+ * @param message {string}
+ * @throws {Error}
+ */
+function assertJson (condition, path, message) {
+  if (!condition) {
+    throw jsonError(path, message)
+  }
+}
+
+function jsonError (path, message) {
+  const error = new Error(`Invalid permission JSON: ${path} ${message}`)
+  error.path = path
+  return error
+}
+
+/**
+ * Returns the serialized origin (scheme, host and port) of a given url, for
+ * comparison with a request's `Origin:` header. Falls back to the string
+ * itself (minus any trailing slash) if it is not a parseable url.
+ * @param origin {string}
+ * @returns {string}
+ */
+function normalizeOrigin (origin) {
+  try {
+    return new URL(origin).origin
+  } catch (error) {
+    return origin.replace(/\/$/, '')
   }
 }
 
@@ -497,5 +1044,8 @@ module.exports = {
   Agent,
   SingleAgent,
   Group,
-  Everyone
+  Everyone,
+  AuthenticatedAgent,
+  normalizeOrigin,
+  assertJson
 }
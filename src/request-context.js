@@ -0,0 +1,29 @@
+'use strict'
+/**
+ * Access check contexts, shared by `PermissionSet` (WAC) and
+ * `AccessControlResource` (ACP) so that both accept the same agent argument.
+ * @module request-context
+ */
+
+/**
+ * Returns the evaluation context of an access check, from the agent argument
+ * of `checkAccess()` (a webId, or a `{ webId, clientId, issuer, origin }`
+ * context object) and its options.
+ * @param [agent] {string|object}
+ * @param [options={}] {object}
+ * @returns {{agentId: string, clientId: string, issuer: string,
+ *   origin: string}}
+ */
+function requestContext (agent, options = {}) {
+  const context = agent && typeof agent === 'object' ? agent : { webId: agent }
+  return {
+    agentId: context.webId || null,
+    clientId: context.clientId || options.clientId,
+    issuer: context.issuer || options.issuer,
+    origin: context.origin || options.origin
+  }
+}
+
+module.exports = {
+  requestContext
+}
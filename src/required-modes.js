@@ -0,0 +1,130 @@
+'use strict'
+/**
+ * Maps HTTP requests to the access modes they require, following the Solid
+ * Protocol and Web Access Control specs. Used by `PermissionSet.checkRequest()`.
+ * @see https://solidproject.org/TR/protocol#reading-writing-resources
+ * @see https://solidproject.org/TR/wac#access-modes
+ * @module required-modes
+ */
+
+const { acl } = require('./modes')
+const { containerUrlFor, parentContainerUrl } = require('./urls')
+const { DEFAULT_ACL_STRATEGY } = require('./acl-strategies')
+
+/**
+ * Operations of a PATCH request (see `requiredModesFor()`)
+ */
+const PATCH_INSERT = 'insert'
+const PATCH_DELETE = 'delete'
+const PATCH_WHERE = 'where'
+
+/**
+ * Returns the access modes required by an HTTP request, on each of the
+ * resources involved: the resource itself, its parent container (when
+ * creating or deleting it), or, for ACL resources, the resource governed by
+ * the ACL. Usage:
+ *
+ *   ```
+ *   requiredModesFor({
+ *     method: 'PUT', resourceUrl: 'https://alice.com/docs/file1', exists: false
+ *   })
+ *   // ->
+ *   [
+ *     { resourceUrl: 'https://alice.com/docs/file1', modes: [acl.WRITE] },
+ *     { resourceUrl: 'https://alice.com/docs/', modes: [acl.APPEND] }
+ *   ]
+ *   ```
+ * The rules are:
+ *   - `GET`, `HEAD`: Read
+ *   - `POST`: Append (on a container: to create a new member)
+ *   - `PUT`: Write
+ *   - `PATCH`: Append for inserts, Read and Write for deletes, Read for
+ *     conditions (`where`). Write, if the operations are not known.
+ *   - `DELETE`: Write, and Write on the parent container
+ *   - `PUT` and `PATCH` on a resource that does not exist yet: also Append on
+ *     the parent container
+ *   - any request on an ACL resource: Control on the governed resource
+ *   - `OPTIONS`: nothing
+ *
+ * @param method {string} HTTP method
+ * @param resourceUrl {string} Target of the request
+ * @param [exists=true] {boolean} Does the target resource exist?
+ * @param [isContainer] {boolean} Is the target resource a container? Defaults
+ *   to whether its url ends with a slash. Container urls are given a trailing
+ *   slash.
+ * @param [patchOperations] {Array<string>} For PATCH requests, the kinds of
+ *   operations in the patch document: 'insert', 'delete' and/or 'where'
+ * @param [aclStrategy] {AclStrategy} ACL url conventions, see the
+ *   `acl-strategies` module. Defaults to the `.acl` suffix.
+ * @throws {Error} For unsupported methods
+ * @returns {Array<{resourceUrl: string, modes: Array<string>}>}
+ */
+function requiredModesFor ({
+  method, resourceUrl, exists = true, isContainer = resourceUrl.endsWith('/'),
+  patchOperations, aclStrategy = DEFAULT_ACL_STRATEGY
+}) {
+  method = method.toUpperCase()
+  if (method === 'OPTIONS') {
+    return []
+  }
+  const modes = modesFor(method, patchOperations)
+  if (aclStrategy.isAcl(resourceUrl)) {
+    return [{ resourceUrl: aclStrategy.resourceUrlFor(resourceUrl), modes: [acl.CONTROL] }]
+  }
+  if (isContainer) {
+    resourceUrl = containerUrlFor(resourceUrl)
+  }
+  const required = [{ resourceUrl, modes }]
+
+  const containerUrl = parentContainerUrl(resourceUrl)
+  if (containerUrl && method === 'DELETE') {
+    required.push({ resourceUrl: containerUrl, modes: [acl.WRITE] })
+  } else if (containerUrl && !exists && ['PUT', 'PATCH'].includes(method)) {
+    required.push({ resourceUrl: containerUrl, modes: [acl.APPEND] })
+  }
+  return required
+}
+
+/**
+ * Returns the access modes that an HTTP method requires on its target.
+ * @param method {string} Upper case HTTP method
+ * @param [patchOperations] {Array<string>}
+ * @throws {Error} For unsupported methods
+ * @returns {Array<string>}
+ */
+function modesFor (method, patchOperations) {
+  switch (method) {
+    case 'GET':
+    case 'HEAD':
+      return [acl.READ]
+    case 'POST':
+      return [acl.APPEND]
+    case 'PUT':
+    case 'DELETE':
+      return [acl.WRITE]
+    case 'PATCH': {
+      if (!patchOperations) {
+        return [acl.WRITE]
+      }
+      const modes = new Set()
+      if (patchOperations.includes(PATCH_WHERE) || patchOperations.includes(PATCH_DELETE)) {
+        modes.add(acl.READ)
+      }
+      if (patchOperations.includes(PATCH_DELETE)) {
+        modes.add(acl.WRITE)
+      } else if (patchOperations.includes(PATCH_INSERT)) {
+        modes.add(acl.APPEND)
+      }
+      return Array.from(modes)
+    }
+    default:
+      throw new Error(`Unsupported HTTP method '${method}'`)
+  }
+}
+
+module.exports = {
+  PATCH_INSERT,
+  PATCH_DELETE,
+  PATCH_WHERE,
+  requiredModesFor
+}
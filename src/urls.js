@@ -0,0 +1,105 @@
+'use strict'
+/**
+ * URL normalization and container matching, used to key the permission
+ * indexes and to resolve inherited (`acl:default`) permissions.
+ * @module urls
+ */
+
+const UNRESERVED = /^[A-Za-z0-9\-._~]$/
+
+/**
+ * Normalizes a URL, so that equivalent URLs compare equal:
+ *   - lower-cases the scheme and host, removes the default port
+ *   - resolves `.` and `..` path segments
+ *   - decodes percent-encoded unreserved characters (`%7E` -> `~`), and
+ *     upper-cases the hex digits of the remaining escapes (`%2f` -> `%2F`)
+ *
+ * Trailing slashes are significant (`/docs` and `/docs/` are different
+ * resources), and are left as is. Strings that are not absolute URLs are
+ * returned unchanged.
+ *
+ * @param url {string}
+ * @returns {string}
+ */
+function normalizeUrl (url) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    return url
+  }
+  parsed.pathname = parsed.pathname.replace(/%([0-9a-fA-F]{2})/g, (escape, hex) => {
+    const char = String.fromCharCode(parseInt(hex, 16))
+    return UNRESERVED.test(char) ? char : '%' + hex.toUpperCase()
+  })
+  return parsed.href
+}
+
+/**
+ * Returns the normalized URL of a container, with a trailing slash (an
+ * `acl:default` object without one, `https://a.com/docs`, still refers to
+ * the container `https://a.com/docs/`).
+ * @param containerUrl {string}
+ * @returns {string}
+ */
+function containerUrlFor (containerUrl) {
+  const url = normalizeUrl(containerUrl)
+  return url.endsWith('/') ? url : url + '/'
+}
+
+/**
+ * Tests whether a resource is a container, or any of its (direct or nested)
+ * contents. Matches whole path segments, so `https://a.com/docs` contains
+ * `https://a.com/docs/file` but not `https://a.com/docs-private/file`.
+ * @param containerUrl {string}
+ * @param resourceUrl {string}
+ * @returns {boolean}
+ */
+function isInContainer (containerUrl, resourceUrl) {
+  const container = containerUrlFor(containerUrl)
+  const resource = normalizeUrl(resourceUrl)
+  return resource.startsWith(container) || resource + '/' === container
+}
+
+/**
+ * Finds the closest (deepest) of the given containers that contains a
+ * resource.
+ * @param containerUrls {Array<string>}
+ * @param resourceUrl {string}
+ * @returns {string|undefined} One of `containerUrls`
+ */
+function closestContainer (containerUrls, resourceUrl) {
+  let closest
+  let closestLength = -1
+  for (const containerUrl of containerUrls) {
+    const length = containerUrlFor(containerUrl).length
+    if (length > closestLength && isInContainer(containerUrl, resourceUrl)) {
+      closest = containerUrl
+      closestLength = length
+    }
+  }
+  return closest
+}
+
+/**
+ * Returns the url of the container that contains a given resource (or
+ * container), or `null` for the root container.
+ * @param resourceUrl {string}
+ * @returns {string|null}
+ */
+function parentContainerUrl (resourceUrl) {
+  const { origin, pathname } = new URL(resourceUrl)
+  if (pathname === '/') {
+    return null
+  }
+  const path = pathname.endsWith('/') ? pathname.slice(0, -1) : pathname
+  return origin + path.slice(0, path.lastIndexOf('/') + 1)
+}
+
+module.exports = {
+  normalizeUrl,
+  containerUrlFor,
+  isInContainer,
+  closestContainer,
+  parentContainerUrl
+}
@@ -0,0 +1,38 @@
+module.exports = `# Contents of https://alice.example.com/docs/.acl
+@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+
+<#owner>
+    a acl:Authorization;
+    acl:agent <https://alice.example.com/#me>;
+    acl:accessTo <./>;
+    acl:default <./>;
+    acl:mode acl:Read, acl:Write, acl:Control.
+
+<#public>
+    a acl:Authorization;
+    acl:agentClass foaf:Agent;
+    acl:accessTo <./>;
+    acl:default <./>;
+    acl:mode acl:Read, acl:Append.
+
+<#accounting>
+    a acl:Authorization;
+    acl:agentGroup <https://alice.example.com/work-groups#Accounting>;
+    acl:default <shared/>;
+    acl:mode acl:Read.
+
+# Revokes Bob's access, except to the shared folder
+<#mallory>
+    a acl:Denial;
+    acl:agent <https://bob.example.com/profile/card#me>;
+    acl:accessTo <./>;
+    acl:default <./>;
+    acl:mode acl:Read, acl:Append.
+
+# Candice may read, but not post
+<#noPosting>
+    a acl:Denial;
+    acl:agent <https://candice.example.com/profile/card#me>;
+    acl:default <./>;
+    acl:mode acl:Write.`
@@ -0,0 +1,63 @@
+module.exports = `# Contents of https://alice.example.com/docs/.acr
+@prefix acp: <http://www.w3.org/ns/solid/acp#>.
+@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+
+<#acr>
+    a acp:AccessControlResource;
+    acp:resource <./>;
+    acp:accessControl <#ownerControl>, <#publicControl>;
+    acp:memberAccessControl <#ownerControl>, <#friendsControl>;
+    acp:access <#ownerControl>.
+
+<#ownerControl>
+    a acp:AccessControl;
+    acp:apply <#ownerPolicy>.
+
+<#ownerPolicy>
+    a acp:Policy;
+    acp:allow acl:Read, acl:Write;
+    acp:allOf <#alice>.
+
+<#alice>
+    a acp:Matcher;
+    acp:agent <https://alice.example.com/#me>.
+
+<#publicControl>
+    a acp:AccessControl;
+    acp:apply [
+        a acp:Policy;
+        acp:allow acl:Read;
+        acp:anyOf [ a acp:Matcher; acp:agent acp:PublicAgent ]
+    ].
+
+<#friendsControl>
+    a acp:AccessControl;
+    acp:apply <#friendsPolicy>, <#carolReadOnly>.
+
+<#friendsPolicy>
+    a acp:Policy;
+    acp:allow acl:Read, acl:Write;
+    acp:anyOf <#bob>, <#carol>;
+    acp:allOf <#trustedApp>;
+    acp:noneOf <#untrustedIssuer>.
+
+<#carolReadOnly>
+    a acp:Policy;
+    acp:deny acl:Write;
+    acp:allOf <#carol>.
+
+<#bob>
+    a acp:Matcher;
+    acp:agent <https://bob.example.com/#me>.
+
+<#carol>
+    a acp:Matcher;
+    acp:agent <https://carol.example.com/#me>.
+
+<#trustedApp>
+    a acp:Matcher;
+    acp:client <https://app.example.com/id>, <https://other-app.example.com/id>.
+
+<#untrustedIssuer>
+    a acp:Matcher;
+    acp:issuer <https://untrusted.example.com/>.`
@@ -0,0 +1,57 @@
+module.exports = `# Contents of https://alice.example.com/docs/file1.acl
+@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+@prefix foaf: <http://xmlns.com/foaf/0.1/> .
+@prefix schema: <http://schema.org/>.
+
+<#valid>
+    a acl:Authorization;
+    acl:agent <https://alice.example.com/#me>;
+    acl:accessTo <https://alice.example.com/docs/file1>;
+    acl:mode acl:Read, acl:Write, acl:Control.
+
+<#noMode>
+    a acl:Authorization;
+    acl:agent <https://bob.example.com/#me>;
+    acl:accessTo <https://alice.example.com/docs/file1>.
+
+<#unknownMode>
+    a acl:Authorization;
+    acl:agent <https://bob.example.com/#me>;
+    acl:accessTo <https://alice.example.com/docs/file1>;
+    acl:mode acl:Read, acl:Delete.
+
+<#mailtoOnly>
+    a acl:Authorization;
+    acl:agent <mailto:bob@example.com>;
+    acl:accessTo <https://alice.example.com/docs/file1>;
+    acl:mode acl:Read.
+
+<#untyped>
+    acl:agentClass foaf:Agent;
+    acl:accessTo <https://alice.example.com/docs/file1>;
+    acl:mode acl:Read.
+
+<#defaultOnFile>
+    a acl:Authorization;
+    acl:agentGroup <https://alice.example.com/work-groups#Accounting>;
+    acl:default <https://alice.example.com/docs/file1>;
+    acl:mode acl:Read.
+
+<#elsewhere>
+    a acl:Authorization;
+    acl:agentClass acl:AuthenticatedAgent;
+    acl:accessTo <https://alice.example.com/private/file2>;
+    acl:mode acl:Read.
+
+<#nobody>
+    a acl:Authorization;
+    acl:agentClass foaf:Person;
+    acl:accessTo <https://alice.example.com/docs/file1>;
+    acl:mode acl:Read.
+
+<#badDate>
+    a acl:Authorization;
+    acl:agent <https://bob.example.com/#me>;
+    acl:accessTo <https://alice.example.com/docs/file1>;
+    acl:mode acl:Read;
+    schema:validThrough "end of quarter".`
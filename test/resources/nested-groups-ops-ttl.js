@@ -0,0 +1,6 @@
+module.exports = `# Contents of https://other.example.com/teams
+@prefix vcard: <http://www.w3.org/2006/vcard/ns#> .
+
+<#Ops>
+  a vcard:Group;
+  vcard:hasMember <https://dave.example.com/profile/card#me>.`
@@ -0,0 +1,21 @@
+module.exports = `# Contents of https://example.com/groups
+@prefix vcard: <http://www.w3.org/2006/vcard/ns#> .
+
+<#Engineering>
+  a vcard:Group;
+  vcard:hasMember <#Backend>, <#Frontend>;
+  vcard:hasMember <https://eve.example.com/profile/card#me>.
+
+<#Backend>
+  a vcard:Group;
+  vcard:hasMember <https://bob.example.com/profile/card#me>;
+  vcard:hasMember <https://other.example.com/teams#Ops>.
+
+# Defined in another listing document
+<https://other.example.com/teams#Ops> a vcard:Group.
+
+<#Frontend>
+  a vcard:Group;
+  vcard:hasMember <https://carol.example.com/profile/card#me>;
+  # Membership cycle
+  vcard:hasMember <#Engineering>.`
@@ -0,0 +1,77 @@
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const { expect } = chai
+chai.should()
+
+const {
+  suffixStrategy, queryStrategy, linkHeaderStrategy
+} = require('../../src/acl-strategies')
+
+const resourceUrl = 'https://alice.example.com/docs/file1'
+
+describe('ACL strategies', () => {
+  describe('suffixStrategy()', () => {
+    it('should append the suffix', () => {
+      const strategy = suffixStrategy()
+      expect(strategy.aclUrlFor(resourceUrl)).to.equal(resourceUrl + '.acl')
+      expect(strategy.aclUrlFor(resourceUrl + '.acl')).to.equal(resourceUrl + '.acl')
+      expect(strategy.isAcl(resourceUrl + '.acl')).to.be.true()
+      expect(strategy.isAcl(resourceUrl)).to.be.false()
+      expect(strategy.resourceUrlFor(resourceUrl + '.acl')).to.equal(resourceUrl)
+    })
+
+    it('should support other suffixes', () => {
+      const strategy = suffixStrategy({ suffix: ',acl' })
+      expect(strategy.aclUrlFor(resourceUrl)).to.equal(resourceUrl + ',acl')
+      expect(strategy.resourceUrlFor(resourceUrl + ',acl')).to.equal(resourceUrl)
+    })
+  })
+
+  describe('queryStrategy()', () => {
+    it('should add a query parameter', () => {
+      const strategy = queryStrategy()
+      const aclUrl = resourceUrl + '?ext=acl'
+      expect(strategy.aclUrlFor(resourceUrl)).to.equal(aclUrl)
+      expect(strategy.aclUrlFor(aclUrl)).to.equal(aclUrl)
+      expect(strategy.isAcl(aclUrl)).to.be.true()
+      expect(strategy.isAcl(resourceUrl + '?ext=meta')).to.be.false()
+      expect(strategy.resourceUrlFor(aclUrl)).to.equal(resourceUrl)
+    })
+  })
+
+  describe('linkHeaderStrategy()', () => {
+    const aclUrl = 'https://alice.example.com/acls/docs/file1'
+
+    it('should discover ACLs from Link headers', () => {
+      const strategy = linkHeaderStrategy()
+      const discovered = strategy.discover(resourceUrl, {
+        'Content-Type': 'text/plain',
+        Link: '<http://www.w3.org/ns/ldp#Resource>; rel="type", ' +
+          '</acls/docs/file1>; rel="acl"'
+      })
+
+      expect(discovered).to.equal(aclUrl)
+      expect(strategy.aclUrlFor(resourceUrl)).to.equal(aclUrl)
+      expect(strategy.isAcl(aclUrl)).to.be.true()
+      expect(strategy.isAcl(resourceUrl)).to.be.false()
+      expect(strategy.resourceUrlFor(aclUrl)).to.equal(resourceUrl)
+    })
+
+    it('should accept Headers objects and Link header values', () => {
+      const strategy = linkHeaderStrategy()
+      const headers = new Map([['link', '<file1.acl>; rel=acl']]) // Like fetch Headers
+      expect(strategy.discover(resourceUrl, headers)).to.equal(resourceUrl + '.acl')
+      expect(strategy.discover(resourceUrl, '<?ext=acl>; rel="describedby acl"'))
+        .to.equal(resourceUrl + '?ext=acl')
+    })
+
+    it('should fall back for undiscovered resources', () => {
+      const strategy = linkHeaderStrategy({ fallback: queryStrategy() })
+      expect(strategy.discover(resourceUrl, { link: '<meta>; rel="describedby"' }))
+        .to.be.undefined()
+      expect(strategy.aclUrlFor(resourceUrl)).to.equal(resourceUrl + '?ext=acl')
+    })
+  })
+})
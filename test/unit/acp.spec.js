@@ -0,0 +1,198 @@
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const { expect } = chai
+chai.should()
+
+const rdf = require('rdflib')
+const { acl } = require('../../src/modes')
+const {
+  acp, Matcher, Policy, AccessControl, AccessControlResource
+} = require('../../src/acp')
+const { PermissionSet } = require('../../src/permission-set')
+const { parseGraph } = require('./utils')
+
+const containerUrl = 'https://alice.example.com/docs/'
+const acrUrl = 'https://alice.example.com/docs/.acr'
+const fileUrl = 'https://alice.example.com/docs/file1'
+
+const aliceWebId = 'https://alice.example.com/#me'
+const bobWebId = 'https://bob.example.com/#me'
+const carolWebId = 'https://carol.example.com/#me'
+const client = 'https://app.example.com/id'
+
+describe('ACP', () => {
+  let acr
+
+  beforeEach(async () => {
+    const graph = await parseGraph(rdf, acrUrl, require('../resources/acp-container-ttl'))
+    acr = AccessControlResource.fromGraph({
+      resourceUrl: containerUrl, acrUrl, graph, isContainer: true, rdf
+    })
+  })
+
+  describe('Matcher', () => {
+    it('should require all of its attributes to match', () => {
+      const matcher = new Matcher({ agents: [bobWebId], clients: [client] })
+      expect(matcher.matches({ agentId: bobWebId, client })).to.be.true()
+      expect(matcher.matches({ agentId: bobWebId })).to.be.false()
+      expect(matcher.matches({ agentId: carolWebId, client })).to.be.false()
+      expect(new Matcher().matches({ agentId: bobWebId })).to.be.false()
+    })
+
+    it('should compare clients and issuers as normalized urls', () => {
+      const matcher = new Matcher({
+        clients: [client], issuers: ['https://idp.example.com']
+      })
+      expect(matcher.matches({
+        client: 'HTTPS://APP.example.com/id', issuer: 'https://idp.example.com/'
+      })).to.be.true()
+      expect(matcher.matches({ issuer: 'https://idp.example.com/' })).to.be.false()
+    })
+
+    it('should match agent classes', () => {
+      const owner = new Matcher({ agents: [acp.OWNER_AGENT] })
+      expect(owner.matches({ agentId: aliceWebId, ownerWebId: aliceWebId })).to.be.true()
+      expect(owner.matches({ agentId: bobWebId, ownerWebId: aliceWebId })).to.be.false()
+
+      const authenticated = new Matcher({ agents: [acp.AUTHENTICATED_AGENT] })
+      expect(authenticated.matches({ agentId: bobWebId })).to.be.true()
+      expect(authenticated.matches({})).to.be.false()
+      expect(new Matcher({ agents: [acp.PUBLIC_AGENT] }).matches({})).to.be.true()
+    })
+  })
+
+  describe('Policy', () => {
+    it('should not be satisfied without allOf or anyOf matchers', () => {
+      const policy = new Policy({
+        allow: [acl.READ], noneOf: [new Matcher({ agents: [bobWebId] })]
+      })
+      expect(policy.isSatisfiedBy({ agentId: aliceWebId })).to.be.false()
+    })
+  })
+
+  describe('fromGraph()', () => {
+    it('should parse access controls, policies and matchers', () => {
+      expect(acr.accessControls.map(control => control.id))
+        .to.eql([acrUrl + '#ownerControl', acrUrl + '#publicControl'])
+      expect(acr.memberAccessControls).to.have.length(2)
+      expect(acr.access[0]).to.equal(acr.accessControls[0], 'Shared nodes are parsed once')
+
+      const [friendsPolicy] = acr.memberAccessControls[1].policies
+      expect(Array.from(friendsPolicy.allow)).to.eql([acl.READ, acl.WRITE])
+      expect(friendsPolicy.anyOf.map(matcher => matcher.agents[0]))
+        .to.eql([bobWebId, carolWebId])
+      expect(friendsPolicy.noneOf[0].issuers).to.eql(['https://untrusted.example.com/'])
+    })
+  })
+
+  describe('checkAccess()', () => {
+    it('should grant the modes allowed by satisfied policies', async () => {
+      expect(await acr.checkAccess(containerUrl, aliceWebId, acl.WRITE)).to.be.true()
+      expect(await acr.checkAccess(containerUrl, aliceWebId, acl.APPEND))
+        .to.be.true('Write implies Append')
+      expect(await acr.checkAccess(containerUrl, null, acl.READ)).to.be.true()
+      expect(await acr.checkAccess(containerUrl, null, acl.WRITE)).to.be.false()
+    })
+
+    it('should apply member access controls to the contents of a container', async () => {
+      expect(await acr.checkAccess(fileUrl, aliceWebId, acl.WRITE)).to.be.true()
+      expect(await acr.checkAccess(fileUrl, null, acl.READ))
+        .to.be.false('Public access is not inherited')
+      expect(await acr.checkAccess('https://alice.example.com/docs-private/file', aliceWebId, acl.READ))
+        .to.be.false()
+    })
+
+    it('should evaluate clients and issuers', async () => {
+      expect(await acr.checkAccess(fileUrl, bobWebId, acl.WRITE, { client })).to.be.true()
+      expect(await acr.checkAccess(fileUrl, bobWebId, acl.READ)).to.be.false()
+      expect(await acr.checkAccess(fileUrl, bobWebId, acl.READ, {
+        client, issuer: 'https://untrusted.example.com/'
+      })).to.be.false()
+    })
+
+    it('should let denials override allowed modes', async () => {
+      expect(await acr.checkAccess(fileUrl, carolWebId, acl.READ, { client })).to.be.true()
+      expect(await acr.checkAccess(fileUrl, carolWebId, acl.WRITE, { client })).to.be.false()
+      expect(await acr.checkAccess(fileUrl, carolWebId, acl.APPEND, { client })).to.be.false()
+    })
+
+    it('should grant Control by the ACR\'s own access controls', async () => {
+      expect(await acr.checkAccess(containerUrl, aliceWebId, acl.CONTROL)).to.be.true()
+      expect(await acr.checkAccess(containerUrl, bobWebId, acl.CONTROL, { client }))
+        .to.be.false()
+    })
+
+    it('should have the same signature as PermissionSet.checkAccess()', async () => {
+      const wac = new PermissionSet({ resourceUrl: containerUrl, isContainer: true })
+      wac.addMode({ agentId: aliceWebId, accessMode: [acl.READ, acl.WRITE] })
+
+      for (const resource of [wac, acr]) {
+        expect(await resource.checkAccess(fileUrl, aliceWebId, acl.WRITE, {})).to.be.true()
+        expect(await resource.checkAccess(fileUrl, bobWebId, acl.WRITE, {})).to.be.false()
+      }
+    })
+
+    it('should accept the same context objects as PermissionSet.checkAccess()', async () => {
+      expect(await acr.checkAccess(fileUrl, { webId: aliceWebId }, acl.WRITE)).to.be.true()
+      expect(await acr.checkAccess(fileUrl, { webId: bobWebId, clientId: client }, acl.WRITE))
+        .to.be.true()
+      expect(await acr.checkAccess(fileUrl, bobWebId, acl.WRITE, { clientId: client }))
+        .to.be.true()
+      expect(await acr.checkAccess(fileUrl, {
+        webId: bobWebId, clientId: client, issuer: 'https://untrusted.example.com/'
+      }, acl.READ)).to.be.false()
+      expect(await acr.checkAccess(containerUrl, { webId: null }, acl.READ)).to.be.true()
+      expect(await acr.checkAccess(containerUrl, { webId: null }, acl.WRITE)).to.be.false()
+    })
+
+    it('should not treat anonymous context objects as authenticated', async () => {
+      const authenticated = new AccessControlResource({
+        resourceUrl: fileUrl,
+        accessControls: [new AccessControl({
+          policies: [new Policy({
+            allow: [acl.READ], anyOf: [new Matcher({ agents: [acp.AUTHENTICATED_AGENT] })]
+          })]
+        })]
+      })
+      expect(await authenticated.checkAccess(fileUrl, { webId: bobWebId }, acl.READ)).to.be.true()
+      expect(await authenticated.checkAccess(fileUrl, { webId: null }, acl.READ)).to.be.false()
+      expect(await authenticated.checkAccess(fileUrl, {}, acl.READ)).to.be.false()
+    })
+  })
+
+  describe('serialize()', () => {
+    it('should round trip through Turtle', async () => {
+      const turtle = await acr.serialize()
+      const graph = await parseGraph(rdf, acrUrl, turtle)
+      const parsed = AccessControlResource.fromGraph({
+        resourceUrl: containerUrl, acrUrl, graph, isContainer: true, rdf
+      })
+
+      expect(turtle).to.include('acp:memberAccessControl')
+      expect(parsed.buildGraph().length).to.equal(acr.buildGraph().length)
+      expect(await parsed.checkAccess(containerUrl, null, acl.READ)).to.be.true()
+      expect(await parsed.checkAccess(fileUrl, carolWebId, acl.WRITE, { client })).to.be.false()
+    })
+
+    it('should name new nodes after the ACR', async () => {
+      const resource = new AccessControlResource({
+        resourceUrl: fileUrl,
+        acrUrl: fileUrl + '.acr',
+        accessControls: [new AccessControl({
+          policies: [new Policy({
+            allow: ['read'], anyOf: [new Matcher({ agents: [acp.AUTHENTICATED_AGENT] })]
+          })]
+        })]
+      })
+
+      const graph = await parseGraph(rdf, fileUrl + '.acr', await resource.serialize())
+      const ns = rdf.Namespace(acp.NAMESPACE)
+      const named = fragment => rdf.namedNode(`${fileUrl}.acr#${fragment}`)
+      expect(graph.holds(named('accessControl-1'), ns('apply'), named('policy-1'))).to.be.true()
+      expect(graph.holds(named('policy-1'), ns('anyOf'), named('matcher-1'))).to.be.true()
+      expect(await resource.checkAccess(fileUrl, bobWebId, 'read')).to.be.true()
+    })
+  })
+})
@@ -0,0 +1,223 @@
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const { expect } = chai
+chai.should()
+
+const rdf = require('rdflib')
+const sinon = require('sinon')
+const { acl } = require('../../src/modes')
+const { PermissionSet } = require('../../src/permission-set')
+const GroupListingCache = require('../../src/group-listing-cache')
+const { parseGraph } = require('./utils')
+
+const listingUrl = 'https://alice.example.com/work-groups'
+const accountingUrl = listingUrl + '#Accounting'
+const managementUrl = listingUrl + '#Management'
+const bob = 'https://bob.example.com/profile/card#me'
+
+let parsedGroupListing
+
+before(async () => {
+  parsedGroupListing = await parseGraph(rdf, listingUrl,
+    require('../resources/group-listing-ttl'))
+})
+
+describe('GroupListingCache', () => {
+  let clock, cache
+
+  beforeEach(() => {
+    clock = 0
+    cache = new GroupListingCache({ ttl: 1000, now: () => clock })
+  })
+
+  describe('load()', () => {
+    it('should fetch on a miss and serve from cache on a hit', async () => {
+      const fetchGraph = sinon.stub().resolves(parsedGroupListing)
+
+      const group = await cache.load(accountingUrl, { fetchGraph, rdf })
+      expect(group.hasMember(bob)).to.be.true()
+      const cached = await cache.load(accountingUrl, { fetchGraph, rdf })
+      expect(cached).to.equal(group)
+
+      expect(fetchGraph.callCount).to.equal(1)
+      expect(cache.stats).to.eql({ hits: 1, misses: 1, revalidations: 0, size: 1 })
+    })
+
+    it('should share a single fetch between concurrent loads', async () => {
+      const fetchGraph = sinon.stub().resolves(parsedGroupListing)
+
+      await Promise.all([
+        cache.load(accountingUrl, { fetchGraph, rdf }),
+        cache.load(accountingUrl, { fetchGraph, rdf })
+      ])
+      expect(fetchGraph.callCount).to.equal(1)
+    })
+
+    it('should refetch expired entries', async () => {
+      const fetchGraph = sinon.stub().resolves(parsedGroupListing)
+
+      await cache.load(accountingUrl, { fetchGraph, rdf })
+      clock = 1000
+      await cache.load(accountingUrl, { fetchGraph, rdf })
+
+      expect(fetchGraph.callCount).to.equal(2)
+      expect(cache.stats.misses).to.equal(2)
+    })
+
+    it('should revalidate expired entries with ETag and Last-Modified', async () => {
+      const lastModified = 'Wed, 30 Dec 2020 10:00:00 GMT'
+      const fetchGraph = sinon.stub()
+      fetchGraph.onFirstCall().resolves({
+        graph: parsedGroupListing, etag: '"v1"', lastModified
+      })
+      fetchGraph.onSecondCall().resolves({ notModified: true })
+
+      const group = await cache.load(accountingUrl, { fetchGraph, rdf })
+      clock = 1500
+      const revalidated = await cache.load(accountingUrl, { fetchGraph, rdf })
+
+      expect(revalidated).to.equal(group)
+      const { headers } = fetchGraph.secondCall.args[1]
+      expect(headers).to.eql({
+        'If-None-Match': '"v1"', 'If-Modified-Since': lastModified
+      })
+      expect(cache.stats.revalidations).to.equal(1)
+
+      // Revalidation renews the TTL
+      await cache.load(accountingUrl, { fetchGraph, rdf })
+      expect(fetchGraph.callCount).to.equal(2)
+    })
+
+    it('should reject a "not modified" result for an uncached listing', async () => {
+      const fetchGraph = sinon.stub().resolves({ notModified: true })
+
+      let error
+      try {
+        await cache.load(accountingUrl, { fetchGraph, rdf })
+      } catch (e) {
+        error = e
+      }
+      expect(error.message).to.match(/reported group listing .* as not modified, but it is not cached/)
+      expect(cache.size).to.equal(0)
+    })
+
+    it('should cache listings loaded with different depths separately', async () => {
+      const fetchGraph = sinon.stub().resolves(parsedGroupListing)
+
+      const flat = await cache.load(accountingUrl, { fetchGraph, rdf, maxDepth: 0 })
+      const nested = await cache.load(accountingUrl, { fetchGraph, rdf })
+      expect(nested).to.not.equal(flat)
+      expect(await cache.load(accountingUrl, { fetchGraph, rdf, maxDepth: 0 })).to.equal(flat)
+      expect(cache.get(accountingUrl)).to.equal(nested)
+      expect(fetchGraph.callCount).to.equal(2)
+
+      cache.invalidate(accountingUrl)
+      expect(cache.size).to.equal(0)
+    })
+  })
+
+  describe('set()', () => {
+    it('should evict the least recently used entries', async () => {
+      cache = new GroupListingCache({ maxEntries: 2 })
+      const fetchGraph = sinon.stub().resolves(parsedGroupListing)
+      const otherUrl = 'https://example.com/groups#Other'
+
+      await cache.load(accountingUrl, { fetchGraph, rdf })
+      await cache.load(managementUrl, { fetchGraph, rdf })
+      cache.get(accountingUrl) // Accounting is now the most recently used
+      await cache.load(otherUrl, { fetchGraph, rdf })
+
+      expect(cache.size).to.equal(2)
+      expect(cache.get(managementUrl)).to.be.undefined()
+      expect(cache.get(accountingUrl)).to.exist()
+    })
+  })
+
+  describe('invalidate()', () => {
+    beforeEach(async () => {
+      const fetchGraph = sinon.stub().resolves(parsedGroupListing)
+      await cache.load(accountingUrl, { fetchGraph, rdf })
+      await cache.load(managementUrl, { fetchGraph, rdf })
+    })
+
+    it('should invalidate a single group', () => {
+      cache.invalidate(accountingUrl)
+      expect(cache.get(accountingUrl)).to.be.undefined()
+      expect(cache.get(managementUrl)).to.exist()
+    })
+
+    it('should invalidate all groups of a listing document', () => {
+      cache.invalidate(listingUrl)
+      expect(cache.size).to.equal(0)
+    })
+  })
+
+  describe('nested groups in other documents', () => {
+    const groupsUrl = 'https://example.com/groups'
+    const backendUrl = groupsUrl + '#Backend'
+    const teamsUrl = 'https://other.example.com/teams'
+    const opsUrl = teamsUrl + '#Ops'
+    const dave = 'https://dave.example.com/profile/card#me'
+    let fetchGraph
+
+    beforeEach(async () => {
+      const groups = await parseGraph(rdf, groupsUrl, require('../resources/nested-groups-ttl'))
+      const teams = await parseGraph(rdf, teamsUrl, require('../resources/nested-groups-ops-ttl'))
+      fetchGraph = sinon.stub()
+      fetchGraph.withArgs(backendUrl).resolves({ graph: groups, etag: '"v1"' })
+      fetchGraph.withArgs(opsUrl).resolves(teams)
+    })
+
+    it('should reload them when the parent listing is not modified', async () => {
+      await cache.load(backendUrl, { fetchGraph, rdf })
+      fetchGraph.withArgs(backendUrl).resolves({ notModified: true })
+      fetchGraph.withArgs(opsUrl).resolves(await parseGraph(rdf, teamsUrl, `
+        @prefix vcard: <http://www.w3.org/2006/vcard/ns#>.
+        <#Ops> a vcard:Group.`))
+
+      clock = 1000
+      const group = await cache.load(backendUrl, { fetchGraph, rdf })
+
+      expect(cache.stats.revalidations).to.equal(1)
+      expect(group.hasEffectiveMember(bob)).to.be.true()
+      expect(group.hasEffectiveMember(dave)).to.be.false()
+      expect(fetchGraph.callCount).to.equal(4)
+    })
+
+    it('should invalidate the listings they are nested in', async () => {
+      await cache.load(backendUrl, { fetchGraph, rdf })
+      await cache.load(accountingUrl, { fetchGraph: sinon.stub().resolves(parsedGroupListing), rdf })
+
+      cache.invalidate(opsUrl)
+      expect(cache.get(backendUrl)).to.be.undefined()
+      expect(cache.get(accountingUrl)).to.exist()
+
+      await cache.load(backendUrl, { fetchGraph, rdf })
+      cache.invalidate(teamsUrl)
+      expect(cache.get(backendUrl)).to.be.undefined()
+      expect(cache.size).to.equal(1)
+    })
+  })
+
+  describe('with PermissionSet', () => {
+    it('should be shared between permission sets', async () => {
+      const resourceUrl = 'https://alice.example.com/docs/file2.ttl'
+      const aclUrl = resourceUrl + '.acl'
+      const graph = await parseGraph(rdf, aclUrl, require('../resources/acl-with-group-ttl'))
+      const fetchGraph = sinon.stub().resolves(parsedGroupListing)
+
+      for (let i = 0; i < 3; i++) {
+        // A new permission set per request
+        const ps = PermissionSet.fromGraph({
+          resourceUrl, aclUrl, graph, rdf, groupCache: cache
+        })
+        expect(await ps.checkAccess(resourceUrl, bob, acl.READ, { fetchGraph }))
+          .to.be.true()
+      }
+      expect(fetchGraph.callCount).to.equal(1)
+      expect(cache.stats.hits).to.equal(2)
+    })
+  })
+})
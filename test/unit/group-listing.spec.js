@@ -0,0 +1,140 @@
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const { expect } = chai
+chai.should()
+
+const rdf = require('rdflib')
+const sinon = require('sinon')
+const { acl } = require('../../src/modes')
+const GroupListing = require('../../src/group-listing')
+const { PermissionSet } = require('../../src/permission-set')
+const { Permission, Group } = require('../../src/permission')
+const { parseGraph } = require('./utils')
+
+const listingUrl = 'https://example.com/groups'
+const opsListingUrl = 'https://other.example.com/teams'
+const engineeringUrl = listingUrl + '#Engineering'
+const backendUrl = listingUrl + '#Backend'
+const frontendUrl = listingUrl + '#Frontend'
+const opsUrl = opsListingUrl + '#Ops'
+
+const bob = 'https://bob.example.com/profile/card#me'
+const carol = 'https://carol.example.com/profile/card#me'
+const dave = 'https://dave.example.com/profile/card#me'
+const eve = 'https://eve.example.com/profile/card#me'
+
+let graphs, fetchGraph
+
+before(async () => {
+  graphs = {
+    [listingUrl]: await parseGraph(rdf, listingUrl,
+      require('../resources/nested-groups-ttl')),
+    [opsListingUrl]: await parseGraph(rdf, opsListingUrl,
+      require('../resources/nested-groups-ops-ttl'))
+  }
+})
+
+beforeEach(() => {
+  fetchGraph = sinon.spy(async url => graphs[url.split('#')[0]])
+})
+
+describe('GroupListing', () => {
+  describe('initFromGraph()', () => {
+    it('should separate nested groups from direct members', () => {
+      const group = new GroupListing({
+        url: engineeringUrl, rdf, graph: graphs[listingUrl]
+      })
+      expect(Array.from(group.members)).to.eql([eve])
+      expect(Array.from(group.subgroupUrls)).to.have.members([backendUrl, frontendUrl])
+    })
+  })
+
+  describe('loadFrom()', () => {
+    it('should recursively resolve nested groups', async () => {
+      const group = await GroupListing.loadFrom(engineeringUrl, fetchGraph, rdf)
+
+      expect(Array.from(group.effectiveMembers())).to.have.members([eve, bob, carol, dave])
+      expect(group.hasMember(bob)).to.be.false('Bob is not a direct member')
+      expect(group.hasEffectiveMember(bob)).to.be.true()
+      // Same-document groups are not re-fetched
+      expect(fetchGraph.args.map(args => args[0])).to.eql([engineeringUrl, opsUrl])
+    })
+
+    it('should return the path through which an agent was found', async () => {
+      const group = await GroupListing.loadFrom(engineeringUrl, fetchGraph, rdf)
+
+      expect(group.membershipPath(eve)).to.eql([engineeringUrl])
+      expect(group.membershipPath(dave)).to.eql([engineeringUrl, backendUrl, opsUrl])
+      expect(group.membershipPath('https://mallory.example.com/#me')).to.be.null()
+    })
+
+    it('should handle membership cycles', async () => {
+      const group = await GroupListing.loadFrom(frontendUrl, fetchGraph, rdf)
+
+      expect(group.membershipPath(bob)).to.eql([frontendUrl, engineeringUrl, backendUrl])
+      expect(Array.from(group.effectiveMembers())).to.have.members([carol, eve, bob, dave])
+    })
+
+    it('should honor the depth limit', async () => {
+      const group = await GroupListing.loadFrom(engineeringUrl, fetchGraph, rdf, {},
+        { maxDepth: 1 })
+
+      expect(group.hasEffectiveMember(bob)).to.be.true()
+      expect(group.hasEffectiveMember(dave)).to.be.false('Ops is two levels deep')
+      expect(fetchGraph.callCount).to.equal(1)
+    })
+
+    it('should not let a member\'s own profile make them a group', async () => {
+      const mallory = 'https://mallory.example.com/#me'
+      const profileUrl = 'https://bob.example.com/profile/card'
+      graphs[profileUrl] = await parseGraph(rdf, profileUrl, `
+        @prefix vcard: <http://www.w3.org/2006/vcard/ns#>.
+        <#me> a vcard:Group; vcard:hasMember <${mallory}>.`)
+      try {
+        const group = await GroupListing.loadFrom(backendUrl, fetchGraph, rdf)
+
+        expect(group.hasMember(bob)).to.be.true()
+        expect(group.subgroupUrls.has(bob)).to.be.false()
+        expect(group.hasEffectiveMember(mallory)).to.be.false()
+        expect(fetchGraph.args.map(args => args[0])).to.eql([backendUrl, opsUrl])
+      } finally {
+        delete graphs[profileUrl]
+      }
+    })
+
+    it('should record nested groups that fail to load', async () => {
+      fetchGraph = sinon.spy(async url => {
+        if (url === opsUrl) { throw new Error('Network error') }
+        return graphs[listingUrl]
+      })
+      const group = await GroupListing.loadFrom(engineeringUrl, fetchGraph, rdf)
+      const backend = group.subgroups.get(backendUrl)
+
+      expect(Object.keys(backend.failedSubgroups)).to.eql([opsUrl])
+      expect(group.hasEffectiveMember(bob)).to.be.true()
+      expect(group.hasEffectiveMember(dave)).to.be.false()
+    })
+  })
+
+  describe('with PermissionSet', () => {
+    it('should grant access to nested group members', async () => {
+      const resourceUrl = 'https://example.com/docs/spec'
+      const ps = new PermissionSet({ resourceUrl })
+      const permission = new Permission({
+        resourceUrl, agent: new Group({ groupUrl: engineeringUrl })
+      })
+      ps.addPermission(permission.addMode(acl.READ))
+
+      const decision = await ps.explainAccess(resourceUrl, dave, acl.READ, { fetchGraph })
+      expect(decision.granted).to.be.true()
+      expect(decision.grantedBy.agentId).to.equal(engineeringUrl)
+      expect(decision.grantedBy.membershipPath)
+        .to.eql([engineeringUrl, backendUrl, opsUrl])
+
+      expect(await ps.checkAccess(resourceUrl, dave, acl.READ,
+        { fetchGraph, maxGroupDepth: 1 })).to.be.false()
+    })
+  })
+})
@@ -0,0 +1,230 @@
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const { expect } = chai
+chai.should()
+
+const rdf = require('rdflib')
+const { acl } = require('../../src/modes')
+const { PermissionSet } = require('../../src/permission-set')
+const { Permission, SingleAgent } = require('../../src/permission')
+const { WAC_CONTEXT, toJsonLd, parseJsonLd } = require('../../src/json-ld')
+
+const JSON_LD = 'application/ld+json'
+
+const fixtures = {
+  'acl-container-ttl': {
+    resourceUrl: 'https://alice.example.com/docs/file1',
+    aclUrl: 'https://alice.example.com/docs/file1.acl'
+  },
+  'acl-container-ttl2': {
+    resourceUrl: 'https://localhost:8443/public/',
+    aclUrl: 'https://localhost:8443/public/.acl',
+    isContainer: true
+  },
+  'acl-with-group-ttl': {
+    resourceUrl: 'https://alice.example.com/docs/file2.ttl',
+    aclUrl: 'https://alice.example.com/docs/file2.ttl.acl'
+  },
+  'untyped-acl-ttl': {
+    resourceUrl: 'https://alice.example.com/docs/file1',
+    aclUrl: 'https://alice.example.com/docs/file1.acl'
+  }
+}
+
+function expectSamePermissions (ps1, ps2) {
+  expect(Object.keys(ps2.permissions).sort())
+    .to.eql(Object.keys(ps1.permissions).sort())
+  for (const permission of ps1.allPermissions()) {
+    expect(permission.equals(ps2.permissions[permission.id]))
+      .to.be.true(`Permission ${permission.id} should round trip`)
+  }
+}
+
+describe('JSON-LD', () => {
+  describe('PermissionSet round trip', () => {
+    for (const [name, { resourceUrl, aclUrl, isContainer }] of Object.entries(fixtures)) {
+      it(`should round trip ${name}`, async () => {
+        const source = require('../resources/' + name)
+        const ps = await PermissionSet.fromString(source, {
+          baseUrl: aclUrl, resourceUrl, isContainer
+        })
+        expect(ps.isEmpty).to.be.false()
+
+        const jsonLd = await ps.serialize({ contentType: JSON_LD })
+        const ps2 = await PermissionSet.fromString(jsonLd, {
+          contentType: JSON_LD, baseUrl: aclUrl, resourceUrl, isContainer
+        })
+        expectSamePermissions(ps, ps2)
+
+        // Serialization is stable
+        expect(await ps2.serialize({ contentType: JSON_LD })).to.equal(jsonLd)
+      })
+    }
+  })
+
+  describe('toJsonLd()', () => {
+    it('should produce a compacted document with the WAC context', async () => {
+      const aclUrl = 'https://localhost:8443/public/.acl'
+      const source = `@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+<#public>
+    a acl:Authorization;
+    acl:agentClass foaf:Agent;
+    acl:accessTo <./>;
+    acl:mode acl:Read.`
+      const graph = await new Promise((resolve, reject) => {
+        rdf.parse(source, rdf.graph(), aclUrl, 'text/turtle',
+          (err, result) => err ? reject(err) : resolve(result))
+      })
+
+      expect(toJsonLd(graph, { baseUrl: aclUrl })).to.eql({
+        '@context': WAC_CONTEXT,
+        '@graph': [{
+          '@id': '#public',
+          '@type': 'Authorization',
+          agentClass: 'foaf:Agent',
+          accessTo: 'https://localhost:8443/public/',
+          mode: 'Read'
+        }]
+      })
+    })
+
+    it('should compact denials, validity windows and client restrictions', async () => {
+      const resourceUrl = 'https://alice.example.com/docs/file1'
+      const aclUrl = resourceUrl + '.acl'
+      const bobWebId = 'https://bob.example.com/#me'
+      const ps = new PermissionSet({ resourceUrl, aclUrl })
+      ps.addPermission(new Permission({
+        resourceUrl,
+        agent: new SingleAgent({ webId: bobWebId }),
+        validFrom: new Date('2026-01-01T00:00:00Z'),
+        validUntil: new Date('2026-12-31T23:59:59Z')
+      }).addMode(acl.READ).addClient('https://app.example.com/id')
+        .addIssuer('https://idp.example.com/'))
+      ps.addPermission(new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: bobWebId }), deny: true
+      }).addMode(acl.WRITE))
+
+      const jsonLd = await ps.serialize({ contentType: JSON_LD })
+      const nodes = JSON.parse(jsonLd)['@graph']
+      expect(nodes.map(node => node['@type'])).to.have.members(['Authorization', 'Denial'])
+      expect(nodes.find(node => node['@type'] === 'Authorization')).to.include({
+        client: 'https://app.example.com/id',
+        issuer: 'https://idp.example.com/',
+        validFrom: '2026-01-01T00:00:00.000Z',
+        validThrough: '2026-12-31T23:59:59.000Z'
+      })
+      expect(JSON.stringify(nodes)).to.not.match(/http:\/\/(schema\.org|www\.w3\.org\/ns)/)
+
+      const parsed = await PermissionSet.fromString(jsonLd, {
+        contentType: JSON_LD, baseUrl: aclUrl, resourceUrl
+      })
+      expectSamePermissions(ps, parsed)
+    })
+  })
+
+  describe('parseJsonLd()', () => {
+    const aclUrl = 'https://alice.example.com/docs/.acl'
+
+    it('should parse fragment ids, terms and prefixed names', async () => {
+      const source = {
+        '@context': WAC_CONTEXT,
+        '@graph': [{
+          '@id': '#owner',
+          '@type': 'Authorization',
+          agent: 'https://alice.example.com/#me',
+          accessTo: 'https://alice.example.com/docs/',
+          default: 'https://alice.example.com/docs/',
+          mode: ['Read', 'acl:Write', 'http://www.w3.org/ns/auth/acl#Control']
+        }]
+      }
+      const ps = await PermissionSet.fromString(JSON.stringify(source), {
+        contentType: JSON_LD, baseUrl: aclUrl, isContainer: true
+      })
+      expect(ps.resourceUrl).to.equal('https://alice.example.com/docs/')
+      expect(ps.permissionByAgent('https://alice.example.com/#me',
+        'https://alice.example.com/docs/').allModes().sort())
+        .to.eql([acl.CONTROL, acl.READ, acl.WRITE])
+    })
+
+    it('should parse blank nodes, other properties and literals', () => {
+      const graph = parseJsonLd({
+        '@context': WAC_CONTEXT,
+        '@graph': [{
+          '@id': '_:b0',
+          'http://schema.org/name': [
+            'Owner', { '@value': 'Owner', '@language': 'en' }
+          ],
+          'http://schema.org/validFrom': {
+            '@value': '2026-01-01T00:00:00Z', '@type': 'xsd:dateTime'
+          },
+          'http://schema.org/about': { '@id': '#owner' }
+        }]
+      }, { baseUrl: aclUrl, rdf })
+
+      const [about] = graph.match(null, rdf.namedNode('http://schema.org/about'))
+      expect(about.subject.termType).to.equal('BlankNode')
+      expect(about.object.value).to.equal(aclUrl + '#owner')
+      expect(graph.match(about.subject)).to.have.length(4)
+      const [validFrom] = graph.match(null, rdf.namedNode('http://schema.org/validFrom'))
+      expect(validFrom.object.datatype.value)
+        .to.equal('http://www.w3.org/2001/XMLSchema#dateTime')
+    })
+
+    it('should round trip literals of IRI valued terms', () => {
+      const graph = rdf.graph()
+      graph.add(rdf.namedNode(aclUrl + '#app'), rdf.namedNode('http://www.w3.org/ns/auth/acl#origin'),
+        rdf.literal('https://app.example.com'))
+
+      const jsonLd = toJsonLd(graph, { baseUrl: aclUrl })
+      expect(jsonLd['@graph'][0].origin).to.eql({ '@value': 'https://app.example.com' })
+      const [statement] = parseJsonLd(jsonLd, { baseUrl: aclUrl, rdf }).match()
+      expect(statement.object.termType).to.equal('Literal')
+    })
+
+    const rejected = {
+      'remote contexts': { '@context': 'https://example.com/context.jsonld', '@graph': [] },
+      'other contexts': { '@context': { acl: 'http://www.w3.org/ns/auth/acl#' }, '@graph': [] },
+      'expanded documents': [{
+        '@id': aclUrl + '#public',
+        'http://www.w3.org/ns/auth/acl#mode': { '@id': acl.READ }
+      }],
+      'documents without a @graph': { '@context': WAC_CONTEXT, '@id': '#public' },
+      'nodes without an @id': { '@context': WAC_CONTEXT, '@graph': [{ mode: 'Read' }] },
+      'relative IRIs': {
+        '@context': WAC_CONTEXT, '@graph': [{ '@id': '#owner', accessTo: './' }]
+      },
+      'nested nodes': {
+        '@context': WAC_CONTEXT,
+        '@graph': [{ '@id': '#owner', 'http://schema.org/about': { '@id': '#a', mode: 'Read' } }]
+      },
+      lists: {
+        '@context': WAC_CONTEXT,
+        '@graph': [{ '@id': '#owner', 'http://schema.org/about': { '@list': ['a'] } }]
+      },
+      keywords: {
+        '@context': WAC_CONTEXT, '@graph': [{ '@id': '#owner', '@reverse': {} }]
+      },
+      'unknown terms': {
+        '@context': WAC_CONTEXT, '@graph': [{ '@id': '#owner', modes: 'Read' }]
+      },
+      numbers: {
+        '@context': WAC_CONTEXT, '@graph': [{ '@id': '#owner', 'http://schema.org/size': 1 }]
+      }
+    }
+
+    for (const [description, source] of Object.entries(rejected)) {
+      it(`should reject ${description}`, () => {
+        expect(() => parseJsonLd(source, { baseUrl: aclUrl, rdf }))
+          .to.throw(/Unsupported JSON-LD \(only the compacted WAC form is supported\)/)
+      })
+    }
+
+    it('should reject invalid JSON', () => {
+      expect(() => parseJsonLd('{ invalid', { baseUrl: aclUrl, rdf }))
+        .to.throw(/Error parsing JSON-LD/)
+    })
+  })
+})
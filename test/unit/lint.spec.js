@@ -0,0 +1,113 @@
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const { expect } = chai
+chai.should()
+
+const rdf = require('rdflib')
+const { acl } = require('../../src/modes')
+const { PermissionSet } = require('../../src/permission-set')
+const { Permission, SingleAgent } = require('../../src/permission')
+const GroupListing = require('../../src/group-listing')
+const { parseGraph } = require('./utils')
+
+const resourceUrl = 'https://alice.example.com/docs/file1'
+const aclUrl = 'https://alice.example.com/docs/file1.acl'
+const groupUrl = 'https://alice.example.com/work-groups#Accounting'
+
+const codesBySubject = diagnostics => {
+  const result = {}
+  for (const { code, subject } of diagnostics) {
+    const fragment = subject ? subject.split('#')[1] : null
+    result[fragment] = (result[fragment] || []).concat(code)
+  }
+  return result
+}
+
+describe('Linting', () => {
+  let graph
+
+  before(async () => {
+    graph = await parseGraph(rdf, aclUrl, require('../resources/invalid-acl-ttl'))
+  })
+
+  describe('PermissionSet.validate()', () => {
+    it('should report each problem with its authorization', () => {
+      const diagnostics = PermissionSet.validate(graph, { resourceUrl, aclUrl, rdf })
+
+      expect(codesBySubject(diagnostics)).to.eql({
+        noMode: ['no-mode'],
+        unknownMode: ['unknown-mode'],
+        mailtoOnly: ['mailto-only-agents'],
+        untyped: ['missing-type'],
+        defaultOnFile: ['default-on-non-container'],
+        elsewhere: ['outside-resource'],
+        nobody: ['unknown-agent-class', 'no-agent'],
+        badDate: ['invalid-timestamp']
+      })
+      const noMode = diagnostics.find(d => d.code === 'no-mode')
+      expect(noMode).to.eql({
+        severity: 'error',
+        code: 'no-mode',
+        message: 'Authorization has no acl:mode, and is ignored',
+        subject: aclUrl + '#noMode'
+      })
+      expect(diagnostics.find(d => d.code === 'missing-type').severity)
+        .to.equal('warning')
+    })
+
+    it('should check that groups are typed vcard:Group', async () => {
+      const listingUrl = groupUrl.split('#')[0]
+      const listing = await parseGraph(rdf, listingUrl, `
+        @prefix vcard: <http://www.w3.org/2006/vcard/ns#>.
+        <#Accounting> vcard:hasMember <https://bob.example.com/#me>.`)
+      const groups = {
+        [groupUrl]: new GroupListing({ url: groupUrl, rdf, graph: listing })
+      }
+
+      const diagnostics = PermissionSet.validate(graph, {
+        resourceUrl, aclUrl, rdf, groups
+      })
+      expect(codesBySubject(diagnostics).defaultOnFile)
+        .to.eql(['group-not-vcard-group', 'default-on-non-container'])
+    })
+
+    it('should keep unknown modes when loading and saving', async () => {
+      const ps = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+
+      expect(ps.permissionByAgent('https://bob.example.com/#me', resourceUrl).allModes())
+        .to.include('http://www.w3.org/ns/auth/acl#Delete')
+      expect(await ps.serialize()).to.match(/\bDelete\b/)
+    })
+
+    it('should not report valid ACLs', async () => {
+      const graph = await parseGraph(rdf, aclUrl, require('../resources/acl-with-group-ttl'))
+      expect(PermissionSet.validate(graph, {
+        resourceUrl: 'https://alice.example.com/docs/file2.ttl', aclUrl, rdf
+      })).to.eql([])
+    })
+  })
+
+  describe('lint()', () => {
+    it('should report permissions that would be dropped on save', () => {
+      const ps = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+      ps.addPermission(new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: 'https://carol.example.com/#me' })
+      }))
+
+      const codes = ps.lint().map(d => d.code)
+      expect(codes).to.include('dropped-on-save')
+      // Ignored authorizations are gone, remaining problems are still reported
+      expect(codes).to.not.include('no-mode')
+      expect(codes).to.include('unknown-mode')
+      expect(codes).to.include('outside-resource')
+    })
+
+    it('should not report a valid permission set', () => {
+      const ps = new PermissionSet({ resourceUrl, rdf })
+      ps.addMode({ agentId: 'https://alice.example.com/#me', accessMode: acl.READ })
+      expect(ps.lint()).to.eql([])
+    })
+  })
+})
@@ -0,0 +1,188 @@
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const { expect } = chai
+chai.should()
+
+const rdf = require('rdflib')
+const { acl } = require('../../src/modes')
+const { PermissionSet } = require('../../src/permission-set')
+const { Permission, SingleAgent } = require('../../src/permission')
+const { LockoutError } = require('../../src/errors')
+const { parseGraph } = require('./utils')
+
+const resourceUrl = 'https://alice.example.com/docs/file1'
+const aclUrl = 'https://alice.example.com/docs/file1.acl'
+const aliceWebId = 'https://alice.example.com/#me'
+const bobWebId = 'https://bob.example.com/#me'
+
+const source = `@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+<#owner>
+    a acl:Authorization;
+    acl:agent <${aliceWebId}>;
+    acl:accessTo <file1>;
+    acl:mode acl:Read, acl:Write, acl:Control.
+<#public>
+    a acl:Authorization;
+    acl:agentClass foaf:Agent;
+    acl:accessTo <file1>;
+    acl:mode acl:Read.`
+
+describe('PermissionDiff', () => {
+  let graph, original, edited, diff
+
+  beforeEach(async () => {
+    graph = await parseGraph(rdf, aclUrl, source)
+    original = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+
+    edited = PermissionSet.fromJSON(original.toJSON())
+    edited.removePermission(edited.permissionByAgent(acl.EVERYONE, resourceUrl))
+    edited.removeMode(aliceWebId, acl.WRITE)
+    edited.addMode({ agentId: aliceWebId, accessMode: acl.APPEND })
+    edited.addPermission(new Permission({
+      resourceUrl, agent: new SingleAgent({ webId: bobWebId })
+    }).addMode(acl.READ))
+
+    diff = PermissionSet.diff(original, edited)
+  })
+
+  describe('PermissionSet.diff()', () => {
+    it('should return added, removed and changed permissions', () => {
+      expect(diff.isEmpty).to.be.false()
+      expect(diff.added.map(p => p.agentId)).to.eql([bobWebId])
+      expect(diff.removed.map(p => p.agentId)).to.eql([acl.EVERYONE])
+      expect(diff.changed).to.have.length(1)
+
+      const [change] = diff.changed
+      expect(change.id).to.equal(Permission.idFor(aliceWebId, resourceUrl, acl.ACCESS_TO))
+      expect(change.addedModes).to.eql([acl.APPEND])
+      expect(change.removedModes).to.eql([acl.WRITE])
+      expect(change.addedOrigins).to.eql([])
+      expect(change.removedOrigins).to.eql([])
+    })
+
+    it('should be empty for equal permission sets', () => {
+      const copy = PermissionSet.fromJSON(original.toJSON())
+      diff = PermissionSet.diff(original, copy)
+      expect(diff.isEmpty).to.be.true()
+      expect(diff.toSparqlUpdate()).to.equal('')
+      expect(diff.toN3Patch()).to.equal('')
+    })
+  })
+
+  describe('toSparqlUpdate()', () => {
+    it('should only update changed statements', () => {
+      const owner = `<${aclUrl}#owner>`
+      const mode = '<http://www.w3.org/ns/auth/acl#mode>'
+      const update = diff.toSparqlUpdate()
+      const [deletes, inserts] = update.split(';\n')
+
+      expect(deletes).to.match(/^DELETE DATA {/)
+      expect(deletes).to.include(`  ${owner} ${mode} <${acl.WRITE}> .`)
+      expect(deletes).to.include(`<${aclUrl}#public>`)
+
+      expect(inserts).to.match(/^INSERT DATA {/)
+      expect(inserts).to.include(`  ${owner} ${mode} <${acl.APPEND}> .`)
+      expect(inserts).to.include(`<${bobWebId}>`)
+      expect(update).to.not.include(`${owner} ${mode} <${acl.READ}>`)
+    })
+
+    it('should produce the edited ACL when applied', () => {
+      for (const { subject, predicate, object } of diff.deletions) {
+        graph.removeMatches(subject, predicate, object)
+      }
+      graph.add(diff.insertions)
+      const patched = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+
+      expect(PermissionSet.diff(patched, edited).isEmpty).to.be.true()
+    })
+  })
+
+  describe('toN3Patch()', () => {
+    it('should produce an N3 Patch document', () => {
+      const patch = diff.toN3Patch()
+      expect(patch).to.match(/^@prefix solid: <http:\/\/www.w3.org\/ns\/solid\/terms#>./)
+      expect(patch).to.include('_:patch a solid:InsertDeletePatch;')
+      expect(patch).to.include(`solid:deletes {\n  <${aclUrl}#owner>`)
+      expect(patch).to.include('solid:inserts {')
+    })
+  })
+
+  describe('applyDiff()', () => {
+    it('should apply a diff to a permission set', async () => {
+      original.applyDiff(diff)
+
+      expect(PermissionSet.diff(original, edited).isEmpty).to.be.true()
+      expect(await original.checkAccess(resourceUrl, bobWebId, acl.READ)).to.be.true()
+      expect(await original.checkAccess(resourceUrl, aliceWebId, acl.WRITE)).to.be.false()
+      expect(await original.checkAccess(resourceUrl, aliceWebId, acl.APPEND)).to.be.true()
+      expect(original.allowsPublic(acl.READ)).to.be.false()
+    })
+
+    it('should keep the validity window of changed permissions', async () => {
+      const validUntil = new Date('2026-09-30T23:59:59Z')
+      const temporary = () => new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: bobWebId }), validUntil
+      }).addMode(acl.READ)
+      original.addPermission(temporary())
+      edited.removePermission(edited.permissionByAgent(bobWebId, resourceUrl))
+      edited.addPermission(temporary().addMode(acl.WRITE))
+      diff = PermissionSet.diff(original, edited)
+
+      const change = diff.changed.find(change => change.after.agentId === bobWebId)
+      expect(change.addedModes).to.eql([acl.WRITE])
+
+      original.applyDiff(diff)
+      expect(PermissionSet.diff(original, edited).isEmpty).to.be.true()
+      expect(original.permissionByAgent(bobWebId, resourceUrl).validUntil).to.eql(validUntil)
+      expect(await original.checkAccess(resourceUrl, bobWebId, acl.WRITE,
+        { now: new Date('2026-10-01T00:00:00Z') })).to.be.false()
+    })
+
+    it('should keep the client and issuer restrictions of changed permissions', async () => {
+      const appId = 'https://app.example.com/id'
+      const issuer = 'https://idp.example.com'
+      const restricted = () => new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: bobWebId })
+      }).addMode(acl.READ).addClient(appId).addIssuer(issuer)
+      original.addPermission(restricted())
+      edited.addPermission(restricted().addMode(acl.WRITE))
+      diff = PermissionSet.diff(original, edited)
+
+      const change = diff.changed.find(change => change.after.agentId === bobWebId)
+      expect(change.addedModes).to.eql([acl.WRITE])
+
+      original.applyDiff(diff)
+      expect(PermissionSet.diff(original, edited).isEmpty).to.be.true()
+      expect(await original.checkAccess(resourceUrl, bobWebId, acl.WRITE)).to.be.false()
+      expect(await original.checkAccess(resourceUrl,
+        { webId: bobWebId, clientId: appId, issuer }, acl.WRITE)).to.be.true()
+    })
+
+    it('should replace permissions whose validity window changed', () => {
+      const permission = edited.permissionByAgent(aliceWebId, resourceUrl)
+      edited.removePermission(permission)
+      permission.validUntil = new Date('2026-09-30T23:59:59Z')
+      edited.addPermission(permission)
+      diff = PermissionSet.diff(original, edited)
+      expect(diff.removed.map(p => p.agentId)).to.include(aliceWebId)
+      expect(diff.added.map(p => p.agentId)).to.include(aliceWebId)
+
+      original.applyDiff(diff)
+      expect(PermissionSet.diff(original, edited).isEmpty).to.be.true()
+    })
+
+    it('should not apply a diff that locks the owner out', () => {
+      edited.removeMode(aliceWebId, acl.CONTROL)
+      diff = PermissionSet.diff(original, edited)
+
+      expect(() => original.applyDiff(diff, { preventLockout: true, ownerWebId: aliceWebId }))
+        .to.throw(LockoutError)
+      expect(PermissionSet.diff(original, PermissionSet.fromGraph({
+        resourceUrl, aclUrl, graph, rdf
+      })).isEmpty).to.be.true('Nothing was changed')
+    })
+  })
+})
@@ -6,16 +6,23 @@ const { expect } = chai
 chai.should()
 
 const rdf = require('rdflib')
-const { Permission, Everyone } = require('../../src/permission')
+const ns = require('solid-namespace')(rdf)
+const sinon = require('sinon')
+const {
+  Permission, SingleAgent, Group, Everyone, AuthenticatedAgent
+} = require('../../src/permission')
 const { acl } = require('../../src/modes')
-const { PermissionSet } = require('../../src/permission-set')
+const { PermissionSet, parentContainerUrl } = require('../../src/permission-set')
+const { LockoutError } = require('../../src/errors')
+const { acp } = require('../../src/acp')
+const { queryStrategy, linkHeaderStrategy } = require('../../src/acl-strategies')
 
 const resourceUrl = 'https://alice.example.com/docs/file1'
 const aclUrl = 'https://alice.example.com/docs/file1.acl'
 
-// const groupListingSource = require('../resources/group-listing-ttl')
-// const listingUrl = 'https://alice.example.com/work-groups'
-// const groupUrl = listingUrl + '#Accounting'
+const groupListingSource = require('../resources/group-listing-ttl')
+const listingUrl = 'https://alice.example.com/work-groups'
+const groupUrl = listingUrl + '#Accounting'
 
 const bobWebId = 'https://bob.example.com/#me'
 const aliceWebId = 'https://alice.example.com/#me'
@@ -23,11 +30,11 @@ const aliceWebId = 'https://alice.example.com/#me'
 const { parseGraph } = require('./utils')
 
 const rawAclSource = require('../resources/acl-container-ttl')
-let parsedAclGraph, parsedAclGraph2 // parsedGroupListing
+let parsedAclGraph, parsedAclGraph2, parsedGroupListing
 
 before(async () => {
   parsedAclGraph = await parseGraph(rdf, aclUrl, rawAclSource)
-  // parsedGroupListing = await parseGraph(rdf, listingUrl, groupListingSource)
+  parsedGroupListing = await parseGraph(rdf, listingUrl, groupListingSource)
 })
 
 describe('PermissionSet', () => {
@@ -50,6 +57,38 @@ describe('PermissionSet', () => {
     })
   })
 
+  describe('aclStrategy', () => {
+    it('should use the ACL url conventions of the server', async () => {
+      const ps = new PermissionSet({ resourceUrl, aclStrategy: queryStrategy() })
+      expect(ps.aclUrl).to.equal(resourceUrl + '?ext=acl')
+
+      ps.addMode({ agentId: aliceWebId, accessMode: acl.CONTROL })
+      expect(await ps.checkAccess(resourceUrl + '?ext=acl', aliceWebId, acl.WRITE))
+        .to.be.true('Control grants access to the ACL resource')
+    })
+
+    it('should find the resource of a parsed ACL', async () => {
+      const ps = await PermissionSet.fromString(rawAclSource, {
+        baseUrl: resourceUrl + '?ext=acl', aclStrategy: queryStrategy()
+      })
+      expect(ps.resourceUrl).to.equal(resourceUrl)
+      expect(ps.aclStrategy.isAcl(ps.aclUrl)).to.be.true()
+    })
+
+    it('should resolve effective ACLs with discovered ACL urls', async () => {
+      const aclStrategy = linkHeaderStrategy()
+      aclStrategy.discover('https://alice.example.com/docs/',
+        { link: '</.acls/docs>; rel="acl"' })
+      const fetchGraph = sinon.stub().resolves(null)
+      fetchGraph.withArgs('https://alice.example.com/.acls/docs').resolves(
+        await parseGraph(rdf, 'https://alice.example.com/.acls/docs', rawAclSource))
+
+      const { aclUrl } = await PermissionSet.resolveEffective(resourceUrl,
+        { fetchGraph, aclStrategy })
+      expect(aclUrl).to.equal('https://alice.example.com/.acls/docs')
+    })
+  })
+
   describe('fromGraph()', () => {
     it('can create and init a PermissionSet from a graph', async () => {
       // see test/resources/acl-container-ttl.js
@@ -83,6 +122,14 @@ describe('PermissionSet', () => {
       expect(publicPermission).to.exist()
       expect(publicPermission.inherit).to.be.false()
     })
+
+    it('should parse acl:origin statements', () => {
+      const ps = PermissionSet.fromGraph({
+        resourceUrl, aclUrl, isContainer: false, graph: parsedAclGraph, rdf
+      })
+      const alicePermission = ps.permissionByAgent(aliceWebId, resourceUrl)
+      expect(alicePermission.allOrigins()).to.eql(['https://example.com/'])
+    })
   })
 
   describe('serialize()', () => {
@@ -118,6 +165,379 @@ describe('PermissionSet', () => {
       expect(await ps2.checkAccess(resourceUrl, owner, acl.CONTROL))
         .to.be.true('Should be owner control')
     })
+
+    describe('authorization naming', () => {
+      const containerUrl = 'https://alice.example.com/docs/'
+      const containerAclUrl = containerUrl + '.acl'
+      const source = `@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+<#owner>
+    a acl:Authorization;
+    acl:agent <${aliceWebId}>, <${bobWebId}>;
+    acl:accessTo <./>;
+    acl:default <./>;
+    acl:mode acl:Read, acl:Write, acl:Control.`
+
+      let ps
+
+      beforeEach(async () => {
+        const graph = await parseGraph(rdf, containerAclUrl, source)
+        ps = PermissionSet.fromGraph({
+          resourceUrl: containerUrl, aclUrl: containerAclUrl, isContainer: true, graph, rdf
+        })
+      })
+
+      const subjectsOf = async (serialized) => {
+        const graph = await parseGraph(rdf, containerAclUrl, serialized)
+        const subjects = graph.match(null, ns.acl('mode'))
+          .map(st => st.subject.value)
+        return Array.from(new Set(subjects)).sort()
+      }
+
+      it('should preserve the original authorization names', async () => {
+        const serialized = await ps.serialize()
+        expect(await subjectsOf(serialized)).to.eql([containerAclUrl + '#owner'])
+
+        const graph = await parseGraph(rdf, containerAclUrl, serialized)
+        const ps2 = PermissionSet.fromGraph({
+          resourceUrl: containerUrl, aclUrl: containerAclUrl, isContainer: true, graph, rdf
+        })
+        expect(ps2.toJSON()).to.eql(ps.toJSON())
+      })
+
+      it('should not grant extra access when permissions have diverged', async () => {
+        const permissionFor = (webId, accessType) =>
+          ps.permissions[Permission.idFor(webId, containerUrl, accessType)]
+        ps.removePermission(permissionFor(bobWebId, acl.ACCESS_TO))
+        permissionFor(aliceWebId, acl.ACCESS_TO).addMode(acl.APPEND)
+
+        const subjectMap = ps.authorizationSubjects()
+        // Only the acl:default permissions still match the original #owner
+        const owner = containerAclUrl + '#owner'
+        expect(subjectMap.get(permissionFor(aliceWebId, acl.DEFAULT))).to.equal(owner)
+        expect(subjectMap.get(permissionFor(bobWebId, acl.DEFAULT))).to.equal(owner)
+        const alice = permissionFor(aliceWebId, acl.ACCESS_TO)
+        expect(subjectMap.get(alice)).to.equal(alice.hashedSubject())
+
+        const graph = await parseGraph(rdf, containerAclUrl, await ps.serialize())
+        const ps2 = PermissionSet.fromGraph({
+          resourceUrl: containerUrl, aclUrl: containerAclUrl, isContainer: true, graph, rdf
+        })
+        // Grants exactly the same access
+        const grants = ps => ps.allPermissions().filter(p => !p.virtual)
+        expect(grants(ps2)).to.have.length(grants(ps).length)
+        for (const permission of grants(ps)) {
+          expect(permission.equals(ps2.permissions[permission.id])).to.be.true()
+        }
+      })
+
+      it('should name new permissions after their agent, with slug naming', async () => {
+        ps.addPermission(new Permission({
+          resourceUrl: containerUrl, agent: new Everyone(), inherit: true
+        }).addMode(acl.READ))
+        ps.addPermission(new Permission({
+          resourceUrl: containerUrl, agent: new AuthenticatedAgent()
+        }).addMode(acl.READ))
+        ps.addPermission(new Permission({
+          resourceUrl: containerUrl, agent: new AuthenticatedAgent(), inherit: true
+        }).addMode(acl.APPEND))
+
+        expect(await subjectsOf(await ps.serialize({ naming: 'slug' }))).to.eql([
+          containerAclUrl + '#authenticated',
+          containerAclUrl + '#authenticated-default',
+          containerAclUrl + '#owner',
+          containerAclUrl + '#public-default'
+        ])
+      })
+
+      it('should hash all authorization names, with hashed naming', async () => {
+        const subjects = await subjectsOf(await ps.serialize({ naming: 'hashed' }))
+        expect(subjects).to.have.length(4)
+        expect(subjects.every(s => /^https:\/\/alice.example.com\/docs\/#[0-9a-f]{32}$/.test(s)))
+          .to.be.true()
+      })
+
+      it('should reject unknown naming strategies', async () => {
+        expect(() => ps.buildGraph(rdf, { naming: 'random' }))
+          .to.throw(/Unknown authorization naming strategy/)
+      })
+    })
+
+    describe('compact', () => {
+      const file1 = 'https://alice.example.com/docs/file1'
+      const file2 = 'https://alice.example.com/docs/file2'
+      const carolWebId = 'https://carol.example.com/#me'
+
+      let ps
+
+      beforeEach(() => {
+        ps = new PermissionSet({ resourceUrl: file1, rdf })
+        const add = (agent, resourceUrl, ...modes) => ps.addPermission(
+          new Permission({ resourceUrl, agent }).addMode(modes))
+        for (const webId of [aliceWebId, bobWebId]) {
+          add(new SingleAgent({ webId }), file1, acl.READ, acl.WRITE)
+          add(new SingleAgent({ webId }), file2, acl.READ, acl.WRITE)
+        }
+        add(new SingleAgent({ webId: carolWebId }), file1, acl.READ)
+        add(new Group({ groupUrl }), file1, acl.READ)
+        add(new Everyone(), file1, acl.READ)
+      })
+
+      const authorizationsOf = graph => graph
+        .match(null, ns.rdf('type'))
+        .map(st => st.subject.value)
+
+      it('should regroup permissions into multi-agent authorizations', async () => {
+        expect(authorizationsOf(ps.buildGraph(rdf))).to.have.length(7)
+
+        const serialized = await ps.serialize({ compact: true })
+        const graph = await parseGraph(rdf, aclUrl, serialized)
+        const authorizations = authorizationsOf(graph)
+        expect(authorizations).to.have.length(2)
+
+        const writers = graph.sym(authorizations.find(subject =>
+          graph.match(graph.sym(subject), ns.acl('mode'),
+            rdf.sym(acl.WRITE)).length > 0))
+        expect(graph.match(writers, ns.acl('agent'))
+          .map(st => st.object.value).sort()).to.eql([aliceWebId, bobWebId])
+        expect(graph.match(writers, ns.acl('accessTo'))
+          .map(st => st.object.value).sort()).to.eql([file1, file2])
+
+        // Parses back into the same permissions
+        const ps2 = PermissionSet.fromGraph({ resourceUrl: file1, aclUrl, graph, rdf })
+        expect(ps2.count).to.equal(ps.count)
+        for (const permission of ps.allPermissions()) {
+          expect(permission.equals(ps2.permissions[permission.id])).to.be.true()
+        }
+      })
+
+      it('should only group agents with the same resources', () => {
+        ps.addPermission(new Permission({
+          resourceUrl: file2, agent: new SingleAgent({ webId: carolWebId })
+        }).addMode(acl.READ))
+
+        const subjects = ps.authorizationSubjects({ compact: true })
+        const subjectOf = (webId, resourceUrl) =>
+          subjects.get(ps.permissions[Permission.idFor(webId, resourceUrl, acl.ACCESS_TO)])
+        expect(subjectOf(carolWebId, file1)).to.equal(subjectOf(carolWebId, file2))
+        expect(subjectOf(carolWebId, file1)).to.not.equal(subjectOf(acl.EVERYONE, file1))
+        expect(subjectOf(groupUrl, file1)).to.equal(subjectOf(acl.EVERYONE, file1))
+        expect(new Set(subjects.values()).size).to.equal(3)
+      })
+
+      it('should reuse original authorization names', async () => {
+        const source = `@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+<#owner>
+    a acl:Authorization;
+    acl:agent <${aliceWebId}>;
+    acl:accessTo <file1>;
+    acl:mode acl:Read, acl:Write.
+<#editor>
+    a acl:Authorization;
+    acl:agent <${bobWebId}>;
+    acl:accessTo <file1>;
+    acl:mode acl:Read, acl:Write.`
+        const graph = await parseGraph(rdf, aclUrl, source)
+        ps = PermissionSet.fromGraph({ resourceUrl: file1, aclUrl, graph, rdf })
+
+        const subjects = Array.from(ps.authorizationSubjects({ compact: true }).values())
+        expect(subjects).to.eql([aclUrl + '#owner', aclUrl + '#owner'])
+      })
+    })
+  })
+
+  describe('toJSON() / fromJSON()', () => {
+    const containerUrl = 'https://alice.example.com/docs/'
+    const containerAclUrl = containerUrl + '.acl'
+    const source = `@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+<#owner>
+    a acl:Authorization;
+    acl:agent <${aliceWebId}>, <mailto:alice@example.com>;
+    acl:accessTo <./>;
+    acl:default <./>;
+    acl:origin <https://app.example.com>;
+    acl:mode acl:Read, acl:Write, acl:Control.
+<#accounting>
+    a acl:Authorization;
+    acl:agentGroup <${groupUrl}>;
+    acl:accessTo <./>;
+    acl:mode acl:Append.
+<#public>
+    a acl:Authorization;
+    acl:agentClass foaf:Agent, acl:AuthenticatedAgent;
+    acl:accessTo <./>;
+    acl:mode acl:Read.`
+
+    let ps
+
+    beforeEach(async () => {
+      const graph = await parseGraph(rdf, containerAclUrl, source)
+      ps = PermissionSet.fromGraph({
+        resourceUrl: containerUrl, aclUrl: containerAclUrl, isContainer: true, graph, rdf
+      })
+    })
+
+    it('should export a versioned plain JSON object', () => {
+      const json = ps.toJSON()
+      expect(json.version).to.equal(1)
+      expect(json.resourceUrl).to.equal(containerUrl)
+      expect(json.aclUrl).to.equal(containerAclUrl)
+      expect(json.isContainer).to.be.true()
+      expect(json.permissions).to.have.length(5)
+
+      const owner = json.permissions.find(p =>
+        p.agent.id === aliceWebId && p.accessType === acl.DEFAULT)
+      expect(owner).to.eql({
+        agent: { type: 'agent', id: aliceWebId, mailto: ['alice@example.com'] },
+        resourceUrl: containerUrl,
+        accessType: 'default',
+        modes: ['Control', 'Read', 'Write'],
+        origins: ['https://app.example.com'],
+        virtual: false,
+        subject: containerAclUrl + '#owner'
+      })
+      expect(json.permissions.map(p => p.agent.type).sort()).to.eql([
+        'agent', 'agent', 'authenticated', 'group', 'public'
+      ])
+      // Contains no RDF terms
+      expect(JSON.parse(JSON.stringify(json))).to.eql(json)
+    })
+
+    it('should round trip losslessly through buildGraph()', () => {
+      const ps2 = PermissionSet.fromJSON(JSON.stringify(ps))
+      expect(ps2.toJSON()).to.eql(ps.toJSON())
+
+      const ps3 = PermissionSet.fromGraph({
+        resourceUrl: containerUrl,
+        aclUrl: containerAclUrl,
+        isContainer: true,
+        graph: ps2.buildGraph(rdf),
+        rdf
+      })
+      expect(ps3.toJSON()).to.eql(ps.toJSON())
+    })
+
+    it('should report the path of malformed values', () => {
+      const json = ps.toJSON()
+      const invalid = (path, mutate) => {
+        const copy = JSON.parse(JSON.stringify(json))
+        mutate(copy)
+        expect(() => PermissionSet.fromJSON(copy))
+          .to.throw(Error, path)
+          .with.property('path', path)
+      }
+      invalid('version', json => { json.version = 2 })
+      invalid('resourceUrl', json => { delete json.resourceUrl })
+      invalid('permissions', json => { json.permissions = {} })
+      invalid('permissions[1].agent.type', json => { json.permissions[1].agent.type = 'robot' })
+      const agentIndex = json.permissions.findIndex(p => p.agent.type === 'agent')
+      invalid(`permissions[${agentIndex}].agent.id`,
+        json => { delete json.permissions[agentIndex].agent.id })
+      invalid('permissions[2].accessType', json => { json.permissions[2].accessType = 'all' })
+      invalid('permissions[3].modes', json => { json.permissions[3].modes = [] })
+      invalid('permissions[3].modes[0]', json => { json.permissions[3].modes = ['Fly'] })
+      invalid('permissions[4].origins', json => { json.permissions[4].origins = 'x' })
+
+      expect(() => PermissionSet.fromJSON('{ invalid'))
+        .to.throw(/Error parsing permission set JSON/)
+    })
+  })
+
+  describe('resolveEffective()', () => {
+    const rootUrl = 'https://localhost:8443/'
+    const publicUrl = 'https://localhost:8443/public/'
+    const owner = 'https://localhost:8443/web#id'
+    const randomUser = 'https://someone.else.com/'
+    const rootAclSource = `@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+<#owner>
+    a acl:Authorization;
+    acl:agent <https://localhost:8443/web#id>;
+    acl:accessTo <./>;
+    acl:mode acl:Read, acl:Write, acl:Control.`
+    let fetchGraph
+
+    beforeEach(async () => {
+      const acls = {
+        [rootUrl + '.acl']: await parseGraph(rdf, rootUrl + '.acl', rootAclSource),
+        [publicUrl + '.acl']: await parseGraph(rdf, publicUrl + '.acl',
+          require('../resources/acl-container-ttl2'))
+      }
+      fetchGraph = sinon.spy(async url => {
+        if (url.endsWith('cat.jpg.acl')) {
+          const error = new Error('Not Found')
+          error.status = 404
+          throw error
+        }
+        return acls[url]
+      })
+    })
+
+    it('should use the resource\'s own ACL if it exists', async () => {
+      const { permissionSet, aclUrl, inherited } = await PermissionSet
+        .resolveEffective(publicUrl, { fetchGraph, isContainer: true })
+
+      expect(aclUrl).to.equal(publicUrl + '.acl')
+      expect(inherited).to.be.false()
+      expect(fetchGraph.callCount).to.equal(1)
+      expect(await permissionSet.checkAccess(publicUrl, owner, acl.CONTROL))
+        .to.be.true()
+    })
+
+    it('should walk up to the nearest container ACL', async () => {
+      const resourceUrl = publicUrl + 'photos/cat.jpg'
+      const { permissionSet, aclUrl, inherited } = await PermissionSet
+        .resolveEffective(resourceUrl, { fetchGraph })
+
+      expect(fetchGraph.args.map(args => args[0])).to.eql([
+        publicUrl + 'photos/cat.jpg.acl',
+        publicUrl + 'photos/.acl',
+        publicUrl + '.acl'
+      ])
+      expect(aclUrl).to.equal(publicUrl + '.acl')
+      expect(inherited).to.be.true()
+      expect(await permissionSet.checkAccess(resourceUrl, randomUser, acl.READ))
+        .to.be.true('Should inherit public read')
+      expect(await permissionSet.checkAccess(resourceUrl, owner, acl.WRITE))
+        .to.be.true('Should inherit owner write')
+    })
+
+    it('should only apply acl:default permissions of parent containers', async () => {
+      const resourceUrl = rootUrl + 'private/notes.txt'
+      const { permissionSet, aclUrl, inherited } = await PermissionSet
+        .resolveEffective(resourceUrl, { fetchGraph })
+
+      expect(aclUrl).to.equal(rootUrl + '.acl')
+      expect(inherited).to.be.true()
+      expect(permissionSet.isEmpty).to.be.true()
+      expect(await permissionSet.checkAccess(resourceUrl, owner, acl.READ))
+        .to.be.false('Root acl:accessTo should not be inherited')
+    })
+
+    it('should deny all access if no ACL is found', async () => {
+      const { permissionSet, aclUrl } = await PermissionSet
+        .resolveEffective('https://elsewhere.example.com/file', { fetchGraph })
+
+      expect(aclUrl).to.be.null()
+      expect(permissionSet.isEmpty).to.be.true()
+    })
+
+    it('should require fetchGraph()', async () => {
+      let error
+      try {
+        await PermissionSet.resolveEffective(publicUrl)
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.match(/fetchGraph\(\) not supplied/)
+    })
+  })
+
+  describe('parentContainerUrl()', () => {
+    it('should return the parent container of a resource or container', () => {
+      expect(parentContainerUrl('https://a.com/docs/file1')).to.equal('https://a.com/docs/')
+      expect(parentContainerUrl('https://a.com/docs/')).to.equal('https://a.com/')
+      expect(parentContainerUrl('https://a.com/')).to.be.null()
+    })
   })
 
   describe('checkAccess()', () => {
@@ -157,6 +577,38 @@ describe('PermissionSet', () => {
         .to.be.false('Another user should not have inherited access to file')
     })
 
+    it('should only inherit from containers that contain the resource', async () => {
+      const ps = new PermissionSet({ resourceUrl: 'https://alice.example.com/docs' })
+      ps.addMode({ agentId: aliceWebId, accessMode: acl.READ, inherit: true })
+
+      expect(await ps.checkAccess('https://alice.example.com/docs/secret', aliceWebId, acl.READ))
+        .to.be.true('A default without a trailing slash still applies to the container')
+      expect(await ps.checkAccess('https://alice.example.com/docs-private/secret', aliceWebId, acl.READ))
+        .to.be.false('Sibling paths sharing a prefix should not inherit access')
+    })
+
+    it('should use the closest container with a matching default', async () => {
+      const ps = new PermissionSet({ resourceUrl: 'https://alice.example.com/', isContainer: true })
+      ps.addMode({ agentId: aliceWebId, accessMode: acl.READ })
+      ps.addPermission(new Permission({
+        resourceUrl: 'https://alice.example.com/docs/', inherit: true, agent: new SingleAgent({ webId: aliceWebId })
+      }).addMode(acl.WRITE))
+
+      const fileUrl = 'https://alice.example.com/docs/file1'
+      expect(await ps.checkAccess(fileUrl, aliceWebId, acl.WRITE)).to.be.true()
+      expect(await ps.checkAccess(fileUrl, aliceWebId, acl.READ)).to.be.false()
+    })
+
+    it('should match equivalent urls', async () => {
+      const ps = new PermissionSet({ resourceUrl: 'https://Alice.Example.com/%7Ealice/', isContainer: true })
+      ps.addMode({ agentId: aliceWebId, accessMode: acl.READ })
+
+      expect(await ps.checkAccess('https://alice.example.com/~alice/file1', aliceWebId, acl.READ))
+        .to.be.true()
+      expect(await ps.checkAccess('HTTPS://ALICE.EXAMPLE.COM:443/%7ealice/', aliceWebId, acl.READ))
+        .to.be.true()
+    })
+
     it('should check for public access', async () => {
       const containerUrl = 'https://alice.example.com/docs/'
       const ps = new PermissionSet({ resourceUrl: containerUrl, isContainer: true })
@@ -191,6 +643,921 @@ describe('PermissionSet', () => {
     })
   })
 
+  describe('authorize()', () => {
+    let ps
+
+    beforeEach(() => {
+      ps = new PermissionSet({ resourceUrl, strictOrigin: true })
+      ps.addPermission(new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: aliceWebId })
+      }).addMode([acl.READ, acl.WRITE]).addOrigin('https://app.example.com'))
+    })
+
+    it('should return results for each requested mode', async () => {
+      const result = await ps.authorize({
+        resourceUrl, modes: [acl.READ, acl.APPEND, acl.CONTROL], agent: { webId: aliceWebId }
+      })
+      expect(result.granted).to.be.false()
+      expect(result.modes).to.eql({
+        [acl.READ]: true, [acl.APPEND]: true, [acl.CONTROL]: false
+      })
+      expect(result.decisions.map(decision => decision.accessMode))
+        .to.eql([acl.READ, acl.APPEND, acl.CONTROL])
+      expect(result.decisions[1].modeNormalization)
+        .to.eql({ requested: acl.APPEND, satisfiedBy: acl.WRITE })
+    })
+
+    it('should evaluate the origin, client and time of the request', async () => {
+      const request = {
+        resourceUrl, modes: [acl.READ], agent: { webId: aliceWebId }, origin: 'https://app.example.com'
+      }
+      expect((await ps.authorize(request)).granted).to.be.true()
+      expect((await ps.authorize({ ...request, origin: 'https://evil.example.net' })).granted)
+        .to.be.false()
+
+      const permission = ps.permissionByAgent(aliceWebId, resourceUrl)
+      const restricted = permission.clone().addClient('https://app.example.com/id')
+      restricted.validUntil = new Date('2026-01-01T00:00:00Z')
+      ps.removePermission(permission).addPermission(restricted)
+      const agent = { webId: aliceWebId, clientId: 'https://app.example.com/id' }
+      expect((await ps.authorize({ ...request, agent, time: new Date('2025-12-01T00:00:00Z') }))
+        .granted).to.be.true()
+      expect((await ps.authorize({ ...request, agent, time: new Date('2026-02-01T00:00:00Z') }))
+        .granted).to.be.false()
+      expect((await ps.authorize({ ...request, time: new Date('2025-12-01T00:00:00Z') }))
+        .granted).to.be.false()
+    })
+
+    it('should key the results by normalized mode', async () => {
+      const result = await ps.authorize({
+        resourceUrl, modes: ['read', rdf.namedNode(acl.WRITE)], agent: { webId: aliceWebId }
+      })
+      expect(result.modes).to.have.all.keys(acl.READ, acl.WRITE)
+      expect(result.modes[acl.WRITE]).to.equal(result.decisions[1].granted)
+    })
+
+    it('should default to the permission set resource and no agent', async () => {
+      ps.addPermission(new Permission({ resourceUrl, agent: new Everyone() }).addMode(acl.READ))
+      const result = await ps.authorize({ modes: [acl.READ, acl.WRITE] })
+      expect(result.modes).to.eql({ [acl.READ]: true, [acl.WRITE]: false })
+      expect(result.decisions[0].resourceUrl).to.equal(resourceUrl)
+    })
+
+    it('should throw without modes', async () => {
+      let error
+      try {
+        await ps.authorize({ resourceUrl, modes: [] })
+      } catch (e) {
+        error = e
+      }
+      expect(error.message).to.equal('Cannot authorize a request without access modes')
+    })
+  })
+
+  describe('access to ACL resources', () => {
+    const containerUrl = 'https://alice.example.com/docs/'
+    let ps
+
+    beforeEach(() => {
+      ps = new PermissionSet({ resourceUrl: containerUrl, isContainer: true })
+      ps.addMode({ agentId: aliceWebId, accessMode: [acl.READ, acl.WRITE, acl.CONTROL] })
+      ps.addMode({ agentId: bobWebId, accessMode: [acl.READ, acl.WRITE] })
+    })
+
+    it('should require Control on the governed resource, direct or inherited', async () => {
+      for (const url of [containerUrl + '.acl', aclUrl, containerUrl + 'photos/.acl']) {
+        expect(await ps.checkAccess(url, aliceWebId, acl.WRITE)).to.be.true(url)
+        expect(await ps.checkAccess(url, bobWebId, acl.READ)).to.be.false(url)
+      }
+    })
+
+    it('should explain the routing in the decision record', async () => {
+      const decision = await ps.explainAccess(aclUrl, aliceWebId, acl.READ)
+      expect(decision.granted).to.be.true()
+      expect(decision.aclUrl).to.equal(aclUrl)
+      expect(decision.resourceUrl).to.equal(resourceUrl)
+      expect(decision.requestedMode).to.equal(acl.READ)
+      expect(decision.accessMode).to.equal(acl.CONTROL)
+      expect(decision.grantedBy.permission.resourceUrl).to.equal(containerUrl)
+    })
+
+    it('should not add implied permissions for the ACL', () => {
+      expect(ps.allPermissions().map(p => p.resourceUrl))
+        .to.eql([containerUrl, containerUrl])
+    })
+
+    it('should apply denials of Control', async () => {
+      ps.addPermission(new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: aliceWebId }), deny: true
+      }).addMode(acl.CONTROL))
+      expect(await ps.checkAccess(aclUrl, aliceWebId, acl.READ)).to.be.false()
+      expect(await ps.checkAccess(containerUrl + '.acl', aliceWebId, acl.READ)).to.be.true()
+    })
+
+    it('should route the single principal checks too', async () => {
+      const ownerAcl = containerUrl + '.acl'
+      expect(ps.checkAccessForAgent(ownerAcl, aliceWebId, acl.WRITE)).to.be.true()
+      expect(ps.checkAccessForAgent(ownerAcl, bobWebId, acl.READ)).to.be.false()
+      expect(ps.allowsPublic(acl.READ, ownerAcl)).to.be.false()
+      expect(ps.allowsAuthenticated(acl.READ, ownerAcl)).to.be.false()
+
+      ps.addPermission(new Permission({
+        resourceUrl: containerUrl, agent: new AuthenticatedAgent(), inherit: true
+      }).addMode(acl.CONTROL))
+      ps.addPermission(new Permission({
+        resourceUrl: containerUrl, agent: new Group({ groupUrl }), inherit: true
+      }).addMode(acl.CONTROL))
+      await ps.loadGroups({ fetchGraph: sinon.stub().resolves(parsedGroupListing) })
+      const member = 'https://bob.example.com/profile/card#me'
+      expect(ps.allowsAuthenticated(acl.WRITE, aclUrl)).to.be.true()
+      expect(ps.allowsPublic(acl.READ, containerUrl)).to.be.false()
+      expect(ps.checkGroupAccess(aclUrl, member, acl.WRITE)).to.be.true()
+      expect(ps.checkGroupAccess(aclUrl, bobWebId, acl.WRITE)).to.be.false()
+    })
+
+    it('should apply denials in the single principal checks', () => {
+      ps.addPermission(new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: aliceWebId }), deny: true
+      }).addMode(acl.CONTROL))
+      expect(ps.checkAccessForAgent(aclUrl, aliceWebId, acl.READ)).to.be.false()
+      expect(ps.checkAccessForAgent(resourceUrl, aliceWebId, acl.READ)).to.be.true()
+    })
+
+    it('should list the controllers in effectiveAccess()', async () => {
+      expect(await ps.effectiveAccess(aclUrl)).to.eql([
+        { type: 'agent', agentId: aliceWebId, modes: [acl.APPEND, acl.CONTROL, acl.READ, acl.WRITE] }
+      ])
+    })
+  })
+
+  describe('checkRequest()', () => {
+    const containerUrl = 'https://alice.example.com/docs/'
+    const alice = { webId: aliceWebId }
+    const bob = { webId: bobWebId }
+    let ps
+
+    beforeEach(() => {
+      ps = new PermissionSet({ resourceUrl: containerUrl, isContainer: true })
+      ps.addMode({ agentId: aliceWebId, accessMode: [acl.READ, acl.WRITE, acl.CONTROL] })
+      ps.addMode({ agentId: bobWebId, accessMode: [acl.READ, acl.APPEND] })
+    })
+
+    it('should check the resource and its parent container', async () => {
+      const request = { method: 'PUT', resourceUrl, exists: false }
+      const result = await ps.checkRequest({ ...request, agent: alice })
+      expect(result.granted).to.be.true()
+      expect(result.checks.map(check => [check.resourceUrl, check.modes])).to.eql([
+        [resourceUrl, { [acl.WRITE]: true }],
+        [containerUrl, { [acl.APPEND]: true }]
+      ])
+
+      expect((await ps.checkRequest({ ...request, agent: bob })).granted).to.be.false()
+      expect((await ps.checkRequest({ method: 'POST', resourceUrl: containerUrl, agent: bob }))
+        .granted).to.be.true()
+      expect((await ps.checkRequest({ method: 'DELETE', resourceUrl, agent: bob }))
+        .granted).to.be.false()
+    })
+
+    it('should require Control on the governed resource for ACLs', async () => {
+      const request = { method: 'GET', resourceUrl: aclUrl }
+      const result = await ps.checkRequest({ ...request, agent: alice })
+      expect(result.granted).to.be.true()
+      expect(result.checks.map(check => check.resourceUrl)).to.eql([resourceUrl])
+      expect((await ps.checkRequest({ ...request, agent: bob })).granted).to.be.false()
+    })
+
+    it('should look up the permission set of each resource', async () => {
+      const filePermissions = new PermissionSet({ resourceUrl })
+      filePermissions.addMode({ agentId: bobWebId, accessMode: acl.WRITE })
+      const permissionSetFor = sinon.stub().returns(ps)
+      permissionSetFor.withArgs(resourceUrl).resolves(filePermissions)
+
+      const result = await ps.checkRequest({ method: 'DELETE', resourceUrl, agent: bob },
+        { permissionSetFor })
+      expect(result.checks.map(check => check.granted)).to.eql([true, false])
+      expect(permissionSetFor.args.map(args => args[0])).to.eql([resourceUrl, containerUrl])
+    })
+  })
+
+  describe('checkAccess() for authenticated agents', () => {
+    const containerUrl = 'https://alice.example.com/docs/'
+
+    it('should parse acl:AuthenticatedAgent from a graph', async () => {
+      const source = `@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+<#authenticated>
+    a acl:Authorization;
+    acl:agentClass acl:AuthenticatedAgent;
+    acl:default <./>;
+    acl:mode acl:Read.`
+      const graph = await parseGraph(rdf, containerUrl + '.acl', source)
+      const ps = PermissionSet.fromGraph({
+        resourceUrl: containerUrl, isContainer: true, graph, rdf
+      })
+      const permission = ps.permissionByAgent(acl.AUTHENTICATED, containerUrl)
+      expect(permission.isAuthenticated).to.be.true()
+      expect(ps.hasGroups).to.be.false()
+      expect(ps.allowsAuthenticated(acl.READ, containerUrl + 'file1')).to.be.true()
+    })
+
+    it('should grant access to any non-empty agent id', async () => {
+      const ps = new PermissionSet({ resourceUrl: containerUrl, isContainer: true })
+      const permission = new Permission({
+        resourceUrl: containerUrl, inherit: true, agent: new AuthenticatedAgent()
+      })
+      permission.addMode(acl.READ)
+      ps.addPermission(permission)
+
+      const resourceUrl = containerUrl + 'file1'
+      expect(await ps.checkAccess(resourceUrl, bobWebId, acl.READ))
+        .to.be.true('Any logged in user should have read access')
+      expect(await ps.checkAccess(resourceUrl, bobWebId, acl.WRITE))
+        .to.be.false()
+      expect(await ps.checkAccess(resourceUrl, null, acl.READ))
+        .to.be.false('Anonymous requests should not have access')
+    })
+
+    it('should serialize acl:AuthenticatedAgent', async () => {
+      const ps = new PermissionSet({ resourceUrl })
+      const permission = new Permission({ resourceUrl, agent: new AuthenticatedAgent() })
+      permission.addMode(acl.READ)
+      ps.addPermission(permission)
+
+      const graph = await parseGraph(rdf, aclUrl, await ps.serialize())
+      const ps2 = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+      expect(ps2.allowsAuthenticated(acl.READ, resourceUrl)).to.be.true()
+      expect(ps2.allowsPublic(acl.READ, resourceUrl)).to.be.false()
+    })
+  })
+
+  describe('checkAccess() for groups', () => {
+    const resourceUrl = 'https://alice.example.com/docs/file2.ttl'
+    const aclUrl = 'https://alice.example.com/docs/file2.ttl.acl'
+    let ps
+
+    beforeEach(async () => {
+      const graph = await parseGraph(rdf, aclUrl, require('../resources/acl-with-group-ttl'))
+      ps = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+    })
+
+    it('should check access for remote Group Listings', async () => {
+      expect(ps.hasGroups).to.be.true()
+      expect(ps.groupUrls()).to.eql([groupUrl])
+
+      const fetchGraph = sinon.stub().resolves(parsedGroupListing)
+      const bob = 'https://bob.example.com/profile/card#me'
+      const deb = 'https://deb.example.com/profile/card#me'
+
+      expect(await ps.checkAccess(resourceUrl, bob, acl.WRITE, { fetchGraph }))
+        .to.be.true('Bob should have access as member of group')
+      expect(fetchGraph.calledWith(groupUrl)).to.be.true()
+
+      expect(await ps.checkAccess(resourceUrl, deb, acl.WRITE, { fetchGraph }))
+        .to.be.false('Deb is not a member of the Accounting group')
+    })
+  })
+
+  describe('denials', () => {
+    const containerUrl = 'https://alice.example.com/docs/'
+    const aclUrl = 'https://alice.example.com/docs/.acl'
+    const fileUrl = containerUrl + 'file1'
+    const sharedUrl = containerUrl + 'shared/file2'
+    const bob = 'https://bob.example.com/profile/card#me'
+    const candice = 'https://candice.example.com/profile/card#me'
+    let ps, fetchGraph
+
+    beforeEach(async () => {
+      const graph = await parseGraph(rdf, aclUrl, require('../resources/acl-with-denial-ttl'))
+      ps = PermissionSet.fromGraph({
+        resourceUrl: containerUrl, aclUrl, isContainer: true, graph, rdf
+      })
+      fetchGraph = sinon.stub().resolves(parsedGroupListing)
+    })
+
+    it('should parse acl:Denial authorizations into denials', () => {
+      expect(ps.hasDenials).to.be.true()
+      const denial = ps.permissionByAgent(bob, fileUrl, 'deniedAgents')
+      expect(denial.deny).to.be.true()
+      expect(denial.allModes()).to.eql([acl.READ, acl.APPEND])
+      expect(ps.permissionByAgent(bob, fileUrl)).to.not.be.ok('Denials grant nothing')
+    })
+
+    it('should let a denial override a public grant', async () => {
+      expect(await ps.checkAccess(fileUrl, bob, acl.READ, { fetchGraph })).to.be.false()
+      expect(await ps.checkAccess(fileUrl, null, acl.READ, { fetchGraph })).to.be.true()
+      expect(await ps.checkAccess(fileUrl, aliceWebId, acl.READ, { fetchGraph })).to.be.true()
+
+      const decision = await ps.explainAccess(containerUrl, bob, acl.READ, { fetchGraph })
+      expect(decision.granted).to.be.false()
+      expect(decision.grantedBy).to.be.null()
+      expect(decision.deniedBy).to.eql({
+        type: 'agent',
+        agentId: bob,
+        permission: {
+          id: Permission.idFor(bob, containerUrl, acl.ACCESS_TO, true),
+          accessType: acl.ACCESS_TO,
+          inherited: false,
+          resourceUrl: containerUrl
+        }
+      })
+    })
+
+    it('should let more specific grants override inherited denials', async () => {
+      expect(await ps.checkAccess(sharedUrl, bob, acl.READ, { fetchGraph }))
+        .to.be.true('Bob reads the shared folder as a member of Accounting')
+      expect(await ps.checkAccess(sharedUrl, bob, acl.APPEND, { fetchGraph }))
+        .to.be.false('Public Append is still denied')
+    })
+
+    it('should deny both Write and Append', async () => {
+      expect(await ps.checkAccess(fileUrl, candice, acl.READ, { fetchGraph })).to.be.true()
+      expect(await ps.checkAccess(fileUrl, candice, acl.APPEND, { fetchGraph })).to.be.false()
+    })
+
+    it('should agree with checkAccessBatch()', async () => {
+      const requests = [fileUrl, sharedUrl].map(resourceUrl => ({ resourceUrl, mode: acl.READ }))
+      const results = await ps.checkAccessBatch(requests, bob, { fetchGraph })
+      expect(results.get(fileUrl)[acl.READ]).to.be.false()
+      expect(results.get(sharedUrl)[acl.READ]).to.be.true()
+    })
+
+    it('should only serialize acl:Denial when there are denials', async () => {
+      const graph = await parseGraph(rdf, aclUrl, await ps.serialize())
+      expect(graph.match(null, ns.rdf('type'), ns.acl('Denial'))).to.have.length(2)
+      const parsed = PermissionSet.fromGraph({
+        resourceUrl: containerUrl, aclUrl, isContainer: true, graph, rdf
+      })
+      expect(PermissionSet.diff(ps, parsed).isEmpty).to.be.true()
+
+      parsed.allPermissions().filter(permission => permission.deny)
+        .forEach(permission => parsed.removePermission(permission))
+      expect(parsed.hasDenials).to.be.false()
+      expect(await parsed.serialize()).to.not.include('Denial')
+    })
+  })
+
+  describe('validity windows', () => {
+    const contractorWebId = 'https://contractor.example.com/#me'
+    const source = `@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+@prefix schema: <http://schema.org/>.
+@prefix xsd: <http://www.w3.org/2001/XMLSchema#>.
+<#owner>
+    a acl:Authorization;
+    acl:agent <${aliceWebId}>;
+    acl:accessTo <file1>;
+    acl:mode acl:Read, acl:Write, acl:Control.
+<#contractor>
+    a acl:Authorization;
+    acl:agent <${contractorWebId}>;
+    acl:accessTo <file1>;
+    acl:mode acl:Read, acl:Write;
+    schema:validFrom "2026-07-01T00:00:00Z"^^xsd:dateTime;
+    schema:validThrough "2026-09-30T23:59:59Z"^^xsd:dateTime.
+<#typo>
+    a acl:Authorization;
+    acl:agent <${bobWebId}>;
+    acl:accessTo <file1>;
+    acl:mode acl:Read;
+    schema:validThrough "end of quarter".`
+    const duringQuarter = new Date('2026-08-15T12:00:00Z')
+    const afterQuarter = new Date('2026-10-01T00:00:00Z')
+    let ps
+
+    beforeEach(async () => {
+      const graph = await parseGraph(rdf, aclUrl, source)
+      ps = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+    })
+
+    it('should only grant access within the window', async () => {
+      expect(await ps.checkAccess(resourceUrl, contractorWebId, acl.WRITE,
+        { now: duringQuarter })).to.be.true()
+      expect(await ps.checkAccess(resourceUrl, contractorWebId, acl.WRITE,
+        { now: new Date('2026-06-30T23:59:59Z') })).to.be.false()
+      expect(await ps.checkAccess(resourceUrl, contractorWebId, acl.READ,
+        { now: afterQuarter })).to.be.false()
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.READ,
+        { now: afterQuarter })).to.be.true()
+    })
+
+    it('should ignore authorizations with invalid timestamps', () => {
+      expect(ps.permissionByAgent(bobWebId, resourceUrl)).to.not.be.ok()
+    })
+
+    it('should round trip the window through serialize()', async () => {
+      const graph = await parseGraph(rdf, aclUrl, await ps.serialize())
+      const parsed = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+      expect(PermissionSet.diff(ps, parsed).isEmpty).to.be.true()
+      expect(parsed.permissionByAgent(contractorWebId, resourceUrl).validUntil)
+        .to.eql(new Date('2026-09-30T23:59:59Z'))
+    })
+
+    it('should not merge permissions with different windows', async () => {
+      ps.addPermission(new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: contractorWebId })
+      }).addMode(acl.READ))
+      expect(ps.permissionsByAgent(contractorWebId, resourceUrl)).to.have.length(2)
+      expect(await ps.checkAccess(resourceUrl, contractorWebId, acl.READ,
+        { now: afterQuarter })).to.be.true()
+      expect(await ps.checkAccess(resourceUrl, contractorWebId, acl.WRITE,
+        { now: afterQuarter })).to.be.false()
+
+      const graph = await parseGraph(rdf, aclUrl, await ps.serialize())
+      const parsed = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+      expect(PermissionSet.diff(ps, parsed).isEmpty).to.be.true()
+      expect(await parsed.checkAccess(resourceUrl, contractorWebId, acl.WRITE,
+        { now: afterQuarter })).to.be.false()
+    })
+
+    describe('pruneExpired()', () => {
+      it('should remove and report lapsed permissions', () => {
+        expect(ps.pruneExpired(duringQuarter)).to.eql([])
+
+        const removed = ps.pruneExpired(afterQuarter)
+        expect(removed.map(permission => permission.agentId)).to.eql([contractorWebId])
+        expect(ps.permissionByAgent(contractorWebId, resourceUrl)).to.not.be.ok()
+        expect(ps.permissionByAgent(aliceWebId, resourceUrl)).to.be.ok()
+      })
+    })
+  })
+
+  describe('client restrictions', () => {
+    const appId = 'https://app.example.com/id'
+    const issuer = 'https://idp.example.com'
+    const source = `@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+@prefix acp: <http://www.w3.org/ns/solid/acp#>.
+<#owner>
+    a acl:Authorization;
+    acl:agent <${aliceWebId}>;
+    acl:accessTo <file1>;
+    acl:mode acl:Read, acl:Write, acl:Control.
+<#bobViaApp>
+    a acl:Authorization;
+    acl:agent <${bobWebId}>;
+    acl:accessTo <file1>;
+    acl:mode acl:Read, acl:Write;
+    acp:client <${appId}>;
+    acp:issuer <${issuer}>.
+<#noWritesFromApp>
+    a acl:Denial;
+    acl:agent <${aliceWebId}>;
+    acl:accessTo <file1>;
+    acl:mode acl:Write;
+    acp:client <${appId}>.`
+    let ps
+
+    beforeEach(async () => {
+      const graph = await parseGraph(rdf, aclUrl, source)
+      ps = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+    })
+
+    it('should only grant access to the listed clients and issuers', async () => {
+      const context = { webId: bobWebId, clientId: appId, issuer }
+      expect(await ps.checkAccess(resourceUrl, context, acl.WRITE)).to.be.true()
+      expect(await ps.checkAccess(resourceUrl, bobWebId, acl.READ,
+        { clientId: appId, issuer })).to.be.true()
+
+      const decision = await ps.explainAccess(resourceUrl,
+        { ...context, clientId: 'https://other.example.com/id' }, acl.READ)
+      expect(decision.granted).to.be.false()
+      expect(decision.clientRejected).to.eql([
+        ps.permissionByAgent(bobWebId, resourceUrl).id
+      ])
+      expect(await ps.checkAccess(resourceUrl,
+        { ...context, issuer: 'https://other-idp.example.com' }, acl.READ)).to.be.false()
+      expect(await ps.checkAccess(resourceUrl, bobWebId, acl.READ)).to.be.false()
+    })
+
+    it('should only apply restricted denials to the listed clients', async () => {
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.WRITE)).to.be.true()
+      expect(await ps.checkAccess(resourceUrl,
+        { webId: aliceWebId, clientId: appId }, acl.WRITE)).to.be.false()
+      expect(await ps.checkAccess(resourceUrl,
+        { webId: aliceWebId, clientId: appId }, acl.READ)).to.be.true()
+    })
+
+    it('should round trip the restrictions through serialize()', async () => {
+      const graph = await parseGraph(rdf, aclUrl, await ps.serialize())
+      const parsed = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+      expect(PermissionSet.diff(ps, parsed).isEmpty).to.be.true()
+      expect(parsed.permissionByAgent(bobWebId, resourceUrl).allClients()).to.eql([appId])
+    })
+
+    it('should not widen restrictions when adding an unrestricted permission', async () => {
+      ps.addPermission(new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: bobWebId })
+      }).addMode(acl.READ))
+      expect(await ps.checkAccess(resourceUrl, bobWebId, acl.READ)).to.be.true()
+      expect(await ps.checkAccess(resourceUrl, bobWebId, acl.WRITE)).to.be.false()
+
+      const graph = await parseGraph(rdf, aclUrl, await ps.serialize())
+      expect(graph.match(null, rdf.sym(acp.NAMESPACE + 'client'))).to.have.length(2)
+      const parsed = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+      expect(await parsed.checkAccess(resourceUrl, bobWebId, acl.WRITE)).to.be.false()
+    })
+  })
+
+  describe('checkAccessBatch()', () => {
+    const containerUrl = 'https://alice.example.com/docs/'
+    const bob = 'https://bob.example.com/profile/card#me'
+    const file2 = containerUrl + 'file2'
+    const secret = 'https://alice.example.com/private/secret'
+    let ps, fetchGraph
+
+    beforeEach(() => {
+      ps = new PermissionSet({ resourceUrl: containerUrl, isContainer: true })
+      ps.addPermission(new Permission({
+        resourceUrl: containerUrl, agent: new Group({ groupUrl }), inherit: true
+      }).addMode(acl.READ))
+      ps.addPermission(new Permission({
+        resourceUrl: secret, agent: new SingleAgent({ webId: aliceWebId })
+      }).addMode([acl.READ, acl.WRITE]))
+      ps.addPermission(new Permission({ resourceUrl: file2, agent: new Everyone() })
+        .addMode(acl.READ))
+      fetchGraph = sinon.stub().resolves(parsedGroupListing)
+    })
+
+    it('should return results by resource and mode', async () => {
+      const results = await ps.checkAccessBatch([
+        { resourceUrl, mode: acl.READ },
+        { resourceUrl, mode: acl.WRITE },
+        { resourceUrl: file2, mode: acl.READ },
+        { resourceUrl: secret, mode: acl.READ }
+      ], bob, { fetchGraph })
+
+      expect(Array.from(results.keys())).to.eql([resourceUrl, file2, secret])
+      expect(results.get(resourceUrl)).to.eql({ [acl.READ]: true, [acl.WRITE]: false })
+      expect(results.get(file2)).to.eql({ [acl.READ]: true })
+      expect(results.get(secret)).to.eql({ [acl.READ]: false })
+      expect(fetchGraph.callCount).to.equal(1, 'Groups are loaded once')
+    })
+
+    it('should key results by the full mode IRI', async () => {
+      const results = await ps.checkAccessBatch([
+        { resourceUrl: file2, mode: 'read' },
+        { resourceUrl: file2, mode: 'Write' }
+      ], bob, { fetchGraph })
+
+      expect(results.get(file2)).to.eql({ [acl.READ]: true, [acl.WRITE]: false })
+    })
+
+    it('should agree with checkAccess()', async () => {
+      const requests = []
+      for (const url of [containerUrl, resourceUrl, file2, secret]) {
+        for (const mode of [acl.READ, acl.WRITE, acl.APPEND]) {
+          requests.push({ resourceUrl: url, mode })
+        }
+      }
+      for (const agentId of [aliceWebId, bob, null]) {
+        const results = await ps.checkAccessBatch(requests, agentId, { fetchGraph })
+        for (const { resourceUrl, mode } of requests) {
+          expect(results.get(resourceUrl)[mode]).to.equal(
+            await ps.checkAccess(resourceUrl, agentId, mode, { fetchGraph }),
+            `${agentId} ${mode} ${resourceUrl}`)
+        }
+      }
+    })
+
+    it('should not load groups if not needed', async () => {
+      await ps.checkAccessBatch([{ resourceUrl: secret, mode: acl.READ }], aliceWebId,
+        { fetchGraph })
+      await ps.checkAccessBatch([{ resourceUrl: file2, mode: acl.READ }], null, { fetchGraph })
+      expect(fetchGraph.called).to.be.false()
+    })
+
+    describe('filterReadable()', () => {
+      it('should filter a container listing', async () => {
+        const urls = [secret, resourceUrl, file2]
+        expect(await ps.filterReadable(urls, null)).to.eql([file2])
+        expect(await ps.filterReadable(urls, aliceWebId, { fetchGraph }))
+          .to.eql([secret, file2])
+        expect(await ps.filterReadable(urls, bob, { fetchGraph }))
+          .to.eql([resourceUrl, file2])
+      })
+    })
+  })
+
+  describe('wacAllow()', () => {
+    let ps
+
+    beforeEach(() => {
+      ps = new PermissionSet({ resourceUrl })
+      ps.addMode({ agentId: aliceWebId, accessMode: [acl.READ, acl.WRITE, acl.CONTROL] })
+      ps.addPermission(new Permission({ resourceUrl, agent: new Everyone() })
+        .addMode(acl.READ))
+      ps.addPermission(new Permission({
+        resourceUrl, agent: new Group({ groupUrl })
+      }).addMode(acl.APPEND))
+    })
+
+    it('should return the modes of the user and the public', async () => {
+      const result = await ps.wacAllow(resourceUrl, aliceWebId)
+      expect(result).to.eql({
+        user: ['read', 'write', 'append', 'control'],
+        public: ['read'],
+        header: 'user="read write append control", public="read"'
+      })
+    })
+
+    it('should use the public modes for unauthenticated users', async () => {
+      const { header } = await ps.wacAllow(resourceUrl, null)
+      expect(header).to.equal('user="read", public="read"')
+    })
+
+    it('should agree with checkAccess() for group members', async () => {
+      const bob = 'https://bob.example.com/profile/card#me'
+      const fetchGraph = sinon.stub().resolves(parsedGroupListing)
+
+      const { user } = await ps.wacAllow(resourceUrl, bob, { fetchGraph })
+      expect(user).to.eql(['read', 'append'])
+      expect(fetchGraph.callCount).to.equal(1)
+      for (const [mode, name] of [[acl.APPEND, 'append'], [acl.WRITE, 'write']]) {
+        expect(await ps.checkAccess(resourceUrl, bob, mode, { fetchGraph }))
+          .to.equal(user.includes(name))
+      }
+    })
+  })
+
+  describe('effectiveAccess()', () => {
+    const containerUrl = 'https://alice.example.com/docs/'
+    const bob = 'https://bob.example.com/profile/card#me'
+    const candice = 'https://candice.example.com/profile/card#me'
+    let ps
+
+    beforeEach(() => {
+      ps = new PermissionSet({ resourceUrl, isContainer: false })
+      const add = (agent, resourceUrl, inherit, ...modes) => ps.addPermission(
+        new Permission({ resourceUrl, agent, inherit }).addMode(modes))
+      add(new SingleAgent({ webId: aliceWebId }), containerUrl, true, acl.READ, acl.WRITE, acl.CONTROL)
+      // A direct permission takes precedence over the inherited one
+      add(new SingleAgent({ webId: aliceWebId }), resourceUrl, false, acl.READ)
+      add(new SingleAgent({ webId: bob }), containerUrl, true, acl.READ)
+      add(new Group({ groupUrl }), resourceUrl, false, acl.WRITE)
+      add(new Everyone(), 'https://alice.example.com/', true, acl.READ)
+      add(new AuthenticatedAgent(), 'https://alice.example.com/other/', true, acl.READ)
+    })
+
+    it('should list the modes granted to each agent', async () => {
+      expect(await ps.effectiveAccess()).to.eql([
+        { type: 'public', agentId: acl.EVERYONE, modes: [acl.READ] },
+        { type: 'group', agentId: groupUrl, modes: [acl.APPEND, acl.WRITE] },
+        { type: 'agent', agentId: aliceWebId, modes: [acl.READ] },
+        { type: 'agent', agentId: bob, modes: [acl.READ] }
+      ])
+
+      const containerAccess = await ps.effectiveAccess(containerUrl)
+      expect(containerAccess.find(entry => entry.agentId === aliceWebId).modes)
+        .to.eql([acl.APPEND, acl.CONTROL, acl.READ, acl.WRITE])
+    })
+
+    it('should optionally expand group members', async () => {
+      const fetchGraph = sinon.stub().resolves(parsedGroupListing)
+      const access = await ps.effectiveAccess(resourceUrl, { fetchGraph, expandGroups: true })
+
+      expect(fetchGraph.callCount).to.equal(1)
+      const agents = access.filter(entry => entry.type === 'agent')
+      expect(agents).to.eql([
+        { type: 'agent', agentId: aliceWebId, modes: [acl.READ], viaGroups: [] },
+        {
+          type: 'agent',
+          agentId: bob,
+          modes: [acl.APPEND, acl.READ, acl.WRITE],
+          viaGroups: [groupUrl]
+        },
+        { type: 'agent', agentId: candice, modes: [acl.APPEND, acl.WRITE], viaGroups: [groupUrl] }
+      ])
+    })
+
+    it('should subtract denials', async () => {
+      ps.addPermission(new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: candice }), deny: true
+      }).addMode(acl.WRITE))
+      ps.addPermission(new Permission({
+        resourceUrl: containerUrl, agent: new SingleAgent({ webId: bob }), inherit: true, deny: true
+      }).addMode(acl.READ))
+      expect(await ps.effectiveAccess()).to.eql([
+        { type: 'public', agentId: acl.EVERYONE, modes: [acl.READ] },
+        { type: 'group', agentId: groupUrl, modes: [acl.APPEND, acl.WRITE] },
+        { type: 'agent', agentId: aliceWebId, modes: [acl.READ] }
+      ])
+      const access = await ps.effectiveAccess(resourceUrl, {
+        fetchGraph: sinon.stub().resolves(parsedGroupListing), expandGroups: true
+      })
+      expect(access.filter(entry => entry.type === 'agent')).to.eql([
+        { type: 'agent', agentId: aliceWebId, modes: [acl.READ], viaGroups: [] },
+        { type: 'agent', agentId: bob, modes: [acl.APPEND, acl.WRITE], viaGroups: [groupUrl] }
+      ])
+    })
+
+    it('should only count client restricted permissions for their clients', async () => {
+      const appId = 'https://app.example.com/id'
+      ps.addPermission(new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: candice })
+      }).addMode(acl.READ).addClient(appId))
+      const modesOf = access => (access.find(entry => entry.agentId === candice) || {}).modes
+
+      expect(modesOf(await ps.effectiveAccess())).to.be.undefined()
+      expect(modesOf(await ps.effectiveAccess(resourceUrl, { clientId: appId })))
+        .to.eql([acl.READ])
+    })
+  })
+
+  describe('explainAccess()', () => {
+    const containerUrl = 'https://alice.example.com/docs/'
+    const fileUrl = containerUrl + 'file1'
+
+    it('should explain an inherited agent permission', async () => {
+      const ps = new PermissionSet({ resourceUrl: containerUrl, isContainer: true })
+      ps.addMode({ agentId: aliceWebId, accessMode: acl.WRITE })
+
+      const decision = await ps.explainAccess(fileUrl, aliceWebId, 'append')
+
+      expect(decision.granted).to.be.true()
+      expect(decision.requestedMode).to.equal('append')
+      expect(decision.accessMode).to.equal(acl.APPEND)
+      expect(decision.modeNormalization).to.eql({
+        requested: acl.APPEND, satisfiedBy: acl.WRITE
+      })
+      expect(decision.grantedBy.type).to.equal('agent')
+      expect(decision.grantedBy.agentId).to.equal(aliceWebId)
+      expect(decision.grantedBy.permission).to.eql({
+        id: Permission.idFor(aliceWebId, containerUrl, acl.DEFAULT),
+        accessType: acl.DEFAULT,
+        inherited: true,
+        resourceUrl: containerUrl
+      })
+    })
+
+    it('should explain public access', async () => {
+      const ps = new PermissionSet({ resourceUrl: fileUrl })
+      const permission = new Permission({ resourceUrl: fileUrl, agent: new Everyone() })
+      ps.addPermission(permission.addMode(acl.READ))
+
+      const decision = await ps.explainAccess(fileUrl, null, acl.READ)
+      expect(decision.granted).to.be.true()
+      expect(decision.modeNormalization).to.be.null()
+      expect(decision.grantedBy.type).to.equal('public')
+      expect(decision.grantedBy.agentId).to.equal(acl.EVERYONE)
+    })
+
+    it('should explain a denial', async () => {
+      const ps = new PermissionSet({ resourceUrl: fileUrl })
+      ps.addMode({ agentId: aliceWebId, accessMode: acl.READ })
+
+      const decision = await ps.explainAccess(fileUrl, bobWebId, acl.READ)
+      expect(decision.granted).to.be.false()
+      expect(decision.grantedBy).to.be.null()
+      expect(decision.groupsConsulted).to.eql([])
+    })
+
+    it('should explain origin rejections', async () => {
+      const ps = new PermissionSet({ resourceUrl: fileUrl, strictOrigin: true })
+      ps.addMode({ agentId: aliceWebId, accessMode: acl.READ })
+
+      const decision = await ps.explainAccess(fileUrl, aliceWebId, acl.READ,
+        { origin: 'https://evil.example.net' })
+      expect(decision.granted).to.be.false()
+      expect(decision.originRejected)
+        .to.eql([Permission.idFor(aliceWebId, fileUrl)])
+    })
+
+    describe('with groups', () => {
+      const resourceUrl = 'https://alice.example.com/docs/file2.ttl'
+      const aclUrl = 'https://alice.example.com/docs/file2.ttl.acl'
+      const bob = 'https://bob.example.com/profile/card#me'
+      let ps
+
+      beforeEach(async () => {
+        const graph = await parseGraph(rdf, aclUrl, require('../resources/acl-with-group-ttl'))
+        ps = PermissionSet.fromGraph({ resourceUrl, aclUrl, graph, rdf })
+      })
+
+      it('should explain group access', async () => {
+        const fetchGraph = sinon.stub().resolves(parsedGroupListing)
+
+        const decision = await ps.explainAccess(resourceUrl, bob, acl.READ, { fetchGraph })
+        expect(decision.granted).to.be.true()
+        expect(decision.grantedBy.type).to.equal('group')
+        expect(decision.grantedBy.agentId).to.equal(groupUrl)
+        expect(decision.groupsConsulted).to.eql([groupUrl])
+        expect(decision.groupsFailed).to.eql([])
+      })
+
+      it('should record groups that failed to load', async () => {
+        const fetchGraph = sinon.stub().rejects(new Error('Network error'))
+
+        const decision = await ps.explainAccess(resourceUrl, bob, acl.READ, { fetchGraph })
+        expect(decision.granted).to.be.false()
+        expect(decision.groupsConsulted).to.eql([])
+        expect(decision.groupsFailed).to.eql([groupUrl])
+        expect(await ps.checkAccess(resourceUrl, bob, acl.READ, { fetchGraph }))
+          .to.be.false()
+      })
+    })
+  })
+
+  describe('checkAccess() with strictOrigin', () => {
+    const origin = 'https://example.com'
+    const untrustedOrigin = 'https://evil.example.net'
+    let ps
+
+    beforeEach(() => {
+      ps = PermissionSet.fromGraph({
+        resourceUrl,
+        aclUrl,
+        graph: parsedAclGraph,
+        rdf,
+        strictOrigin: true,
+        trustedOrigins: ['https://databrowser.example.org']
+      })
+    })
+
+    it('should allow requests without an origin', async () => {
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.READ))
+        .to.be.true()
+    })
+
+    it('should allow origins listed in acl:origin', async () => {
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.READ, { origin }))
+        .to.be.true()
+    })
+
+    it('should allow same-origin and trusted origins', async () => {
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.READ,
+        { origin: 'https://alice.example.com' })).to.be.true()
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.READ,
+        { origin: 'https://databrowser.example.org' })).to.be.true()
+    })
+
+    it('should deny unlisted origins', async () => {
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.READ,
+        { origin: untrustedOrigin })).to.be.false()
+    })
+
+    it('should not check origins if strictOrigin is off', async () => {
+      ps.strictOrigin = false
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.READ,
+        { origin: untrustedOrigin })).to.be.true()
+    })
+
+    it('should not check origins for public access', async () => {
+      const publicResource = 'https://alice.example.com/profile/card'
+      expect(await ps.checkAccess(publicResource, bobWebId, acl.READ,
+        { origin: untrustedOrigin })).to.be.true()
+    })
+  })
+
+  describe('trusted apps', () => {
+    const appOrigin = 'https://app.example.net'
+    const profileSource = `@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+<#me> acl:trustedApp [ acl:origin <${appOrigin}>; acl:mode acl:Read, acl:Write ].`
+    let ps, fetchGraph
+
+    beforeEach(async () => {
+      const profile = await parseGraph(rdf, 'https://alice.example.com/', profileSource)
+      fetchGraph = sinon.stub().resolves(profile)
+      ps = PermissionSet.fromGraph({
+        resourceUrl, aclUrl, graph: parsedAclGraph, rdf, strictOrigin: true
+      })
+    })
+
+    it('should allow the origins approved in the agent profile', async () => {
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.APPEND,
+        { origin: appOrigin, fetchGraph })).to.be.true()
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.CONTROL,
+        { origin: appOrigin, fetchGraph })).to.be.false()
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.READ,
+        { origin: 'https://evil.example.net', fetchGraph })).to.be.false()
+
+      expect(fetchGraph).to.have.property('callCount', 1)
+      expect(fetchGraph.firstCall.args[0]).to.equal('https://alice.example.com/')
+      expect(ps.trustedApps[aliceWebId]).to.eql([
+        { origin: appOrigin, modes: [acl.READ, acl.WRITE] }
+      ])
+    })
+
+    it('should load the approved origins if any resource of a batch needs them', async () => {
+      const results = await ps.checkAccessBatch([
+        { resourceUrl: `${appOrigin}/notes`, mode: acl.READ },
+        { resourceUrl, mode: acl.READ }
+      ], aliceWebId, { origin: appOrigin, fetchGraph })
+
+      expect(results.get(resourceUrl)).to.eql({ [acl.READ]: true })
+      expect(fetchGraph).to.have.property('callCount', 1)
+    })
+
+    it('should not look up the profile for trusted origins', async () => {
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.READ,
+        { origin: 'https://alice.example.com', fetchGraph })).to.be.true()
+      expect(fetchGraph).to.have.property('called', false)
+    })
+
+    it('should approve no apps if the profile fails to load', async () => {
+      fetchGraph = sinon.stub().rejects(new Error('404'))
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.READ,
+        { origin: appOrigin, fetchGraph })).to.be.false()
+      expect(ps.trustedApps[aliceWebId]).to.eql([])
+    })
+  })
+
   describe('add/remove permission', () => {
     it('should add and remove modes', async () => {
       const ps = new PermissionSet({ resourceUrl })
@@ -223,31 +1590,101 @@ describe('PermissionSet', () => {
     })
   })
 
-  // it.skip('should check access for remote Group Listings', async () => {
-  //   const groupAclSource = require('../resources/acl-with-group-ttl')
-  //   const resourceUrl = 'https://alice.example.com/docs/file2.ttl'
-  //   const aclUrl = 'https://alice.example.com/docs/file2.ttl.acl'
-  //
-  //   const ps = PermissionSet.fromGraph({
-  //     resourceUrl, aclUrl, isContainer: false, graph: parsedGroupListing, rdf
-  //   })
-  //
-  //   const fetchGraph = sinon.stub().resolves(parsedGroupListing)
-  //   let options = { fetchGraph }
-  //
-  //   let bob = 'https://bob.example.com/profile/card#me'
-  //   let isContainer = false
-  //
-  // //   const ps = new PermissionSet(resourceUrl, aclUrl, isContainer, { rdf })
-  // //
-  // //   parseGraph(rdf, aclUrl, groupAclSource)
-  // //     .then(graph => {
-  // //       ps.initFromGraph(graph)
-  // //       return ps.checkAccess(resourceUrl, bob, acl.WRITE, options)
-  // //     })
-  // //     .then(hasAccess => {
-  // //       // External group listings have now been loaded/resolved
-  // //       t.ok(fetchGraph.calledWith(groupUri, options))
-  // //       t.ok(hasAccess, 'Bob should have access as member of group')
-  // })
+  describe('lockout protection', () => {
+    let ps
+
+    beforeEach(() => {
+      ps = new PermissionSet({ resourceUrl })
+      ps.addMode({ agentId: aliceWebId, accessMode: [acl.READ, acl.CONTROL] })
+      ps.addMode({ agentId: bobWebId, accessMode: [acl.READ, acl.CONTROL] })
+    })
+
+    it('should list the agents with Control', () => {
+      ps.addPermission(new Permission({ resourceUrl, agent: new Everyone() }).addMode(acl.READ))
+      expect(ps.controllersOf()).to.eql([aliceWebId, bobWebId])
+    })
+
+    it('should not count denied Control', () => {
+      ps.addPermission(new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: bobWebId }), deny: true
+      }).addMode(acl.CONTROL))
+      expect(ps.controllersOf()).to.eql([aliceWebId])
+
+      ps.addPermission(new Permission({ resourceUrl, agent: new AuthenticatedAgent() })
+        .addMode(acl.CONTROL))
+      expect(ps.controllersOf()).to.eql([aliceWebId, acl.AUTHENTICATED])
+      expect(() => ps.assertControlRetained({ ownerWebId: bobWebId }))
+        .to.throw(LockoutError, /would lose Control/)
+      expect(ps.assertControlRetained({ ownerWebId: aliceWebId })).to.equal(ps)
+    })
+
+    it('should not count lapsed or not yet valid Control', () => {
+      const carolWebId = 'https://carol.example.com/#me'
+      const now = new Date('2026-08-15T12:00:00Z')
+      ps.removeMode(bobWebId, acl.CONTROL)
+      ps.addPermission(new Permission({
+        resourceUrl,
+        agent: new SingleAgent({ webId: bobWebId }),
+        validUntil: new Date('2026-06-30T23:59:59Z')
+      }).addMode(acl.CONTROL))
+      ps.addPermission(new Permission({
+        resourceUrl,
+        agent: new SingleAgent({ webId: carolWebId }),
+        validFrom: new Date('2026-09-01T00:00:00Z')
+      }).addMode(acl.CONTROL))
+      expect(ps.controllersOf(resourceUrl, { now })).to.eql([aliceWebId])
+      expect(() => ps.assertControlRetained({ ownerWebId: bobWebId, now }))
+        .to.throw(LockoutError)
+    })
+
+    it('should assert that someone (or the owner) retains Control', () => {
+      ps.removeMode(bobWebId, acl.CONTROL)
+      expect(ps.assertControlRetained()).to.equal(ps)
+      expect(() => ps.assertControlRetained({ ownerWebId: bobWebId }))
+        .to.throw(LockoutError, /would lose Control/)
+
+      ps.removeMode(aliceWebId, acl.CONTROL)
+      let error
+      try {
+        ps.assertControlRetained()
+      } catch (e) {
+        error = e
+      }
+      expect(error).to.be.an.instanceof(LockoutError)
+      expect(error.code).to.equal('ACL_LOCKOUT')
+      expect(error.resourceUrl).to.equal(resourceUrl)
+    })
+
+    it('should refuse and undo changes that lock the owner out, when enabled', async () => {
+      ps.removeMode(bobWebId, acl.CONTROL, { preventLockout: true })
+      expect(() => ps.removeMode(aliceWebId, [acl.READ, acl.CONTROL], { preventLockout: true }))
+        .to.throw(LockoutError)
+      // The change was undone
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.CONTROL)).to.be.true()
+      expect(await ps.checkAccess(resourceUrl, aliceWebId, acl.READ)).to.be.true()
+
+      ps.preventLockout = true
+      ps.ownerWebId = aliceWebId
+      const alice = ps.permissionByAgent(aliceWebId, resourceUrl)
+      expect(() => ps.removePermission(alice)).to.throw(LockoutError)
+      expect(ps.permissionByAgent(aliceWebId, resourceUrl)).to.equal(alice)
+    })
+
+    it('should refuse to serialize an ACL without Control, when enabled', async () => {
+      ps = new PermissionSet({ resourceUrl, preventLockout: true, ownerWebId: aliceWebId })
+      ps.addMode({ agentId: bobWebId, accessMode: [acl.READ, acl.CONTROL] })
+
+      let error
+      try {
+        await ps.serialize()
+      } catch (e) {
+        error = e
+      }
+      expect(error).to.be.an.instanceof(LockoutError)
+      expect(error.ownerWebId).to.equal(aliceWebId)
+
+      // Not enforced unless enabled
+      expect(await ps.serialize({ preventLockout: false })).to.be.a('string')
+    })
+  })
 })
@@ -9,6 +9,7 @@ const rdf = require('rdflib')
 const ns = require('solid-namespace')(rdf)
 const acl = require('../../src/')
 const { Permission, SingleAgent, Group, Everyone } = require('../../src/permission')
+const { acp } = require('../../src/acp')
 
 const resourceUrl = 'https://bob.example.com/docs/file1'
 const aliceWebId = 'https://alice.example.com#me'
@@ -148,6 +149,15 @@ describe('Permission', () => {
       expect(perm1.equals(perm2)).to.be.true()
     })
 
+    it('should compare on deny', () => {
+      const agent = new SingleAgent({ webId: aliceWebId })
+      const grant = new Permission({ resourceUrl, agent }).addMode(acl.READ)
+      const denial = new Permission({ resourceUrl, agent, deny: true }).addMode(acl.READ)
+      expect(grant.equals(denial)).to.be.false()
+      expect(grant.id).to.not.equal(denial.id)
+      expect(denial.clone().equals(denial)).to.be.true()
+    })
+
     describe('clone()', () => {
       it('should compare two cloned permissions', () => {
         const perm1 = new Permission({ resourceUrl, inherited: true })
@@ -178,6 +188,35 @@ describe('Permission', () => {
     })
   })
 
+  describe('origins', () => {
+    it('can add and remove allowed origins', () => {
+      const p = new Permission()
+      p.addOrigin(['https://example.com/', 'https://app.example.org'])
+      expect(p.allOrigins()).to.eql(['https://example.com/', 'https://app.example.org'])
+
+      p.removeOrigin('https://app.example.org')
+      expect(p.allOrigins()).to.eql(['https://example.com/'])
+    })
+
+    it('compares origins by scheme, host and port', () => {
+      const p = new Permission()
+      p.addOrigin('https://example.com/')
+      expect(p.allowsOrigin('https://example.com')).to.be.true()
+      expect(p.allowsOrigin('http://example.com')).to.be.false()
+      expect(p.allowsOrigin('https://example.com:8443')).to.be.false()
+    })
+
+    it('should compare on origins', () => {
+      const perm1 = new Permission({ resourceUrl })
+      perm1.addOrigin('https://example.com/')
+      const perm2 = new Permission({ resourceUrl })
+      expect(perm1.equals(perm2)).to.be.false()
+      perm2.addOrigin('https://example.com/')
+      expect(perm1.equals(perm2)).to.be.true()
+      expect(perm1.clone().equals(perm1)).to.be.true()
+    })
+  })
+
   describe('allowsMode()', () => {
     it('round trip addMode/allowsMode', () => {
       const p = new Permission()
@@ -209,6 +248,114 @@ describe('Permission', () => {
     })
   })
 
+  describe('validity window', () => {
+    const validFrom = new Date('2026-01-01T00:00:00Z')
+    const validUntil = new Date('2026-03-31T23:59:59Z')
+    let perm
+
+    beforeEach(() => {
+      perm = new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: aliceWebId }), validFrom, validUntil
+      }).addMode(acl.READ)
+    })
+
+    it('should only allow modes within the window', () => {
+      expect(perm.allowsMode(acl.READ, new Date('2025-12-31T23:59:59Z'))).to.be.false()
+      expect(perm.allowsMode(acl.READ, validFrom)).to.be.true()
+      expect(perm.allowsMode(acl.READ, validUntil)).to.be.true()
+      expect(perm.allowsMode(acl.READ, new Date('2026-04-01T00:00:00Z'))).to.be.false()
+      expect(perm.isExpired(new Date('2026-04-01T00:00:00Z'))).to.be.true()
+      expect(perm.isExpired(validFrom)).to.be.false()
+    })
+
+    it('should round trip through JSON', () => {
+      const json = perm.toJSON()
+      expect(json.validFrom).to.equal('2026-01-01T00:00:00.000Z')
+      expect(json.validUntil).to.equal('2026-03-31T23:59:59.000Z')
+      expect(Permission.fromJSON(json).equals(perm)).to.be.true()
+      expect(perm.clone().equals(perm)).to.be.true()
+      expect(() => Permission.fromJSON({ ...json, validUntil: 'soon' }))
+        .to.throw(/permission.validUntil must be an ISO 8601 timestamp/)
+    })
+
+    it('should not be merged with a permission with another window', () => {
+      const permanent = new Permission({
+        resourceUrl, agent: new SingleAgent({ webId: aliceWebId })
+      }).addMode(acl.WRITE)
+      expect(permanent.id).to.not.equal(perm.id)
+      expect(perm.clone().id).to.equal(perm.id)
+      expect(() => perm.mergeWith(permanent)).to.throw(/validity window/)
+    })
+
+    it('should serialize as schema:validFrom and schema:validThrough', () => {
+      const dates = perm.rdfStatements(rdf)
+        .filter(triple => triple.predicate.value.startsWith('http://schema.org/'))
+        .map(triple => [triple.predicate.value, triple.object.value, triple.object.datatype.value])
+      expect(dates).to.eql([
+        [ns.schema('validFrom').value, '2026-01-01T00:00:00.000Z', ns.xsd('dateTime').value],
+        [ns.schema('validThrough').value, '2026-03-31T23:59:59.000Z', ns.xsd('dateTime').value]
+      ])
+    })
+  })
+
+  describe('client and issuer restrictions', () => {
+    const clientId = 'https://app.example.com/id'
+    const issuer = 'https://idp.example.com'
+    let perm
+
+    beforeEach(() => {
+      perm = new Permission({ resourceUrl, agent: new SingleAgent({ webId: aliceWebId }) })
+        .addMode(acl.READ)
+    })
+
+    it('should allow any client and issuer if unrestricted', () => {
+      expect(perm.allowsClient(clientId)).to.be.true()
+      expect(perm.allowsClient()).to.be.true()
+      expect(perm.allowsIssuer(issuer)).to.be.true()
+      expect(perm.toJSON()).to.not.have.property('clients')
+    })
+
+    it('should only allow the listed clients and issuers', () => {
+      perm.addClient(clientId).addIssuer(issuer)
+      expect(perm.allowsClient('https://APP.example.com:443/id')).to.be.true()
+      expect(perm.allowsClient('https://other.example.com/id')).to.be.false()
+      expect(perm.allowsClient()).to.be.false()
+      expect(perm.allowsIssuer(issuer)).to.be.true()
+      expect(perm.allowsIssuer('https://other-idp.example.com')).to.be.false()
+    })
+
+    it('should round trip through JSON', () => {
+      perm.addClient(clientId).addIssuer(issuer)
+      const json = perm.toJSON()
+      expect(json.clients).to.eql([clientId])
+      expect(json.issuers).to.eql([issuer])
+      expect(Permission.fromJSON(json).equals(perm)).to.be.true()
+      expect(perm.clone().equals(perm)).to.be.true()
+      expect(perm.equals(Permission.fromJSON({ ...json, clients: [] }))).to.be.false()
+      expect(() => Permission.fromJSON({ ...json, clients: clientId }))
+        .to.throw(/permission.clients must be an array of strings/)
+    })
+
+    it('should not be merged with an unrestricted permission', () => {
+      const unrestricted = perm.clone().addMode(acl.WRITE)
+      perm.addClient(clientId)
+      expect(perm.id).to.not.equal(unrestricted.id)
+      expect(() => perm.mergeWith(unrestricted)).to.throw(/restrictions/)
+      expect(perm.allClients()).to.eql([clientId])
+    })
+
+    it('should serialize as acp:client and acp:issuer', () => {
+      perm.addClient(clientId).addIssuer(issuer)
+      const restrictions = perm.rdfStatements(rdf)
+        .filter(triple => triple.predicate.value.startsWith(acp.NAMESPACE))
+        .map(triple => [triple.predicate.value, triple.object.value])
+      expect(restrictions).to.eql([
+        [acp.NAMESPACE + 'client', clientId],
+        [acp.NAMESPACE + 'issuer', issuer]
+      ])
+    })
+  })
+
   describe('rdfStatements', () => {
     it('should serialize agent groups', () => {
       const perm = new Permission({
@@ -226,5 +373,34 @@ describe('Permission', () => {
       expect(groupTriple).to.exist('Serialized permission should have an agentGroup triple')
       expect(groupTriple.object.value).to.equal('https://example.com/work-group')
     })
+
+    it('should serialize denials as acl:Denial', () => {
+      const perm = new Permission({
+        resourceUrl,
+        agent: new SingleAgent({ webId: aliceWebId }),
+        deny: true
+      })
+      perm.addMode(acl.WRITE)
+
+      const types = perm.rdfStatements(rdf)
+        .filter(triple => triple.predicate.equals(ns.rdf('type')))
+        .map(triple => triple.object.value)
+      expect(types).to.eql([ns.acl('Denial').value])
+    })
+
+    it('should serialize allowed origins', () => {
+      const perm = new Permission({
+        resourceUrl,
+        agent: new SingleAgent({ webId: aliceWebId })
+      })
+      perm.addMode(acl.READ)
+      perm.addOrigin('https://example.com/')
+
+      const originTriple = perm.rdfStatements(rdf).find((triple) => {
+        return triple.predicate.equals(ns.acl('origin'))
+      })
+      expect(originTriple).to.exist('Serialized permission should have an origin triple')
+      expect(originTriple.object.value).to.equal('https://example.com/')
+    })
   })
 })
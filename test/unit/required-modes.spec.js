@@ -0,0 +1,70 @@
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const { expect } = chai
+chai.should()
+
+const { acl } = require('../../src/modes')
+const { requiredModesFor } = require('../../src/required-modes')
+const { queryStrategy } = require('../../src/acl-strategies')
+
+const containerUrl = 'https://alice.example.com/docs/'
+const resourceUrl = 'https://alice.example.com/docs/file1'
+const rootUrl = 'https://alice.example.com/'
+
+const { READ, WRITE, APPEND, CONTROL } = acl
+
+describe('requiredModesFor()', () => {
+  const cases = [
+    // [description, request, expected]
+    ['GET', { method: 'GET', resourceUrl }, [[resourceUrl, [READ]]]],
+    ['HEAD', { method: 'head', resourceUrl }, [[resourceUrl, [READ]]]],
+    ['OPTIONS', { method: 'OPTIONS', resourceUrl }, []],
+    ['POST to a container', { method: 'POST', resourceUrl: containerUrl },
+      [[containerUrl, [APPEND]]]],
+    ['PUT on an existing resource', { method: 'PUT', resourceUrl },
+      [[resourceUrl, [WRITE]]]],
+    ['PUT on a new resource', { method: 'PUT', resourceUrl, exists: false },
+      [[resourceUrl, [WRITE]], [containerUrl, [APPEND]]]],
+    ['PUT on a new container', { method: 'PUT', resourceUrl: 'https://alice.example.com/docs/new', isContainer: true, exists: false },
+      [['https://alice.example.com/docs/new/', [WRITE]], [containerUrl, [APPEND]]]],
+    ['PATCH with unknown operations', { method: 'PATCH', resourceUrl },
+      [[resourceUrl, [WRITE]]]],
+    ['PATCH with only inserts', { method: 'PATCH', resourceUrl, patchOperations: ['insert'] },
+      [[resourceUrl, [APPEND]]]],
+    ['PATCH with deletes', { method: 'PATCH', resourceUrl, patchOperations: ['insert', 'delete'] },
+      [[resourceUrl, [READ, WRITE]]]],
+    ['PATCH with conditions', { method: 'PATCH', resourceUrl, patchOperations: ['where', 'insert'] },
+      [[resourceUrl, [READ, APPEND]]]],
+    ['PATCH creating a resource', { method: 'PATCH', resourceUrl, exists: false, patchOperations: ['insert'] },
+      [[resourceUrl, [APPEND]], [containerUrl, [APPEND]]]],
+    ['DELETE', { method: 'DELETE', resourceUrl },
+      [[resourceUrl, [WRITE]], [containerUrl, [WRITE]]]],
+    ['DELETE of a container', { method: 'DELETE', resourceUrl: containerUrl },
+      [[containerUrl, [WRITE]], [rootUrl, [WRITE]]]],
+    ['DELETE of the root container', { method: 'DELETE', resourceUrl: rootUrl },
+      [[rootUrl, [WRITE]]]],
+    ['GET on an ACL', { method: 'GET', resourceUrl: resourceUrl + '.acl' },
+      [[resourceUrl, [CONTROL]]]],
+    ['PUT on a new ACL', { method: 'PUT', resourceUrl: containerUrl + '.acl', exists: false },
+      [[containerUrl, [CONTROL]]]],
+    ['DELETE of an ACL', { method: 'DELETE', resourceUrl: resourceUrl + '.acl' },
+      [[resourceUrl, [CONTROL]]]],
+    ['GET on an ACL, with another ACL strategy',
+      { method: 'GET', resourceUrl: resourceUrl + '?ext=acl', aclStrategy: queryStrategy() },
+      [[resourceUrl, [CONTROL]]]]
+  ]
+
+  for (const [description, request, expected] of cases) {
+    it(`should map ${description}`, () => {
+      expect(requiredModesFor(request)).to.eql(expected
+        .map(([resourceUrl, modes]) => ({ resourceUrl, modes })))
+    })
+  }
+
+  it('should throw for unsupported methods', () => {
+    expect(() => requiredModesFor({ method: 'TRACE', resourceUrl }))
+      .to.throw(/Unsupported HTTP method 'TRACE'/)
+  })
+})
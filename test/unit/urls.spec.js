@@ -0,0 +1,88 @@
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const { expect } = chai
+chai.should()
+
+const {
+  normalizeUrl, containerUrlFor, isInContainer, closestContainer
+} = require('../../src/urls')
+
+describe('urls', () => {
+  describe('normalizeUrl()', () => {
+    it('should lower-case the scheme and host, and drop default ports', () => {
+      expect(normalizeUrl('HTTPS://Alice.Example.COM:443/Docs/File'))
+        .to.equal('https://alice.example.com/Docs/File')
+      expect(normalizeUrl('https://alice.example.com:8443/docs/'))
+        .to.equal('https://alice.example.com:8443/docs/')
+    })
+
+    it('should normalize percent-encoding', () => {
+      expect(normalizeUrl('https://a.com/%7Ealice/my%2dfile'))
+        .to.equal('https://a.com/~alice/my-file')
+      expect(normalizeUrl('https://a.com/a%2fb/c%3a'))
+        .to.equal('https://a.com/a%2Fb/c%3A')
+      expect(normalizeUrl('https://a.com/my file'))
+        .to.equal('https://a.com/my%20file')
+    })
+
+    it('should resolve dot segments', () => {
+      expect(normalizeUrl('https://a.com/docs/./private/../file'))
+        .to.equal('https://a.com/docs/file')
+    })
+
+    it('should keep trailing slashes', () => {
+      expect(normalizeUrl('https://a.com/docs')).to.equal('https://a.com/docs')
+      expect(normalizeUrl('https://a.com/docs/')).to.equal('https://a.com/docs/')
+      expect(normalizeUrl('https://a.com')).to.equal('https://a.com/')
+    })
+
+    it('should return strings that are not urls unchanged', () => {
+      expect(normalizeUrl('docs/file')).to.equal('docs/file')
+    })
+  })
+
+  describe('containerUrlFor()', () => {
+    it('should add a trailing slash', () => {
+      expect(containerUrlFor('https://A.com/docs')).to.equal('https://a.com/docs/')
+      expect(containerUrlFor('https://a.com/docs/')).to.equal('https://a.com/docs/')
+    })
+  })
+
+  describe('isInContainer()', () => {
+    it('should match whole path segments', () => {
+      expect(isInContainer('https://a.com/docs', 'https://a.com/docs/secret')).to.be.true()
+      expect(isInContainer('https://a.com/docs/', 'https://a.com/docs/a/b/c')).to.be.true()
+      expect(isInContainer('https://a.com/docs', 'https://a.com/docs-private/secret'))
+        .to.be.false()
+      expect(isInContainer('https://a.com/docs/', 'https://a.com/docs.acl')).to.be.false()
+    })
+
+    it('should match the container itself, with or without a trailing slash', () => {
+      expect(isInContainer('https://a.com/docs/', 'https://a.com/docs/')).to.be.true()
+      expect(isInContainer('https://a.com/docs/', 'https://a.com/docs')).to.be.true()
+      expect(isInContainer('https://a.com/docs', 'https://a.com/docs/')).to.be.true()
+    })
+
+    it('should compare normalized urls', () => {
+      expect(isInContainer('https://A.com:443/%7Ealice/', 'https://a.com/~alice/file'))
+        .to.be.true()
+      expect(isInContainer('https://a.com/docs/', 'https://a.com/docs/../private/file'))
+        .to.be.false()
+      expect(isInContainer('https://a.com/docs/', 'https://b.com/docs/file')).to.be.false()
+    })
+  })
+
+  describe('closestContainer()', () => {
+    it('should return the deepest matching container', () => {
+      const containers = ['https://a.com/', 'https://a.com/docs/', 'https://a.com/docs-private/']
+      expect(closestContainer(containers, 'https://a.com/docs/file'))
+        .to.equal('https://a.com/docs/')
+      expect(closestContainer(containers, 'https://a.com/other/file'))
+        .to.equal('https://a.com/')
+      expect(closestContainer(containers.slice(1), 'https://a.com/other/file'))
+        .to.be.undefined()
+    })
+  })
+})